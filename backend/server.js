@@ -7,14 +7,48 @@ import OpenAI from 'openai';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import Stripe from 'stripe';
 import { getUserFriendlyError, formatErrorResponse, logError } from './services/errorHandler.js';
-import { generateSummary } from './services/aiSummaryService.js';
-import { extractCaptionsWithYtDlp } from './services/captionService.js';
+import { generateSummary, detectTopicChapters, detectSpeakers, restoreCaptionPunctuation, stripTimestampMarkers, answerTranscriptQuestion } from './services/aiSummaryService.js';
+import { SUMMARY_STYLE_IDS, SUMMARY_LENGTHS } from './services/summaryStyles.js';
+import { extractCaptionsWithYtDlp, listCaptionTracks, joinSegmentText } from './services/captionService.js';
 import { translateText, translateCaptions } from './services/translationService.js';
+import { buildCacheKey, findCachedResult, findLatestCachedResult, setCachedResult, getCachedResultByKey, getCachedCorrections, setCachedCorrections } from './services/cacheService.js';
+import { transcribeAudio, getTranscriptionProvider, assertTranscriptionProviderAvailable, listTranscriptionProviders } from './services/transcriptionService.js';
+import { registerJobHandler, createJob, getJob, serializeJob, isJobFinished, getJobEvents, subscribeToJob, getAvailableQueueSlots } from './services/jobQueue.js';
+import { parseCollectionUrl, listCollectionVideos } from './services/playlistService.js';
+import { createBatch, getBatch, serializeBatch, isBatchFinished, subscribeToBatch, writeBatchArchive } from './services/batchService.js';
+import {
+  toPublicUser,
+  getUserByAuthToken,
+  deleteAuthSession,
+  registerUser,
+  loginWithPassword,
+  setPassword,
+  createMagicLink,
+  consumeMagicLink,
+  createCheckoutSession,
+  setCheckoutStripeId,
+  completeCheckout,
+  applySubscriptionUpdate
+} from './services/accountService.js';
+import { sendEmail } from './services/emailService.js';
+import {
+  PLAN_LIMITS,
+  resolveEntitlement,
+  getUsage,
+  assertCanProcessVideo,
+  assertVideoDuration,
+  assertWhisperMinutes,
+  assertCanSummarize,
+  recordUsage
+} from './services/entitlementService.js';
+import { getAudioDuration } from './services/audioChunkService.js';
+import { listHistoryEntries, saveHistoryEntry, deleteHistoryEntry } from './services/historyService.js';
+import { extractVideoMetadata } from './services/videoMetadataService.js';
 
 dotenv.config();
 
@@ -22,8 +56,14 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const app = express();
+// Behind a reverse proxy (nginx), TRUST_PROXY lets req.ip (used for anonymous quotas) come from
+// X-Forwarded-For. Off by default - without a proxy in front, clients could set that header themselves
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
 app.use(cors());
 
 // Stripe configuration - use dummy key if not provided
@@ -37,9 +77,6 @@ if (!process.env.STRIPE_SECRET_KEY) {
   console.warn('⚠️  WARNING: Using dummy Stripe key. Set STRIPE_SECRET_KEY in .env for real payments.');
 }
 
-// In-memory store for paid sessions (in production, use a database)
-const paidSessions = new Map();
-
 // Stripe webhook - MUST come before express.json() to get raw body
 app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -51,71 +88,82 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
     if (webhookSecret) {
       // Verify webhook signature
       event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    } else if (process.env.NODE_ENV === 'production') {
+      // Unsigned events could grant any account a paid plan
+      console.error('❌ Webhook rejected: STRIPE_WEBHOOK_SECRET is not set');
+      return res.status(400).send('Webhook Error: signature verification is not configured');
     } else {
-      // For development without webhook secret
+      // For local development without webhook secret (never in production)
       event = JSON.parse(req.body.toString());
-      console.warn('⚠️  Webhook signature verification skipped (no STRIPE_WEBHOOK_SECRET)');
+      console.warn('⚠️  Webhook signature verification skipped (no STRIPE_WEBHOOK_SECRET, development only)');
     }
 
     console.log('📥 Webhook received:', event.type);
 
     // Handle the event
     switch (event.type) {
-      case 'checkout.session.completed':
+      case 'checkout.session.completed': {
         const session = event.data.object;
         console.log('✅ Checkout session completed:', session.id);
         console.log('   Customer:', session.customer);
         console.log('   Subscription:', session.subscription);
         console.log('   Client Reference ID:', session.client_reference_id);
         
-        // Update session status in our store
-        if (session.client_reference_id && paidSessions.has(session.client_reference_id)) {
-          const sessionData = paidSessions.get(session.client_reference_id);
-          sessionData.status = 'completed';
-          sessionData.stripeCustomerId = session.customer;
-          sessionData.stripeSubscriptionId = session.subscription;
-          paidSessions.set(session.client_reference_id, sessionData);
-          console.log('✅ Updated session status to completed');
+        // Link the Stripe customer to an account, then load the subscription itself -
+        // its created event may have arrived before the customer was linked
+        const user = completeCheckout(session);
+        if (user && session.subscription) {
+          const subscription = await stripe.subscriptions.retrieve(session.subscription);
+          applySubscriptionUpdate(subscription, session.metadata?.planId);
         }
         break;
+      }
 
       case 'customer.subscription.created':
+      case 'customer.subscription.updated': {
         const subscription = event.data.object;
-        console.log('✅ Subscription created:', subscription.id);
+        console.log(`🔄 Subscription ${event.type === 'customer.subscription.created' ? 'created' : 'updated'}:`, subscription.id);
         console.log('   Customer:', subscription.customer);
         console.log('   Status:', subscription.status);
         console.log('   Trial end:', subscription.trial_end ? new Date(subscription.trial_end * 1000) : 'No trial');
+        if (subscription.cancel_at_period_end) {
+          console.log('   Cancels at period end');
+        }
+        applySubscriptionUpdate(subscription);
         break;
+      }
 
-      case 'customer.subscription.trial_will_end':
+      case 'customer.subscription.trial_will_end': {
         const trialEndingSub = event.data.object;
         console.log('⏰ Trial ending soon for subscription:', trialEndingSub.id);
         console.log('   Trial ends:', new Date(trialEndingSub.trial_end * 1000));
+        applySubscriptionUpdate(trialEndingSub);
         break;
+      }
 
-      case 'customer.subscription.updated':
-        const updatedSub = event.data.object;
-        console.log('🔄 Subscription updated:', updatedSub.id);
-        console.log('   Status:', updatedSub.status);
-        break;
-
-      case 'customer.subscription.deleted':
+      case 'customer.subscription.deleted': {
         const deletedSub = event.data.object;
         console.log('❌ Subscription canceled:', deletedSub.id);
+        // Status is 'canceled' - the account falls back to the free plan
+        applySubscriptionUpdate(deletedSub);
         break;
+      }
 
-      case 'invoice.payment_succeeded':
+      case 'invoice.payment_succeeded': {
         const invoice = event.data.object;
         console.log('💰 Payment succeeded for invoice:', invoice.id);
         console.log('   Customer:', invoice.customer);
         console.log('   Subscription:', invoice.subscription);
         break;
+      }
 
-      case 'invoice.payment_failed':
+      case 'invoice.payment_failed': {
+        // Stripe follows up with customer.subscription.updated (past_due/unpaid), which updates the account
         const failedInvoice = event.data.object;
         console.log('❌ Payment failed for invoice:', failedInvoice.id);
         console.log('   Customer:', failedInvoice.customer);
         break;
+      }
 
       default:
         console.log(`Unhandled event type: ${event.type}`);
@@ -129,7 +177,31 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
 });
 
 // Apply JSON parsing AFTER webhook endpoint
-app.use(express.json());
+// Long transcripts (summaries, synced history with captions) are well over the 100kb default
+app.use(express.json({ limit: '10mb' }));
+
+// Resolve the signed-in user (if any) from "Authorization: Bearer <token>"
+function getAuthToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.substring(7).trim() : null;
+}
+
+app.use((req, res, next) => {
+  try {
+    req.user = getUserByAuthToken(getAuthToken(req));
+  } catch (error) {
+    logError('auth', error);
+    req.user = null;
+  }
+  next();
+});
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please sign in to continue.' });
+  }
+  next();
+}
 
 // Pricing plans configuration
 const PRICING_PLANS = {
@@ -160,7 +232,7 @@ const PRICING_PLANS = {
 
 const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
 
-// OpenAI configuration for Whisper
+// OpenAI configuration for fallback translation
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
 // Create temp directory for audio files
@@ -169,7 +241,11 @@ if (!fs.existsSync(tempDir)) {
   fs.mkdirSync(tempDir, { recursive: true });
 }
 
+// YouTube video IDs are exactly 11 URL-safe characters
+const VIDEO_ID_PATTERN = /^[a-zA-Z0-9_-]{11}$/;
+
 // Extract video ID from URL
+// Anything that isn't a well-formed ID is rejected, so IDs are safe to build URLs and file names from
 function extractVideoId(url) {
   const patterns = [
     /(?:youtube\.com\/watch\?v=)([^&\n?#]+)/,
@@ -181,45 +257,48 @@ function extractVideoId(url) {
 
   for (const pattern of patterns) {
     const match = url.match(pattern);
-    if (match) return match[1];
+    if (match) return VIDEO_ID_PATTERN.test(match[1]) ? match[1] : null;
   }
   return null;
 }
 
 // Download video audio using yt-dlp
-async function downloadAudio(url, retryCount = 0) {
+// Each download gets its own directory so concurrent jobs never pick up or delete each other's files
+async function downloadAudio(url, retryCount = 0, downloadDir = path.join(tempDir, `audio_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`)) {
   const MAX_RETRIES = 3;
   try {
     console.log(` 📥 Downloading: ${url} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
 
-    const outputTemplate = path.join(tempDir, '%(title)s.%(ext)s');
+    if (!fs.existsSync(downloadDir)) {
+      fs.mkdirSync(downloadDir, { recursive: true });
+    }
+    // Named by video ID - titles are chosen by the uploader and can contain anything
+    const outputTemplate = path.join(downloadDir, '%(id)s.%(ext)s');
     const isWindows = process.platform === 'win32';
-    const ytDlpCmd = isWindows ? 'py -m yt_dlp' : 'yt-dlp';
+    // yt-dlp runs without a shell, with the URL and paths as plain arguments
+    const [ytDlpFile, ...ytDlpPrefix] = isWindows ? ['py', '-m', 'yt_dlp'] : ['yt-dlp'];
 
     try {
-      await execAsync(`${ytDlpCmd} --version`, { timeout: 5000 });
+      await execFileAsync(ytDlpFile, [...ytDlpPrefix, '--version'], { timeout: 5000 });
     } catch (versionError) {
       const errorMsg = versionError.message || versionError.toString();
       console.error(` ✗ yt-dlp not found or not accessible: ${errorMsg}`);
       throw new Error(`yt-dlp is not installed. Please install it on your server.`);
     }
 
-    // Build yt-dlp command
-    const cmdParts = [
-      `${ytDlpCmd}`,
-      '-f bestaudio',
+    const args = [
+      ...ytDlpPrefix,
+      '-f', 'bestaudio',
       '--no-playlist',
-      `-o "${outputTemplate}"`,
-      `"${url}"`,
-      '2>&1'
-    ].filter(Boolean);
+      '-o', outputTemplate,
+      url
+    ];
 
-    const cmd = cmdParts.join(' ');
     let stdout = '';
     let stderr = '';
 
     try {
-      const result = await execAsync(cmd, {
+      const result = await execFileAsync(ytDlpFile, args, {
         maxBuffer: 50 * 1024 * 1024,
         timeout: 1200000
       });
@@ -258,7 +337,7 @@ async function downloadAudio(url, retryCount = 0) {
     }
 
     await new Promise(resolve => setTimeout(resolve, 1500));
-    const files = fs.readdirSync(tempDir);
+    const files = fs.readdirSync(downloadDir);
     
     const audioFiles = files.filter(f => {
       const ext = path.extname(f).toLowerCase();
@@ -267,7 +346,7 @@ async function downloadAudio(url, retryCount = 0) {
 
     if (audioFiles.length > 0) {
       const latestFile = audioFiles.sort().reverse()[0];
-      const fullPath = path.join(tempDir, latestFile);
+      const fullPath = path.join(downloadDir, latestFile);
       const stats = fs.statSync(fullPath);
       console.log(` ✓ Downloaded (${path.extname(latestFile)}, ${(stats.size / 1024 / 1024).toFixed(1)}MB)`);
       return fullPath;
@@ -277,7 +356,7 @@ async function downloadAudio(url, retryCount = 0) {
       const delayMs = Math.pow(2, retryCount) * 5000;
       console.log(`⏳ Waiting ${delayMs / 1000}s before retry...`);
       await new Promise(resolve => setTimeout(resolve, delayMs));
-      return downloadAudio(url, retryCount + 1);
+      return downloadAudio(url, retryCount + 1, downloadDir);
     }
 
     throw new Error('No audio file was downloaded. The video might be age-restricted, private, or unavailable.');
@@ -292,85 +371,14 @@ async function downloadAudio(url, retryCount = 0) {
       const delayMs = Math.pow(2, retryCount) * 5000;
       console.log(`⏳ Waiting ${delayMs / 1000}s before retry...`);
       await new Promise(resolve => setTimeout(resolve, delayMs));
-      return downloadAudio(url, retryCount + 1);
+      return downloadAudio(url, retryCount + 1, downloadDir);
     }
 
+    cleanupTempFile(downloadDir);
     throw error;
   }
 }
 
-// Transcribe audio using OpenAI Whisper API (auto-detect language)
-async function transcribeWithWhisper(audioPath, retryCount = 0) {
-  const MAX_RETRIES = 3;
-  try {
-    console.log(`🔵 Attempting: OpenAI Whisper API... (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
-
-    if (!fs.existsSync(audioPath)) {
-      throw new Error(`Audio file not found: ${audioPath}`);
-    }
-
-    const stats = fs.statSync(audioPath);
-    const fileSizeMB = (stats.size / 1024 / 1024).toFixed(2);
-    console.log(` Audio file: ${path.basename(audioPath)} (${fileSizeMB}MB)`);
-
-    if (stats.size > 25 * 1024 * 1024) {
-      throw new Error(`Audio file is too large (${fileSizeMB}MB). OpenAI Whisper limit is 25MB.`);
-    }
-
-    const audioStream = fs.createReadStream(audioPath);
-    
-    // Auto-detect language by not specifying the language parameter
-    const transcription = await openai.audio.transcriptions.create({
-      file: audioStream,
-      model: 'whisper-1'
-      // Language will be auto-detected
-    });
-
-    if (transcription.text && transcription.text.length > 0) {
-      console.log('✅ OpenAI Whisper transcription completed (language auto-detected)!');
-      console.log('Transcribed text length:', transcription.text.length);
-      return {
-        text: transcription.text,
-        method: 'openai'
-      };
-    } else {
-      throw new Error('Transcription returned empty text');
-    }
-  } catch (openaiError) {
-    const errorMsg = openaiError.message || openaiError.toString();
-    console.error(`❌ OpenAI Whisper failed: ${errorMsg}`);
-
-    const isRetryableError = errorMsg.includes('Connection') || 
-                            errorMsg.includes('ECONNREFUSED') || 
-                            errorMsg.includes('ETIMEDOUT') || 
-                            errorMsg.includes('timeout') || 
-                            errorMsg.includes('network') || 
-                            (openaiError.status >= 500 && openaiError.status < 600);
-
-    if (isRetryableError && retryCount < MAX_RETRIES) {
-      const delayMs = Math.pow(2, retryCount) * 2000;
-      console.log(`⏳ Waiting ${delayMs / 1000}s before retry...`);
-      await new Promise(resolve => setTimeout(resolve, delayMs));
-      return transcribeWithWhisper(audioPath, retryCount + 1);
-    }
-
-    let errorMessage = 'Transcription failed';
-    if (errorMsg.includes('Connection') || errorMsg.includes('ECONNREFUSED')) {
-      errorMessage = 'Failed to connect to OpenAI API. Please check your internet connection and API key.';
-    } else if (errorMsg.includes('401') || errorMsg.includes('Unauthorized')) {
-      errorMessage = 'OpenAI API key is invalid or expired. Please check your OPENAI_API_KEY.';
-    } else if (errorMsg.includes('429') || errorMsg.includes('rate limit')) {
-      errorMessage = 'OpenAI API rate limit exceeded. Please try again in a few moments.';
-    } else if (errorMsg.includes('too large')) {
-      errorMessage = errorMsg;
-    } else {
-      errorMessage = `Transcription failed: ${errorMsg}`;
-    }
-
-    throw new Error(errorMessage);
-  }
-}
-
 // Translate text using OpenAI (fallback)
 async function translateWithOpenAI(text, targetLanguage) {
   console.log('🌐 Fallback to OpenAI for translation...');
@@ -535,185 +543,287 @@ function cleanupTempFile(filePath) {
   }
 }
 
+// Caption track kinds accepted by the trackKind option
+const CAPTION_TRACK_KINDS = ['manual', 'auto'];
+// Punctuate auto-captions with the AI model before they are returned and cached (on unless set to 'false')
+const RESTORE_CAPTION_PUNCTUATION = process.env.RESTORE_CAPTION_PUNCTUATION !== 'false';
+
+function validateTrackKind(trackKind) {
+  if (trackKind && !CAPTION_TRACK_KINDS.includes(trackKind)) {
+    throw new Error(`Invalid caption trackKind: ${trackKind}. Use one of: ${CAPTION_TRACK_KINDS.join(', ')}`);
+  }
+}
+
+function validateTargetLanguage(targetLanguage) {
+  if (targetLanguage !== undefined && targetLanguage !== null && typeof targetLanguage !== 'string') {
+    throw new Error('Invalid targetLanguage: use a language name such as Spanish');
+  }
+}
+
 // Helper function to send progress via SSE
 function sendProgress(res, progress, message) {
   res.write(`data: ${JSON.stringify({ progress, message })}\n\n`);
 }
 
-// Get transcript endpoint with SSE progress updates
-app.post('/api/transcript', async (req, res) => {
+/**
+ * Fetch (and optionally translate) a video transcript
+ * Captions are used when available, otherwise audio is transcribed with the selected provider
+ * Plan limits are enforced along the way and the video is counted against the caller's quota
+ * @param {Object} options - Request options ({videoUrl, targetLanguage, refresh, transcriptionProvider, sourceLanguage, trackKind, entitlement})
+ * @param {Function} [onProgress] - Called with (progress, message) as work advances
+ * @returns {Promise<Object>} Transcript response data
+ */
+async function runTranscriptPipeline(options, onProgress = () => {}) {
   let audioPath = null;
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-
   try {
-    const { videoUrl, targetLanguage } = req.body;
+    const { videoUrl, targetLanguage, refresh, transcriptionProvider, sourceLanguage, trackKind, entitlement } = options;
     
-    console.log('Received request:', { videoUrl, targetLanguage });
+    console.log('Received request:', { videoUrl, targetLanguage, refresh: !!refresh, transcriptionProvider, sourceLanguage, trackKind });
+
+    // Resolve the speech-to-text provider up front so an invalid option fails fast
+    const provider = getTranscriptionProvider(transcriptionProvider);
+    validateTrackKind(trackKind);
+    validateTargetLanguage(targetLanguage);
+    // The caption track choice is part of the cache key (e.g. 'de' or 'en/manual')
+    const captionSelection = trackKind ? `${sourceLanguage || 'auto'}/${trackKind}` : sourceLanguage;
     
     // Extract video ID
     const videoId = extractVideoId(videoUrl);
     if (!videoId) {
-      sendProgress(res, 0, 'Invalid YouTube URL');
-      res.write(`data: ${JSON.stringify({ error: 'Invalid YouTube URL' })}\n\n`);
-      res.end();
-      return;
+      throw new Error('Invalid YouTube URL');
+    }
+    // yt-dlp only ever gets this canonical URL, never the one the user typed
+    const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+
+    // Checked again here - a queued job may start after the quota ran out
+    assertCanProcessVideo(entitlement, { targetLanguage });
+
+    // Serve previously processed videos straight from the cache (unless a refresh was requested)
+    if (!refresh) {
+      const cachedResult = findCachedResult({ videoId, sourceLanguage: captionSelection, targetLanguage });
+      if (cachedResult) {
+        console.log('⚡ Cache hit for video:', videoId);
+        assertVideoDuration(entitlement, cachedResult.video?.duration);
+        onProgress(100, 'Loaded from cache');
+        recordUsage(entitlement, 'video');
+        // A signed-in caller's own corrections of this transcript come with it
+        const cacheKey = buildCacheKey({ videoId, sourceLanguage: captionSelection, transcriptionMethod: cachedResult.transcriptionMethod, targetLanguage });
+        const corrections = entitlement.userId ? getCachedCorrections(cacheKey, entitlement.callerKey) : null;
+        return { ...cachedResult, cacheKey, ...(corrections && { corrections }), cached: true };
+      }
     }
 
-    sendProgress(res, 5, 'Initializing YouTube client...');
-    const youtube = await Innertube.create();
+    let originalText = null;
+    let transcriptionMethod = 'captions';
+    let captionLanguage = null;
+    let captionSegments = null; // Store caption segments with timestamps
+    let captionTrackKind = null; // 'manual' or 'auto' when captions were used
+    let videoMetadata = null; // Title, channel, duration, chapters... from getInfo
+
+    // Translations can reuse a cached transcript and only run the translation step
+    const cachedTranscript = (!refresh && targetLanguage) ? findCachedResult({ videoId, sourceLanguage: captionSelection }) : null;
+
+    if (cachedTranscript) {
+      console.log('⚡ Reusing cached transcript for translation');
+      videoMetadata = cachedTranscript.video || null;
+      assertVideoDuration(entitlement, videoMetadata?.duration);
+      onProgress(40, 'Loaded transcript from cache');
+      originalText = cachedTranscript.transcript;
+      captionSegments = cachedTranscript.captions || null;
+      captionLanguage = cachedTranscript.captionLanguage || null;
+      captionTrackKind = cachedTranscript.captionTrackKind || null;
+      transcriptionMethod = cachedTranscript.transcriptionMethod;
+    } else {
+      onProgress(5, 'Initializing YouTube client...');
+      const youtube = await Innertube.create();
 
-    sendProgress(res, 10, 'Fetching video information...');
+      onProgress(10, 'Fetching video information...');
     
-    // Suppress YouTube.js parser warnings (they're just noise and auto-handled)
-    const originalConsoleWarn = console.warn;
-    console.warn = (...args) => {
-      const message = args.join(' ');
-      // Suppress YouTube.js parser warnings
-      if (message.includes('[YOUTUBEJS][Parser]') || message.includes('CourseProgressView')) {
-        return; // Don't log parser warnings
-      }
-      originalConsoleWarn.apply(console, args);
-    };
+      // Suppress YouTube.js parser warnings (they're just noise and auto-handled)
+      const originalConsoleWarn = console.warn;
+      console.warn = (...args) => {
+        const message = args.join(' ');
+        // Suppress YouTube.js parser warnings
+        if (message.includes('[YOUTUBEJS][Parser]') || message.includes('CourseProgressView')) {
+          return; // Don't log parser warnings
+        }
+        originalConsoleWarn.apply(console, args);
+      };
     
-    let info;
-    try {
-      info = await youtube.getInfo(videoId);
-    } catch (infoError) {
-      // Restore console.warn
-      console.warn = originalConsoleWarn;
+      let info;
+      try {
+        info = await youtube.getInfo(videoId);
+      } catch (infoError) {
+        // Restore console.warn
+        console.warn = originalConsoleWarn;
       
-      const errorMsg = infoError.message?.toLowerCase() || '';
-      if (errorMsg.includes('private') || errorMsg.includes('unavailable') || errorMsg.includes('sign in')) {
-        throw new Error('Video is private, unavailable, or requires sign-in');
+        const errorMsg = infoError.message?.toLowerCase() || '';
+        if (errorMsg.includes('private') || errorMsg.includes('unavailable') || errorMsg.includes('sign in')) {
+          throw new Error('Video is private, unavailable, or requires sign-in');
+        }
+        throw infoError;
       }
-      throw infoError;
-    }
     
-    // Restore console.warn after getting info
-    console.warn = originalConsoleWarn;
+      // Restore console.warn after getting info
+      console.warn = originalConsoleWarn;
+
+      videoMetadata = extractVideoMetadata(info, videoId);
+      assertVideoDuration(entitlement, videoMetadata.duration);
     
-    // Check if video is playable/accessible
-    // YouTube.js info object may have playability_status or basic_info with privacy status
-    try {
-      // Check playability_status if available
-      if (info?.playability_status) {
-        const status = info.playability_status.status;
-        if (status === 'LOGIN_REQUIRED' || status === 'UNPLAYABLE' || status === 'ERROR') {
-          throw new Error('Video is private, unplayable, or requires sign-in');
+      // Check if video is playable/accessible
+      // YouTube.js info object may have playability_status or basic_info with privacy status
+      try {
+        // Check playability_status if available
+        if (info?.playability_status) {
+          const status = info.playability_status.status;
+          if (status === 'LOGIN_REQUIRED' || status === 'UNPLAYABLE' || status === 'ERROR') {
+            throw new Error('Video is private, unplayable, or requires sign-in');
+          }
         }
-      }
       
-      // Check basic_info for privacy status
-      if (info?.basic_info) {
-        const privacy = info.basic_info.privacy;
-        if (privacy === 'PRIVATE' || privacy === 'UNLISTED') {
-          // Unlisted videos might still be accessible, but private ones are not
-          if (privacy === 'PRIVATE') {
-            throw new Error('Video is private and cannot be accessed');
+        // Check basic_info for privacy status
+        if (info?.basic_info) {
+          const privacy = info.basic_info.privacy;
+          if (privacy === 'PRIVATE' || privacy === 'UNLISTED') {
+            // Unlisted videos might still be accessible, but private ones are not
+            if (privacy === 'PRIVATE') {
+              throw new Error('Video is private and cannot be accessed');
+            }
           }
         }
-      }
       
-      // Check if video has streaming data (means it's playable)
-      if (!info?.streaming_data && info?.playability_status?.status !== 'OK') {
-        // If no streaming data and playability is not OK, video might not be accessible
-        console.log('⚠️  Warning: Video may not be fully accessible');
-      }
-    } catch (accessError) {
-      // If we detected an access issue, throw it
-      if (accessError.message.includes('private') || accessError.message.includes('unplayable') || accessError.message.includes('sign-in')) {
-        throw accessError;
+        // Check if video has streaming data (means it's playable)
+        if (!info?.streaming_data && info?.playability_status?.status !== 'OK') {
+          // If no streaming data and playability is not OK, video might not be accessible
+          console.log('⚠️  Warning: Video may not be fully accessible');
+        }
+      } catch (accessError) {
+        // If we detected an access issue, throw it
+        if (accessError.message.includes('private') || accessError.message.includes('unplayable') || accessError.message.includes('sign-in')) {
+          throw accessError;
+        }
+        // Otherwise, log and continue (might still work)
+        console.log('⚠️  Could not verify video accessibility, continuing...');
       }
-      // Otherwise, log and continue (might still work)
-      console.log('⚠️  Could not verify video accessibility, continuing...');
-    }
 
-    let originalText = null;
-    let transcriptionMethod = 'captions';
-    let captionLanguage = null;
-    let captionSegments = null; // Store caption segments with timestamps
+      // ============================================================
+      // ✅ PHASE 1: YouTube Captions Extraction (Primary Method)
+      // Using yt-dlp for reliable caption extraction
+      // Benefits: Instant, free, no file size limits, works for long videos, bypasses YouTube API restrictions
+      // ============================================================
+      console.log('📝 Checking for video captions with yt-dlp...');
+      onProgress(15, 'Checking for captions...');
 
-    // ============================================================
-    // ✅ PHASE 1: YouTube Captions Extraction (Primary Method)
-    // Using yt-dlp for reliable caption extraction
-    // Benefits: Instant, free, no file size limits, works for long videos, bypasses YouTube API restrictions
-    // ============================================================
-    console.log('📝 Checking for video captions with yt-dlp...');
-    sendProgress(res, 15, 'Checking for captions...');
-
-    try {
-      // Use caption service to extract captions
-      const captionData = await extractCaptionsWithYtDlp(videoUrl, videoId);
+      try {
+        // Use caption service to extract captions
+        const captionData = await extractCaptionsWithYtDlp(watchUrl, videoId, { sourceLanguage, trackKind });
       
-      if (captionData && captionData.fullText) {
-        originalText = captionData.fullText;
-        captionSegments = captionData.segments;
-        captionLanguage = captionData.language;
-        transcriptionMethod = 'yt-dlp-captions';
+        if (captionData && captionData.fullText) {
+          originalText = captionData.fullText;
+          captionSegments = captionData.segments;
+          captionLanguage = captionData.language;
+          captionTrackKind = captionData.trackKind;
+          transcriptionMethod = 'yt-dlp-captions';
         
-        console.log(`✅ Captions extracted successfully`);
-        console.log(`📊 Segments: ${captionData.totalSegments}`);
-        console.log(`📄 Length: ${captionData.totalCharacters} characters`);
-        console.log(`🌐 Language: ${captionLanguage}`);
+          console.log(`✅ Captions extracted successfully`);
+          console.log(`📊 Segments: ${captionData.totalSegments}`);
+          console.log(`📄 Length: ${captionData.totalCharacters} characters`);
+          console.log(`🌐 Language: ${captionLanguage}`);
         
-        sendProgress(res, 40, 'Captions extracted successfully');
-      } else {
-        console.log('⚠️  No captions available for this video');
+          onProgress(40, 'Captions extracted successfully');
+        } else {
+          console.log('⚠️  No captions available for this video');
+          console.log('🔄 Will fallback to Whisper transcription');
+        }
+      } catch (captionError) {
+        // Log detailed caption error for debugging
+        const errorMsg = captionError.message || 'Unknown error';
+        console.log('❌ Caption extraction failed:', errorMsg);
+        // The user picked a specific track - transcribing the audio instead would not be what they asked for
+        if (errorMsg.startsWith('Requested caption track')) {
+          throw captionError;
+        }
         console.log('🔄 Will fallback to Whisper transcription');
       }
-    } catch (captionError) {
-      // Log detailed caption error for debugging
-      const errorMsg = captionError.message || 'Unknown error';
-      console.log('❌ Caption extraction failed:', errorMsg);
-      console.log('🔄 Will fallback to Whisper transcription');
-    }
 
-    // ============================================================
-    // FALLBACK: Whisper Transcription (if no captions available)
-    // Only runs if captions extraction failed
-    // Note: Limited to 25MB files, slower, costs money
-    // ============================================================
-    if (!originalText || originalText.length === 0) {
-      console.log('='.repeat(80));
-      console.log('🎤 FALLBACK TO WHISPER TRANSCRIPTION');
-      console.log('='.repeat(80));
-      console.log('⚠️  No captions available, using OpenAI Whisper API');
-      console.log('⏱️  This will take longer and use API credits');
-      console.log('💰 Cost: ~$0.006 per minute of audio');
-      console.log('='.repeat(80));
+      // Auto-captions are one unpunctuated run of words - restore sentences and paragraphs per segment, keeping the timing
+      if (originalText && captionTrackKind === 'auto' && RESTORE_CAPTION_PUNCTUATION) {
+        onProgress(42, 'Restoring punctuation...');
+        captionSegments = await restoreCaptionPunctuation(captionSegments);
+        originalText = joinSegmentText(captionSegments);
+      }
+
+      // ============================================================
+      // FALLBACK: Whisper Transcription (if no captions available)
+      // Only runs if captions extraction failed
+      // Note: Files over 25MB are transcribed in chunks, slower, costs money
+      // ============================================================
+      if (!originalText || originalText.length === 0) {
+        console.log('='.repeat(80));
+        console.log('🎤 FALLBACK TO WHISPER TRANSCRIPTION');
+        console.log('='.repeat(80));
+        console.log(`⚠️  No captions available, using ${provider.name}`);
+        if (provider.id === 'openai') {
+          console.log('⏱️  This will take longer and use API credits');
+          console.log('💰 Cost: ~$0.006 per minute of audio');
+        } else {
+          console.log('⏱️  This will take longer (runs on this server\'s CPU)');
+        }
+        console.log('='.repeat(80));
       
-      sendProgress(res, 35, 'No captions found. Downloading audio for transcription...');
-      audioPath = await downloadAudio(videoUrl);
+        // Fail before downloading when the provider can't run or the video length alone is over the remaining Whisper minutes
+        assertTranscriptionProviderAvailable(provider);
+        if (videoMetadata?.duration) {
+          assertWhisperMinutes(entitlement, videoMetadata.duration);
+        }
 
-      if (!audioPath) {
-        throw new Error('Could not download audio from YouTube');
-      }
+        onProgress(35, 'No captions found. Downloading audio for transcription...');
+        audioPath = await downloadAudio(watchUrl);
+
+        if (!audioPath) {
+          throw new Error('Could not download audio from YouTube');
+        }
 
-      sendProgress(res, 50, 'Transcribing audio with Whisper (auto-detecting language)...');
-      const whisperResult = await transcribeWithWhisper(audioPath);
-      originalText = whisperResult.text;
-      transcriptionMethod = 'openai-whisper';
+        const audioDuration = await getAudioDuration(audioPath).catch(() => videoMetadata?.duration || 0);
+        assertWhisperMinutes(entitlement, audioDuration);
 
-      console.log('✅ Whisper transcription completed');
-      sendProgress(res, 65, 'Transcription completed');
+        onProgress(50, `Transcribing audio with ${provider.name} (auto-detecting language)...`);
+        const whisperResult = await transcribeAudio(audioPath, {
+          provider: provider.id,
+          onChunkProgress: (chunkIndex, totalChunks) => {
+            const chunkProgress = 50 + Math.round((chunkIndex / totalChunks) * 15);
+            onProgress(chunkProgress, `Transcribing audio chunk ${chunkIndex + 1} of ${totalChunks}...`);
+          }
+        });
+        recordUsage(entitlement, 'whisper', audioDuration / 60);
+        originalText = whisperResult.text;
+        transcriptionMethod = whisperResult.method;
+        // Whisper segments share the caption segment shape, so viewer/translation/export work the same
+        if (whisperResult.segments.length > 0) {
+          captionSegments = whisperResult.segments;
+          captionLanguage = whisperResult.language;
+        }
+
+        console.log('✅ Whisper transcription completed');
+        onProgress(65, 'Transcription completed');
+      }
     }
 
     // If targetLanguage is provided, translate; otherwise just return transcript
     let finalText = originalText;
     let translatedText = null;
+    let translatedSegments = null;
     
     if (targetLanguage) {
-      sendProgress(res, 70, `Translating to ${targetLanguage}...`);
+      onProgress(70, `Translating to ${targetLanguage}...`);
       
       // Use captions for translation if available
       if (captionSegments && captionSegments.length > 0) {
         console.log('📝 Using captions for translation');
         const translationResult = await translateCaptions(captionSegments, targetLanguage);
         translatedText = translationResult.translatedText;
+        translatedSegments = translationResult.segments;
       } else {
         console.log('📝 Using text for translation');
         translatedText = await translateWithGroq(originalText, targetLanguage);
@@ -721,19 +831,22 @@ app.post('/api/transcript', async (req, res) => {
       
       finalText = translatedText;
     } else {
-      sendProgress(res, 70, 'Finalizing transcript...');
+      onProgress(70, 'Finalizing transcript...');
     }
 
     // Calculate stats
     const wordCount = finalText.split(/\s+/).length;
     const readingTime = Math.ceil(wordCount / 200);
 
-    sendProgress(res, 100, 'Complete!');
+    onProgress(100, 'Complete!');
 
     console.log('='.repeat(80));
     console.log(targetLanguage ? '📊 TRANSLATION SUMMARY:' : '📊 TRANSCRIPTION SUMMARY:');
     console.log('='.repeat(80));
     console.log('🎥 Video ID:', videoId);
+    if (videoMetadata?.title) {
+      console.log('🎬 Title:', videoMetadata.title);
+    }
     console.log('📝 Transcription Method:', transcriptionMethod);
     if (transcriptionMethod === 'captions') {
       console.log('✅ Source: YouTube Captions (instant, free)');
@@ -741,7 +854,7 @@ app.post('/api/transcript', async (req, res) => {
         console.log('🌐 Caption Language:', captionLanguage);
       }
     } else {
-      console.log('🔄 Source: Whisper API (fallback)');
+      console.log('🔄 Source: Whisper transcription (fallback)');
     }
     if (targetLanguage) {
       console.log('🌐 Translation Target:', targetLanguage);
@@ -755,13 +868,33 @@ app.post('/api/transcript', async (req, res) => {
       wordCount,
       readingTime,
       videoId,
-      transcriptionMethod
+      transcriptionMethod,
+      ...(videoMetadata && { video: videoMetadata })
     };
 
     // Include caption segments with timestamps if available
     if (captionSegments && captionSegments.length > 0) {
       responseData.captions = captionSegments;
       responseData.captionLanguage = captionLanguage;
+      if (captionTrackKind) {
+        responseData.captionTrackKind = captionTrackKind;
+      }
+    }
+
+    // Cache the plain transcript separately so later translations of this video can reuse it
+    if (!cachedTranscript) {
+      const transcriptWordCount = originalText.split(/\s+/).length;
+      setCachedResult({ videoId, sourceLanguage: captionSelection, transcriptionMethod }, {
+        success: true,
+        wordCount: transcriptWordCount,
+        readingTime: Math.ceil(transcriptWordCount / 200),
+        videoId,
+        transcriptionMethod,
+        ...(videoMetadata && { video: videoMetadata }),
+        ...(responseData.captions && { captions: responseData.captions, captionLanguage }),
+        ...(captionTrackKind && { captionTrackKind }),
+        transcript: originalText
+      });
     }
 
     if (targetLanguage) {
@@ -769,11 +902,42 @@ app.post('/api/transcript', async (req, res) => {
       responseData.original = originalText;
       responseData.translated = translatedText;
       responseData.targetLanguage = targetLanguage;
+      if (translatedSegments) {
+        responseData.translatedCaptions = translatedSegments;
+      }
     } else {
       // Transcribe mode - return only transcript
       responseData.transcript = originalText;
     }
 
+    if (targetLanguage) {
+      setCachedResult({ videoId, sourceLanguage: captionSelection, transcriptionMethod, targetLanguage }, responseData);
+    }
+
+    recordUsage(entitlement, 'video');
+    // Identifies the cache entry for saving corrections (PUT /api/transcript/corrections)
+    const cacheKey = buildCacheKey({ videoId, sourceLanguage: captionSelection, transcriptionMethod, targetLanguage });
+    return { ...responseData, cacheKey, cached: false };
+  } finally {
+    if (audioPath) {
+      const audioDir = path.dirname(audioPath);
+      cleanupTempFile(audioDir);
+    }
+  }
+}
+
+// Get transcript endpoint with SSE progress updates
+app.post('/api/transcript', async (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  try {
+    const responseData = await runTranscriptPipeline({ ...req.body, entitlement: resolveEntitlement(req) }, (progress, message) => {
+      sendProgress(res, progress, message);
+    });
+
     res.write(`data: ${JSON.stringify(responseData)}\n\n`);
     res.end();
 
@@ -785,58 +949,752 @@ app.post('/api/transcript', async (req, res) => {
       res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
       res.end();
     }
-  } finally {
-    if (audioPath) {
-      const audioDir = path.dirname(audioPath);
-      cleanupTempFile(audioDir);
+  }
+});
+
+registerJobHandler('transcript', runTranscriptPipeline);
+
+const CORRECTION_FIELDS = ['text', 'translatedText', 'start', 'end'];
+const CORRECTION_MAX_TEXT_LENGTH = 5000;
+
+// Validate corrections against the cached transcript - returns an error message or null
+function getCorrectionsError(corrections, segmentCount) {
+  if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+    return 'Corrections must be an object of {segmentIndex: {text, translatedText, start, end}}';
+  }
+
+  for (const [index, correction] of Object.entries(corrections)) {
+    if (!/^\d+$/.test(index) || Number(index) >= segmentCount) {
+      return `Invalid segment index in corrections: ${index}`;
+    }
+    if (!correction || typeof correction !== 'object' || Object.keys(correction).some(field => !CORRECTION_FIELDS.includes(field))) {
+      return `Invalid correction for segment ${index}. Allowed fields: ${CORRECTION_FIELDS.join(', ')}`;
+    }
+    for (const field of ['text', 'translatedText']) {
+      if (correction[field] !== undefined && (typeof correction[field] !== 'string' || correction[field].length > CORRECTION_MAX_TEXT_LENGTH)) {
+        return `Invalid ${field} for segment ${index}`;
+      }
+    }
+    for (const field of ['start', 'end']) {
+      if (correction[field] !== undefined && (!Number.isFinite(correction[field]) || correction[field] < 0)) {
+        return `Invalid ${field} time for segment ${index}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Save the signed-in user's corrections of a cached transcript (replaces their previous corrections)
+// They are returned with the transcript the next time this user loads it from the cache
+// Anonymous callers share an IP-based key, so their corrections stay in their local history
+app.put('/api/transcript/corrections', requireAuth, (req, res) => {
+  try {
+    const { cacheKey, corrections } = req.body;
+
+    const transcript = typeof cacheKey === 'string' ? getCachedResultByKey(cacheKey) : null;
+    if (!transcript) {
+      return res.status(404).json({
+        error: 'This transcript is no longer cached. Your corrections are kept in your history only.'
+      });
+    }
+
+    const correctionsError = getCorrectionsError(corrections, transcript.captions?.length || 0);
+    if (correctionsError) {
+      return res.status(400).json({
+        error: correctionsError
+      });
+    }
+
+    const { callerKey } = resolveEntitlement(req);
+    setCachedCorrections(cacheKey, callerKey, corrections);
+    res.json({ success: true, corrections: Object.keys(corrections).length });
+  } catch (error) {
+    logError('transcript corrections', error);
+    res.status(error.statusCode || 500).json(formatErrorResponse(error));
+  }
+});
+
+// Submit a transcript job - returns immediately with a jobId
+app.post('/api/jobs', (req, res) => {
+  try {
+    const { videoUrl, targetLanguage, refresh, transcriptionProvider, sourceLanguage, trackKind } = req.body;
+
+    if (!extractVideoId(videoUrl || '')) {
+      return res.status(400).json(formatErrorResponse(new Error('Invalid YouTube URL')));
+    }
+    // Reject unknown options before the job is queued
+    getTranscriptionProvider(transcriptionProvider);
+    validateTrackKind(trackKind);
+    validateTargetLanguage(targetLanguage);
+    const entitlement = resolveEntitlement(req);
+    assertCanProcessVideo(entitlement, { targetLanguage });
+
+    const job = createJob('transcript', { videoUrl, targetLanguage, refresh, transcriptionProvider, sourceLanguage, trackKind, entitlement });
+    res.status(202).json(serializeJob(job));
+  } catch (error) {
+    logError('jobs', error);
+    const statusCode = error.statusCode || (error.message.includes('queue is full') ? 503 : 400);
+    res.status(statusCode).json(formatErrorResponse(error));
+  }
+});
+
+// Get job status (and result once completed)
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found. It may have expired.' });
+  }
+  res.json(serializeJob(job));
+});
+
+// Stream job progress via SSE
+// Events carry an id so reconnecting clients (Last-Event-ID) only receive what they missed
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found. It may have expired.' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const writeEvent = (event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  getJobEvents(job, lastEventId).forEach(writeEvent);
+  if (isJobFinished(job)) {
+    res.end();
+    return;
+  }
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    writeEvent(event);
+    if (isJobFinished(job)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+// Playlist/channel videos run the regular pipeline plus an optional summary for the ZIP export
+registerJobHandler('batch-video', async (params, onProgress) => {
+  const result = await runTranscriptPipeline(params, (progress, message) => {
+    onProgress(params.includeSummary ? Math.round(progress * 0.9) : progress, message);
+  });
+
+  if (params.includeSummary) {
+    onProgress(90, 'Generating summary...');
+    try {
+      const summaryLength = params.summaryLength || 'medium';
+      assertCanSummarize(params.entitlement, summaryLength);
+      result.summary = await generateSummary(result.translated || result.transcript, summaryLength, {
+        onProgress: (progress, message) => onProgress(90 + Math.round(progress * 0.09), message)
+      });
+      recordUsage(params.entitlement, 'summary');
+    } catch (summaryError) {
+      // A missing summary should not throw away a finished transcript
+      logError('batch summary', summaryError);
+      result.summaryError = formatErrorResponse(summaryError).error;
+    }
+  }
+
+  return result;
+});
+
+// Queue one transcript job per video of a playlist or channel
+app.post('/api/batches', async (req, res) => {
+  try {
+    const { url, targetLanguage, transcriptionProvider, sourceLanguage, trackKind, includeSummaries = true, summaryLength, limit } = req.body;
+
+    if (!parseCollectionUrl(url)) {
+      return res.status(400).json(formatErrorResponse(new Error('Invalid playlist or channel URL')));
+    }
+    getTranscriptionProvider(transcriptionProvider);
+    validateTrackKind(trackKind);
+    validateTargetLanguage(targetLanguage);
+    const entitlement = resolveEntitlement(req);
+    assertCanProcessVideo(entitlement, { targetLanguage });
+
+    // Only take as many videos as the plan has left today
+    const { remaining } = getUsage(entitlement);
+    const videoLimit = remaining.videosToday === null ? limit : Math.min(parseInt(limit, 10) || remaining.videosToday, remaining.videosToday);
+    const collection = await listCollectionVideos(url, { limit: videoLimit });
+    if (collection.videos.length > getAvailableQueueSlots()) {
+      return res.status(503).json(formatErrorResponse(new Error('Job queue is full. Please try again in a few minutes.')));
+    }
+
+    const batch = createBatch(collection, 'batch-video', {
+      targetLanguage,
+      transcriptionProvider,
+      sourceLanguage,
+      trackKind,
+      includeSummary: !!includeSummaries,
+      summaryLength,
+      entitlement
+    });
+    res.status(202).json(serializeBatch(batch));
+  } catch (error) {
+    logError('batches', error);
+    res.status(error.statusCode || 400).json(formatErrorResponse(error));
+  }
+});
+
+// Get batch status with per-video progress
+app.get('/api/batches/:id', (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found. It may have expired.' });
+  }
+  res.json(serializeBatch(batch));
+});
+
+// Stream aggregate batch progress via SSE - every event is a full batch snapshot
+app.get('/api/batches/:id/events', (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found. It may have expired.' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.flushHeaders();
+
+  const writeSnapshot = () => {
+    res.write(`data: ${JSON.stringify(serializeBatch(batch))}\n\n`);
+  };
+
+  writeSnapshot();
+  if (isBatchFinished(batch)) {
+    res.end();
+    return;
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  const unsubscribe = subscribeToBatch(batch, () => {
+    writeSnapshot();
+    if (isBatchFinished(batch)) {
+      cleanup();
+      res.end();
     }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
   }
+
+  req.on('close', cleanup);
 });
 
+// Download all finished transcripts and summaries of a batch as one ZIP
+app.get('/api/batches/:id/download', async (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found. It may have expired.' });
+  }
+
+  const fileName = `${batch.title.replace(/[^a-zA-Z0-9 _-]/g, '').trim().replace(/\s+/g, '_') || 'playlist'}_transcripts.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  try {
+    await writeBatchArchive(batch, res);
+  } catch (error) {
+    logError('batch download', error);
+    if (!res.headersSent) {
+      res.status(500).json(formatErrorResponse(error));
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Request problems the summary endpoint and summary jobs reject with a 400
+function getSummaryRequestError({ text, chapters, captions, summaryLength, summaryStyle }) {
+  if (!text || text.trim().length === 0) {
+    return 'No text provided for summarization';
+  }
+  if (chapters !== undefined && !Array.isArray(chapters)) {
+    return 'Chapters must be an array of {title, startTime, text}';
+  }
+  if (captions !== undefined && !Array.isArray(captions)) {
+    return 'Captions must be an array of {timestamp, start, text}';
+  }
+  // Checked before the plan's allowed lengths so an unknown length isn't offered as an upgrade
+  if (summaryLength !== undefined && !SUMMARY_LENGTHS.includes(summaryLength)) {
+    return `Invalid summary length: ${summaryLength}. Use one of: ${SUMMARY_LENGTHS.join(', ')}`;
+  }
+  if (summaryStyle !== undefined && !SUMMARY_STYLE_IDS.includes(summaryStyle)) {
+    return `Invalid summary style: ${summaryStyle}. Use one of: ${SUMMARY_STYLE_IDS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Summarize a transcript (optionally per chapter) and count it against the caller's quota
+ * Long transcripts are summarized in chunks and report progress along the way
+ * @param {Object} params - Request options ({text, summaryLength, summaryStyle, chapters, captions, entitlement}), plus onToken/signal when streaming
+ * @param {Function} [onProgress] - Called with (progress, message) as work advances
+ * @returns {Promise<Object>} Summary response data
+ */
+async function runSummary(params, onProgress = () => {}) {
+  const { text, chapters, captions, entitlement, onToken, signal } = params;
+  const summaryLength = params.summaryLength || 'medium';
+  const summaryStyle = params.summaryStyle || 'prose';
+  assertCanSummarize(entitlement, summaryLength);
+
+  console.log('Received summary request');
+  console.log('Text length:', text.length, 'characters');
+  console.log('Summary length:', summaryLength);
+  console.log('Summary style:', summaryStyle);
+  console.log('Chapters:', chapters?.length || 0);
+  console.log('Caption segments:', captions?.length || 0);
+
+  onProgress(0, 'Generating summary...');
+  const generated = await generateSummary(text, summaryLength, { style: summaryStyle, chapters, captions, onProgress, onToken, signal });
+  recordUsage(entitlement, 'summary');
+  const summary = typeof generated === 'string' ? generated : generated.summary;
+  const chapterSummaries = (typeof generated !== 'string' && generated.chapterSummaries) || null;
+  const structured = (typeof generated !== 'string' && generated.structured) || null;
+  const points = (typeof generated !== 'string' && generated.points) || null;
+  
+  // Calculate stats (without the [t=SECONDS] source markers of timestamped summaries)
+  const summaryText = stripTimestampMarkers(summary);
+  const wordCount = summaryText.split(/\s+/).length;
+  const readingTime = Math.ceil(wordCount / 200);
+
+  console.log('='.repeat(80));
+  console.log('📊 SUMMARY GENERATION SUMMARY:');
+  console.log('='.repeat(80));
+  console.log('📝 Original Length:', text.length, 'characters');
+  console.log('📝 Summary Length:', summaryText.length, 'characters');
+  console.log('📄 Summary Word Count:', wordCount);
+  console.log('⏱️ Reading Time:', readingTime, 'minutes');
+  console.log('='.repeat(80));
+
+  return {
+    success: true,
+    summary,
+    summaryStyle,
+    structured,
+    points,
+    chapterSummaries,
+    wordCount,
+    readingTime,
+    originalLength: text.length,
+    summaryLength: summaryText.length,
+    compressionRatio: ((1 - summaryText.length / text.length) * 100).toFixed(1) + '%'
+  };
+}
+
+registerJobHandler('summary', runSummary);
+
 // Generate summary endpoint
 app.post('/api/summary', async (req, res) => {
   try {
-    const { text, summaryLength } = req.body;
-    
-    if (!text || text.trim().length === 0) {
+    const { text, summaryLength, summaryStyle, chapters, captions } = req.body;
+
+    const requestError = getSummaryRequestError(req.body);
+    if (requestError) {
       return res.status(400).json({
-        error: 'No text provided for summarization'
+        error: requestError
       });
     }
 
-    console.log('Received summary request');
-    console.log('Text length:', text.length, 'characters');
-    console.log('Summary length:', summaryLength || 'medium');
-    
-    const summary = await generateSummary(text, summaryLength || 'medium');
-    
-    // Calculate stats
-    const wordCount = summary.split(/\s+/).length;
-    const readingTime = Math.ceil(wordCount / 200);
+    const responseData = await runSummary({ text, summaryLength, summaryStyle, chapters, captions, entitlement: resolveEntitlement(req) });
+    res.json(responseData);
 
-    console.log('='.repeat(80));
-    console.log('📊 SUMMARY GENERATION SUMMARY:');
-    console.log('='.repeat(80));
-    console.log('📝 Original Length:', text.length, 'characters');
-    console.log('📝 Summary Length:', summary.length, 'characters');
-    console.log('📄 Summary Word Count:', wordCount);
-    console.log('⏱️ Reading Time:', readingTime, 'minutes');
-    console.log('='.repeat(80));
+  } catch (error) {
+    logError('summary', error);
+    const errorResponse = formatErrorResponse(error);
+    res.status(error.statusCode || 500).json(errorResponse);
+  }
+});
 
-    res.json({
-      success: true,
-      summary,
-      wordCount,
-      readingTime,
-      originalLength: text.length,
-      summaryLength: summary.length,
-      compressionRatio: ((1 - summary.length / text.length) * 100).toFixed(1) + '%'
+// Stream a summary via SSE: progress events, {delta} events with generated text, then the full response
+// Closing the connection aborts the upstream AI request
+app.post('/api/summary/stream', async (req, res) => {
+  const { text, summaryLength, summaryStyle, chapters, captions } = req.body;
+
+  const requestError = getSummaryRequestError(req.body);
+  if (requestError) {
+    return res.status(400).json({
+      error: requestError
     });
+  }
 
+  // Plan limits are answered with a regular 402 before the stream starts
+  const entitlement = resolveEntitlement(req);
+  try {
+    assertCanSummarize(entitlement, summaryLength || 'medium');
   } catch (error) {
-    logError('summary', error);
+    return res.status(error.statusCode || 500).json(formatErrorResponse(error));
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.flushHeaders();
+
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const responseData = await runSummary({
+      text,
+      summaryLength,
+      summaryStyle,
+      chapters,
+      captions,
+      entitlement,
+      signal: abortController.signal,
+      onToken: (delta) => res.write(`data: ${JSON.stringify({ delta })}\n\n`)
+    }, (progress, message) => {
+      sendProgress(res, progress, message);
+    });
+
+    res.write(`data: ${JSON.stringify(responseData)}\n\n`);
+    res.end();
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('🛑 Summary stream cancelled by the client');
+      return;
+    }
+
+    logError('summary stream', error);
     const errorResponse = formatErrorResponse(error);
-    res.status(500).json(errorResponse);
+    
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
+      res.end();
+    }
+  }
+});
+
+// Submit a summary job - for long transcripts whose map-reduce summary takes a while
+// Progress and the result are streamed from /api/jobs/:id/events like transcript jobs
+app.post('/api/summary/jobs', (req, res) => {
+  try {
+    const { text, summaryLength, summaryStyle, chapters, captions } = req.body;
+
+    const requestError = getSummaryRequestError(req.body);
+    if (requestError) {
+      return res.status(400).json({
+        error: requestError
+      });
+    }
+
+    const entitlement = resolveEntitlement(req);
+    assertCanSummarize(entitlement, summaryLength || 'medium');
+
+    const job = createJob('summary', { text, summaryLength, summaryStyle, chapters, captions, entitlement });
+    res.status(202).json(serializeJob(job));
+  } catch (error) {
+    logError('summary jobs', error);
+    const statusCode = error.statusCode || (error.message.includes('queue is full') ? 503 : 400);
+    res.status(statusCode).json(formatErrorResponse(error));
+  }
+});
+
+// Topic chapters for videos without chapter markers
+// Counts against the daily summary quota - it is the same kind of AI request
+app.post('/api/chapters/detect', async (req, res) => {
+  try {
+    const { captions } = req.body;
+
+    if (!Array.isArray(captions) || captions.length === 0) {
+      return res.status(400).json({
+        error: 'No captions provided for topic detection'
+      });
+    }
+
+    const entitlement = resolveEntitlement(req);
+    assertCanSummarize(entitlement, 'short');
+
+    console.log('Received topic detection request');
+    console.log('Caption segments:', captions.length);
+
+    const chapters = await detectTopicChapters(captions);
+    recordUsage(entitlement, 'summary');
+
+    res.json({ success: true, chapters });
+  } catch (error) {
+    logError('chapters', error);
+    const errorResponse = formatErrorResponse(error);
+    res.status(error.statusCode || 500).json(errorResponse);
+  }
+});
+
+// Speaker labels for interviews, podcasts and panels (LLM-assisted diarization over the caption segments)
+// Counts against the daily summary quota like topic detection
+app.post('/api/speakers/detect', async (req, res) => {
+  try {
+    const { captions } = req.body;
+
+    if (!Array.isArray(captions) || captions.length === 0) {
+      return res.status(400).json({
+        error: 'No captions provided for speaker detection'
+      });
+    }
+
+    const entitlement = resolveEntitlement(req);
+    assertCanSummarize(entitlement, 'short');
+
+    console.log('Received speaker detection request');
+    console.log('Caption segments:', captions.length);
+
+    const { speakers, segmentSpeakers } = await detectSpeakers(captions);
+    recordUsage(entitlement, 'summary');
+
+    res.json({ success: true, speakers, segmentSpeakers });
+  } catch (error) {
+    logError('speakers', error);
+    const errorResponse = formatErrorResponse(error);
+    res.status(error.statusCode || 500).json(errorResponse);
+  }
+});
+
+const CHAT_MAX_QUESTION_LENGTH = 2000;
+
+// Validate a chat request body - returns an error message or null
+function getChatRequestError({ videoId, messages }) {
+  if (!videoId || typeof videoId !== 'string') {
+    return 'No video ID provided';
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'Messages must be a non-empty array of {role, content}';
+  }
+  const invalidMessage = messages.some(message =>
+    !['user', 'assistant'].includes(message?.role) || typeof message.content !== 'string' || !message.content.trim());
+  if (invalidMessage) {
+    return 'Messages must be a non-empty array of {role, content}';
+  }
+  const question = messages[messages.length - 1];
+  if (question.role !== 'user') {
+    return 'The last message must be a question from the user';
+  }
+  if (question.content.length > CHAT_MAX_QUESTION_LENGTH) {
+    return `Questions can be at most ${CHAT_MAX_QUESTION_LENGTH} characters long`;
+  }
+  return null;
+}
+
+// Ask questions about a video: answers come from the cached transcript and cite [t=SECONDS] markers
+// Streamed via SSE like /api/summary/stream ({delta} events, then {success, answer, citations})
+// Counts against the daily summary quota - it is the same kind of AI request
+app.post('/api/chat', async (req, res) => {
+  const { videoId, targetLanguage, messages } = req.body;
+
+  const requestError = getChatRequestError(req.body);
+  if (requestError) {
+    return res.status(400).json({
+      error: requestError
+    });
+  }
+
+  const transcript = findLatestCachedResult(videoId, { targetLanguage });
+  if (!transcript) {
+    return res.status(404).json({
+      error: 'This transcript is no longer cached. Load the video again to ask questions about it.'
+    });
+  }
+  const segments = (targetLanguage && transcript.translatedCaptions) || transcript.captions;
+  if (!segments || segments.length === 0) {
+    return res.status(400).json({
+      error: 'This transcript has no timestamps, so questions about it cannot be answered'
+    });
+  }
+
+  const entitlement = resolveEntitlement(req);
+  try {
+    assertCanSummarize(entitlement, 'short');
+  } catch (error) {
+    return res.status(error.statusCode || 500).json(formatErrorResponse(error));
+  }
+
+  console.log('Received chat request');
+  console.log('Video ID:', videoId, targetLanguage ? `(${targetLanguage})` : '');
+  console.log('Messages:', messages.length);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.flushHeaders();
+
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const { answer, citations } = await answerTranscriptQuestion(segments, messages, {
+      signal: abortController.signal,
+      onToken: (delta) => res.write(`data: ${JSON.stringify({ delta })}\n\n`)
+    });
+    recordUsage(entitlement, 'summary');
+
+    res.write(`data: ${JSON.stringify({ success: true, answer, citations })}\n\n`);
+    res.end();
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('🛑 Chat answer cancelled by the client');
+      return;
+    }
+
+    logError('chat', error);
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify(formatErrorResponse(error))}\n\n`);
+      res.end();
+    }
+  }
+});
+
+// ============================================================
+// Accounts: email + password or magic link sign-in
+// ============================================================
+function sendAuthError(res, context, error) {
+  // Wrong passwords, duplicate emails etc. are expected - only log real failures
+  if (!error.statusCode) {
+    logError(context, error);
+  }
+  res.status(error.statusCode || 500).json(formatErrorResponse(error));
+}
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const { user, token } = await registerUser(email, password);
+    res.status(201).json({ success: true, token, user: toPublicUser(user) });
+  } catch (error) {
+    sendAuthError(res, 'register', error);
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const { user, token } = await loginWithPassword(email, password);
+    console.log('🔑 Signed in:', user.email);
+    res.json({ success: true, token, user: toPublicUser(user) });
+  } catch (error) {
+    sendAuthError(res, 'login', error);
+  }
+});
+
+// Email a single-use sign-in link (also creates the account on first use)
+app.post('/api/auth/magic-link', async (req, res) => {
+  try {
+    const { email } = req.body;
+    const token = createMagicLink(email);
+    const link = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/?magic_token=${token}`;
+
+    await sendEmail({
+      to: email.trim(),
+      subject: 'Your sign-in link',
+      text: `Click the link below to sign in. It expires in ${parseFloat(process.env.MAGIC_LINK_TTL_MINUTES) || 15} minutes and can only be used once.\n\n${link}\n\nIf you didn't request this, you can ignore this email.`
+    });
+
+    res.json({ success: true, message: 'Check your email for a sign-in link.' });
+  } catch (error) {
+    sendAuthError(res, 'magic link', error);
+  }
+});
+
+app.post('/api/auth/magic-link/verify', (req, res) => {
+  try {
+    const { user, token } = consumeMagicLink(req.body.token);
+    console.log('🔑 Signed in with magic link:', user.email);
+    res.json({ success: true, token, user: toPublicUser(user) });
+  } catch (error) {
+    sendAuthError(res, 'magic link', error);
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  deleteAuthSession(getAuthToken(req));
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+// Add or change the password (e.g. for accounts created through a magic link or checkout)
+app.post('/api/auth/password', requireAuth, async (req, res) => {
+  try {
+    await setPassword(req.user.id, req.body.password);
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, 'password', error);
+  }
+});
+
+// ============================================================
+// Transcript history sync (the browser keeps the full library in IndexedDB)
+// ============================================================
+app.get('/api/history', requireAuth, (req, res) => {
+  try {
+    res.json({ entries: listHistoryEntries(req.user.id) });
+  } catch (error) {
+    logError('history', error);
+    res.status(500).json(formatErrorResponse(error));
+  }
+});
+
+// Upsert one entry - returns the stored copy, which is the server's if that one is newer
+app.put('/api/history/:id', requireAuth, (req, res) => {
+  try {
+    const entry = saveHistoryEntry(req.user.id, { ...req.body, id: req.params.id });
+    res.json({ success: true, entry });
+  } catch (error) {
+    logError('history', error);
+    res.status(error.statusCode || 500).json(formatErrorResponse(error));
+  }
+});
+
+app.delete('/api/history/:id', requireAuth, (req, res) => {
+  try {
+    deleteHistoryEntry(req.user.id, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    logError('history', error);
+    res.status(500).json(formatErrorResponse(error));
+  }
+});
+
+// Remaining plan quota for the caller (signed-in account, checkout sessionId or anonymous visitor)
+app.get('/api/usage', (req, res) => {
+  try {
+    res.json(getUsage(resolveEntitlement(req)));
+  } catch (error) {
+    logError('usage', error);
+    res.status(500).json(formatErrorResponse(error));
   }
 });
 
@@ -851,6 +1709,28 @@ app.get('/api/health', (req, res) => {
 });
 
 
+// List the manual and auto-generated caption tracks of a video
+app.get('/api/caption-tracks', async (req, res) => {
+  try {
+    const { videoUrl } = req.query;
+    const videoId = extractVideoId(videoUrl || '');
+    if (!videoId) {
+      return res.status(400).json(formatErrorResponse(new Error('Invalid YouTube URL')));
+    }
+
+    const tracks = await listCaptionTracks(`https://www.youtube.com/watch?v=${videoId}`);
+    res.json({ videoId, ...tracks });
+  } catch (error) {
+    logError('caption tracks', error);
+    res.status(500).json(formatErrorResponse(error));
+  }
+});
+
+// List speech-to-text providers available on this server
+app.get('/api/transcription-providers', (req, res) => {
+  res.json({ providers: listTranscriptionProviders() });
+});
+
 // Get pricing plans endpoint
 app.get('/api/plans', (req, res) => {
   try {
@@ -860,7 +1740,8 @@ app.get('/api/plans', (req, res) => {
       name: plan.name,
       price: plan.price,
       priceFormatted: plan.price === 0 ? 'Free' : `$${(plan.price / 100).toFixed(2)}`,
-      description: plan.description
+      description: plan.description,
+      limits: PLAN_LIMITS[plan.id]
     }));
 
     console.log('📋 Returning plans:', plans);
@@ -895,11 +1776,13 @@ app.post('/api/create-checkout-session', async (req, res) => {
     // Handle free plan
     if (plan.price === 0) {
       const sessionId = `free_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      paidSessions.set(sessionId, {
+      createCheckoutSession({
+        id: sessionId,
+        userId: req.user?.id,
         planId: 'free',
         videoUrl,
         targetLanguage,
-        timestamp: Date.now()
+        status: 'completed'
       });
       
       console.log('✅ Free plan session created:', sessionId);
@@ -912,12 +1795,13 @@ app.post('/api/create-checkout-session', async (req, res) => {
     // For paid plans, create Stripe subscription checkout with trial
     const sessionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    // Store session info to retrieve after payment
-    paidSessions.set(sessionId, {
+    // Store session info to retrieve after payment (the webhook links it to an account)
+    createCheckoutSession({
+      id: sessionId,
+      userId: req.user?.id,
       planId,
       videoUrl,
       targetLanguage,
-      timestamp: Date.now(),
       status: 'pending'
     });
 
@@ -940,13 +1824,19 @@ app.post('/api/create-checkout-session', async (req, res) => {
         }
       },
       client_reference_id: sessionId,
+      // Signed-in users reuse their Stripe customer; otherwise the checkout email is matched to an account
+      ...(req.user?.stripe_customer_id
+        ? { customer: req.user.stripe_customer_id }
+        : req.user ? { customer_email: req.user.email } : {}),
       success_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/?session_id=${sessionId}&videoUrl=${encodeURIComponent(videoUrl)}&targetLanguage=${encodeURIComponent(targetLanguage || 'en')}`,
       cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/?canceled=true`,
       metadata: {
         sessionId: sessionId,
-        planId: planId
+        planId: planId,
+        ...(req.user && { userId: String(req.user.id) })
       }
     });
+    setCheckoutStripeId(sessionId, checkoutSession.id);
     
     console.log(`💳 Subscription checkout created with ${plan.trialDays} days trial:`, checkoutSession.id);
     
@@ -1021,8 +1911,21 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server is running on port ${PORT}`);
   console.log('Available endpoints:');
   console.log('  - POST /api/transcript (transcribe + translate with SSE)');
+  console.log('  - POST /api/jobs (queue a transcript job)');
+  console.log('  - GET  /api/jobs/:id (job status and result)');
+  console.log('  - GET  /api/jobs/:id/events (job progress with SSE)');
+  console.log('  - POST /api/batches (queue every video of a playlist/channel)');
+  console.log('  - GET  /api/batches/:id (batch status)');
+  console.log('  - GET  /api/batches/:id/events (batch progress with SSE)');
+  console.log('  - GET  /api/batches/:id/download (ZIP of transcripts and summaries)');
   console.log('  - POST /api/summary (generate AI summary)');
+  console.log('  - GET  /api/caption-tracks (list caption tracks of a video)');
+  console.log('  - GET  /api/transcription-providers (list speech-to-text providers)');
   console.log('  - GET  /api/plans (get pricing plans)');
   console.log('  - POST /api/create-checkout-session (initiate payment)');
+  console.log('  - POST /api/auth/register | /api/auth/login | /api/auth/magic-link (accounts)');
+  console.log('  - GET  /api/auth/me (current account and subscription)');
+  console.log('  - GET  /api/usage (remaining plan quota)');
+  console.log('  - GET  /api/history | PUT/DELETE /api/history/:id (transcript history sync)');
   console.log('  - GET  /api/health (health check)');
 });
\ No newline at end of file
@@ -0,0 +1,344 @@
+// Account service
+// User accounts (email + password or magic link), login sessions, checkout sessions
+// and the Stripe subscription state that decides which plan a user is on
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import dotenv from 'dotenv';
+import { getDatabase } from './database.js';
+
+dotenv.config();
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const AUTH_SESSION_TTL_MS = (parseFloat(process.env.AUTH_SESSION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAGIC_LINK_TTL_MS = (parseFloat(process.env.MAGIC_LINK_TTL_MINUTES) || 15) * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Subscription statuses that still grant the paid plan
+// past_due keeps access while Stripe retries the payment; Stripe cancels the subscription if retries fail
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+function accountError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const toIsoDate = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+function normalizeEmail(email) {
+  const normalized = (email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw accountError('Invalid email address');
+  }
+  return normalized;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, expected] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const hash = await scryptAsync(password, salt, 64);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+/**
+ * Plan a user is entitled to right now
+ * @param {Object|null} user - User row
+ * @returns {string} Plan ID ('free' without an active subscription)
+ */
+export function getEffectivePlanId(user) {
+  if (!user || !ACTIVE_SUBSCRIPTION_STATUSES.includes(user.subscription_status)) {
+    return 'free';
+  }
+  return user.plan_id;
+}
+
+/**
+ * Public view of a user (never includes the password hash)
+ * @param {Object} user - User row
+ * @returns {Object} User as returned by the API
+ */
+export function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    planId: getEffectivePlanId(user),
+    subscribedPlanId: user.plan_id,
+    subscriptionStatus: user.subscription_status,
+    trialEndsAt: toIsoDate(user.trial_ends_at),
+    currentPeriodEnd: toIsoDate(user.current_period_end),
+    cancelAtPeriodEnd: !!user.cancel_at_period_end,
+    canceledAt: toIsoDate(user.canceled_at),
+    hasPassword: !!user.password_hash,
+    createdAt: toIsoDate(user.created_at)
+  };
+}
+
+export function getUserById(userId) {
+  return getDatabase().prepare('SELECT * FROM users WHERE id = ?').get(userId) || null;
+}
+
+/**
+ * Find a user by email, creating a password-less account if none exists
+ * (used for magic links and for customers who subscribed without signing in)
+ * @param {string} email - Email address
+ * @returns {Object} User row
+ */
+export function findOrCreateUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  const existing = getDatabase().prepare('SELECT * FROM users WHERE email = ?').get(normalized);
+  if (existing) {
+    return existing;
+  }
+
+  const now = Date.now();
+  const result = getDatabase()
+    .prepare('INSERT INTO users (email, created_at, updated_at) VALUES (?, ?, ?)')
+    .run(normalized, now, now);
+  console.log('👤 Created account:', normalized);
+  return getUserById(result.lastInsertRowid);
+}
+
+/**
+ * Create a login session for a user
+ * @param {number} userId - User ID
+ * @returns {string} Session token to send as "Authorization: Bearer <token>"
+ */
+export function createAuthSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  getDatabase()
+    .prepare('INSERT INTO auth_sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), userId, now, now + AUTH_SESSION_TTL_MS);
+  return token;
+}
+
+/**
+ * Resolve a session token to its user
+ * @param {string} token - Session token
+ * @returns {Object|null} User row or null if the token is unknown or expired
+ */
+export function getUserByAuthToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const session = db.prepare('SELECT * FROM auth_sessions WHERE token_hash = ?').get(hashToken(token));
+  if (!session) {
+    return null;
+  }
+  if (Date.now() > session.expires_at) {
+    db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(session.token_hash);
+    return null;
+  }
+  return getUserById(session.user_id);
+}
+
+export function deleteAuthSession(token) {
+  getDatabase().prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(hashToken(token || ''));
+}
+
+/**
+ * Register a new account with email and password
+ * @returns {Promise<Object>} {user, token}
+ */
+export async function registerUser(email, password) {
+  const normalized = normalizeEmail(email);
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw accountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  // Accounts created by checkout or magic link have no password yet - setting one
+  // without proving email ownership would hand over the subscription, so ask for a magic link
+  if (getDatabase().prepare('SELECT id FROM users WHERE email = ?').get(normalized)) {
+    throw accountError('An account with this email already exists', 409);
+  }
+
+  const now = Date.now();
+  const passwordHash = await hashPassword(password);
+  const result = getDatabase()
+    .prepare('INSERT INTO users (email, password_hash, created_at, updated_at) VALUES (?, ?, ?, ?)')
+    .run(normalized, passwordHash, now, now);
+  console.log('👤 Registered account:', normalized);
+
+  const user = getUserById(result.lastInsertRowid);
+  return { user, token: createAuthSession(user.id) };
+}
+
+/**
+ * Sign in with email and password
+ * @returns {Promise<Object>} {user, token}
+ */
+export async function loginWithPassword(email, password) {
+  const user = getDatabase().prepare('SELECT * FROM users WHERE email = ?').get((email || '').trim().toLowerCase());
+  if (!user || !(await verifyPassword(password || '', user.password_hash))) {
+    throw accountError('Invalid email or password', 401);
+  }
+  return { user, token: createAuthSession(user.id) };
+}
+
+/**
+ * Set or change the password of a signed-in user
+ */
+export async function setPassword(userId, password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw accountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  getDatabase()
+    .prepare('UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?')
+    .run(await hashPassword(password), Date.now(), userId);
+}
+
+/**
+ * Create a single-use sign-in token for an email address
+ * @param {string} email - Email address
+ * @returns {string} Magic link token
+ */
+export function createMagicLink(email) {
+  const normalized = normalizeEmail(email);
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  getDatabase()
+    .prepare('INSERT INTO magic_links (token_hash, email, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), normalized, now, now + MAGIC_LINK_TTL_MS);
+  return token;
+}
+
+/**
+ * Exchange a magic link token for a login session (creates the account on first use)
+ * @param {string} token - Magic link token
+ * @returns {Object} {user, token}
+ */
+export function consumeMagicLink(token) {
+  const db = getDatabase();
+  const link = db.prepare('SELECT * FROM magic_links WHERE token_hash = ?').get(hashToken(token || ''));
+
+  if (!link || link.used_at || Date.now() > link.expires_at) {
+    throw accountError('Magic link is invalid or has expired', 401);
+  }
+
+  db.prepare('UPDATE magic_links SET used_at = ? WHERE token_hash = ?').run(Date.now(), link.token_hash);
+  const user = findOrCreateUserByEmail(link.email);
+  return { user, token: createAuthSession(user.id) };
+}
+
+/**
+ * Record a checkout started on our side (replaces the old in-memory paidSessions map)
+ */
+export function createCheckoutSession({ id, userId = null, planId, videoUrl, targetLanguage, status, stripeCheckoutId = null }) {
+  const now = Date.now();
+  getDatabase()
+    .prepare(`INSERT INTO checkout_sessions
+      (id, user_id, plan_id, video_url, target_language, status, stripe_checkout_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(id, userId, planId, videoUrl || null, targetLanguage || null, status, stripeCheckoutId, now, now);
+}
+
+export function getCheckoutSession(id) {
+  return getDatabase().prepare('SELECT * FROM checkout_sessions WHERE id = ?').get(id) || null;
+}
+
+export function setCheckoutStripeId(id, stripeCheckoutId) {
+  getDatabase()
+    .prepare('UPDATE checkout_sessions SET stripe_checkout_id = ?, updated_at = ? WHERE id = ?')
+    .run(stripeCheckoutId, Date.now(), id);
+}
+
+/**
+ * Handle a completed Stripe checkout: mark our checkout session paid and link the
+ * Stripe customer/subscription to the user (signed in at checkout, or matched by email)
+ * @param {Object} session - Stripe checkout.session object
+ * @returns {Object|null} Linked user row
+ */
+export function completeCheckout(session) {
+  const db = getDatabase();
+  const checkout = session.client_reference_id ? getCheckoutSession(session.client_reference_id) : null;
+  const planId = session.metadata?.planId || checkout?.plan_id;
+
+  return db.transaction(() => {
+    if (checkout) {
+      db.prepare(`UPDATE checkout_sessions
+        SET status = 'completed', stripe_customer_id = ?, stripe_subscription_id = ?, updated_at = ?
+        WHERE id = ?`)
+        .run(session.customer, session.subscription, Date.now(), checkout.id);
+    }
+
+    const email = session.customer_details?.email || session.customer_email;
+    const user = checkout?.user_id
+      ? getUserById(checkout.user_id)
+      : email ? findOrCreateUserByEmail(email) : null;
+
+    if (!user) {
+      console.warn('⚠️  Checkout completed without a user or email - subscription not linked:', session.id);
+      return null;
+    }
+
+    db.prepare(`UPDATE users
+      SET stripe_customer_id = ?, stripe_subscription_id = ?, plan_id = COALESCE(?, plan_id),
+          subscription_status = COALESCE(subscription_status, 'incomplete'), updated_at = ?
+      WHERE id = ?`)
+      .run(session.customer, session.subscription, planId || null, Date.now(), user.id);
+
+    if (checkout && !checkout.user_id) {
+      db.prepare('UPDATE checkout_sessions SET user_id = ? WHERE id = ?').run(user.id, checkout.id);
+    }
+
+    console.log(`🔗 Linked Stripe customer ${session.customer} to ${user.email}`);
+    return getUserById(user.id);
+  })();
+}
+
+/**
+ * Apply a Stripe subscription object (created/updated/deleted/trial_will_end) to its user
+ * @param {Object} subscription - Stripe subscription object
+ * @param {string} [planId] - Plan ID if known (taken from subscription metadata otherwise)
+ * @returns {Object|null} Updated user row, or null if no user is linked to this customer yet
+ */
+export function applySubscriptionUpdate(subscription, planId) {
+  const db = getDatabase();
+  const user = db.prepare('SELECT * FROM users WHERE stripe_subscription_id = ? OR stripe_customer_id = ?')
+    .get(subscription.id, subscription.customer);
+
+  if (!user) {
+    console.warn('⚠️  No account linked to Stripe customer:', subscription.customer);
+    return null;
+  }
+
+  const toMillis = (seconds) => (seconds ? seconds * 1000 : null);
+  // Newer Stripe API versions moved the billing period onto subscription items
+  const periodEnd = subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end;
+
+  db.prepare(`UPDATE users
+    SET stripe_customer_id = ?, stripe_subscription_id = ?, plan_id = ?, subscription_status = ?,
+        trial_ends_at = ?, current_period_end = ?, cancel_at_period_end = ?, canceled_at = ?, updated_at = ?
+    WHERE id = ?`)
+    .run(
+      subscription.customer,
+      subscription.id,
+      planId || subscription.metadata?.planId || user.plan_id,
+      subscription.status,
+      toMillis(subscription.trial_end),
+      toMillis(periodEnd),
+      subscription.cancel_at_period_end ? 1 : 0,
+      toMillis(subscription.canceled_at || subscription.ended_at),
+      Date.now(),
+      user.id
+    );
+
+  const updated = getUserById(user.id);
+  console.log(`🔄 Subscription ${subscription.id} for ${updated.email}: ${updated.subscription_status} (plan: ${getEffectivePlanId(updated)})`);
+  return updated;
+}
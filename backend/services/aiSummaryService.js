@@ -4,6 +4,8 @@
 import Groq from 'groq-sdk';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { SUMMARY_STYLE_IDS, buildStylePrompt, formatStyledSummary } from './summaryStyles.js';
+import { timestampToSeconds, secondsToTimestamp } from './captionService.js';
 
 dotenv.config();
 
@@ -11,47 +13,222 @@ dotenv.config();
 const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
-/**
- * Summarize text using OpenAI (fallback)
- * @param {string} text - Text to summarize
- * @param {string} summaryLength - Length of summary: 'short', 'medium', or 'long'
- * @returns {Promise<string>} - Summary text
- */
-async function summarizeWithOpenAI(text, summaryLength = 'medium') {
-  console.log('📝 Fallback to OpenAI for summarization...');
-  console.log('🤖 Using Model: OpenAI GPT-4o-mini');
-  console.log('📊 Summary Length:', summaryLength);
-  console.log('⚙️ Summarization Config: temperature=0.5, max_tokens=4096');
+// Transcripts over this size are summarized in chunks (map-reduce) instead of one prompt
+const SUMMARY_CHUNK_TOKENS = parseInt(process.env.SUMMARY_CHUNK_TOKENS, 10) || 6000;
+// Chunk summaries running at the same time per summary request
+const SUMMARY_CONCURRENCY = parseInt(process.env.SUMMARY_CONCURRENCY, 10) || 3;
+
+// Source citations in timed summaries, e.g. [t=125] for the transcript block starting at 2:05
+const TIMESTAMP_MARKER_PATTERN = /\[t=(\d+(?:\.\d+)?)\]/g;
+// Caption segments are merged into blocks of this many seconds before they are sent to the model
+const TIMED_BLOCK_SECONDS = 30;
+
+// Prompt requirement for transcripts sent as [t=SECONDS] lines of timed blocks
+const CITATION_REQUIREMENT = '- Lines start with [t=SECONDS] markers that show where they are in the video. End every point with the marker of the line it comes from, e.g. [t=125]. Only use markers that appear in the text';
+
+// Transcript excerpts sent with a chat question (long transcripts only get the most relevant blocks)
+const CHAT_CONTEXT_TOKENS = parseInt(process.env.CHAT_CONTEXT_TOKENS, 10) || 4000;
+// Earlier chat messages included in the prompt
+const CHAT_HISTORY_MESSAGES = 8;
+
+// Caption lines sent per punctuation request - the model returns about as much text as it is sent
+const PUNCTUATION_CHUNK_TOKENS = 1500;
+// Caption text with fewer sentence ends per word than this is treated as unpunctuated
+const MIN_SENTENCE_ENDS_PER_WORD = 1 / 40;
+
+// Transcript lines sent per speaker detection request - later parts continue with the speakers found so far
+const SPEAKER_CHUNK_TOKENS = 3000;
+// Labeled lines from the end of the previous part, so a turn can carry over into the next one
+const SPEAKER_CONTEXT_LINES = 4;
+const SPEAKER_ID_PATTERN = /^S\d+$/;
+
+// Words too common to say anything about which part of a transcript a question is about
+const SEARCH_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our', 'out',
+  'has', 'his', 'how', 'its', 'who', 'did', 'does', 'what', 'when', 'where', 'which', 'why', 'with', 'this', 'that',
+  'they', 'them', 'there', 'their', 'then', 'than', 'from', 'have', 'been', 'were', 'will', 'would', 'could', 'should',
+  'about', 'into', 'just', 'like', 'some', 'say', 'said', 'says', 'talk', 'talks', 'video', 'mention', 'mentioned', 'tell'
+]);
+
+// Target length of the overall summary
+function getLengthGuidance(summaryLength) {
+  switch (summaryLength) {
+    case 'short':
+      return 'Keep the summary concise, around 100-150 words.';
+    case 'long':
+      return 'Provide a detailed summary, around 400-500 words.';
+    case 'medium':
+    default:
+      return 'Provide a balanced summary, around 200-300 words.';
+  }
+}
 
-  // Determine word count target based on summary length
-  let lengthGuidance = '';
+// Target length of each chapter summary
+function getChapterLengthGuidance(summaryLength) {
   switch (summaryLength) {
     case 'short':
-      lengthGuidance = 'Keep the summary concise, around 100-150 words.';
-      break;
+      return '1-2 sentences';
     case 'long':
-      lengthGuidance = 'Provide a detailed summary, around 400-500 words.';
-      break;
+      return 'one detailed paragraph (4-6 sentences)';
     case 'medium':
     default:
-      lengthGuidance = 'Provide a balanced summary, around 200-300 words.';
-      break;
+      return '2-3 sentences';
   }
+}
+
+function buildSummaryPrompt(text, summaryLength, { fromNotes = false, timed = false } = {}) {
+  const task = fromNotes
+    ? 'The following are notes on consecutive parts of a long transcript. Combine them into one comprehensive summary of the whole transcript.'
+    : 'Create a comprehensive summary of the following transcript.';
 
-  const summaryPrompt = `You are an expert content summarizer. Create a comprehensive summary of the following transcript.
+  return `You are an expert content summarizer. ${task}
 
 Requirements:
 - Capture the main points, key ideas, and important details
 - Organize the summary with clear sections if the content covers multiple topics
 - Use bullet points or numbered lists for better readability when appropriate
 - Maintain the original context and meaning
-- ${lengthGuidance}
+- ${getLengthGuidance(summaryLength)}
 - Write in a clear, professional, and engaging style
 - Do not add any information not present in the original text
 - Only output the summary, no preamble or additional commentary
-
-Transcript to summarize:
+${timed ? `${CITATION_REQUIREMENT}\n` : ''}
+${fromNotes ? 'Notes' : 'Transcript to summarize'}:
 ${text}`;
+}
+
+// Map step: condense one part of a long transcript into notes for the final summary
+function buildChunkNotesPrompt(chunk, index, total, timed = false) {
+  const maxWords = Math.max(100, Math.round(chunk.split(/\s+/).length / 5));
+
+  return `You are an expert content summarizer. The following is part ${index + 1} of ${total} of a long transcript.
+Write dense notes on this part; they will be combined with the notes on the other parts into one summary.
+
+Requirements:
+- Keep every main point, key idea, name, number and conclusion
+- Keep the order in which things are said
+- Use short bullet points, at most ${maxWords} words in total
+- Do not add any information not present in the text
+- Only output the notes, no preamble or additional commentary
+${timed ? `${CITATION_REQUIREMENT}\n` : ''}
+Transcript part:
+${chunk}`;
+}
+
+function buildChapterSummaryPrompt(chapters, summaryLength, fromNotes = false) {
+  const transcript = chapters
+    .map((chapter, index) => `### Chapter ${index + 1}: ${chapter.title}\n${chapter.text}`)
+    .join('\n\n');
+  const source = fromNotes ? 'The following are notes on a long transcript' : 'The following transcript is';
+
+  return `You are an expert content summarizer. ${source} split into ${chapters.length} chapters.
+Summarize each chapter, then the video as a whole.
+
+Requirements:
+- Each chapter summary is ${getChapterLengthGuidance(summaryLength)} about that chapter only
+- The overall summary covers the whole video. ${getLengthGuidance(summaryLength)}
+- Use bullet points in the overall summary when appropriate
+- Maintain the original context and meaning
+- Do not add any information not present in the original text
+- Respond with JSON only, in exactly this shape:
+{"overall": "overall summary", "chapters": [{"index": 1, "summary": "summary of chapter 1"}]}
+- Include every chapter, in order, using the chapter numbers shown
+
+${fromNotes ? 'Notes' : 'Transcript'}:
+${transcript}`;
+}
+
+function buildTopicPrompt(blocks) {
+  return `You are segmenting a video transcript into chapters by topic.
+Each line starts with the time in seconds where that part of the transcript begins.
+
+Requirements:
+- Find the points where the topic clearly changes
+- Return between 3 and 12 chapters; fewer for short videos
+- The first chapter starts at 0
+- Chapter titles are short (2-6 words), descriptive, in the transcript's language
+- Only use start times that appear in the transcript
+- Respond with JSON only, in exactly this shape:
+{"chapters": [{"startTime": 0, "title": "Introduction"}]}
+
+Transcript:
+${blocks.map(block => `[${block.startTime}] ${block.text}`).join('\n')}`;
+}
+
+function buildPunctuationPrompt(lines, contextLines) {
+  const context = contextLines.length > 0
+    ? `
+The transcript continues from these lines (for context only, don't return them):
+${contextLines.join('\n')}
+`
+    : '';
+
+  return `You are restoring punctuation in automatic video captions, which come without any.
+Each line starts with its line number. Lines are cut by time, so sentences run across lines.
+
+Requirements:
+- Add punctuation and capitalization only: keep every word, in order, on its own line
+- Never move words between lines, merge lines or split them
+- Mark the lines where a new paragraph starts (a new thought or topic, usually every 3-8 sentences) with "paragraph": true
+- Respond with JSON only, in exactly this shape, with one entry per line:
+{"lines": [{"line": 0, "text": "So, today we look at caching.", "paragraph": true}, {"line": 1, "text": "Why does it matter?", "paragraph": false}]}
+${context}
+Captions:
+${lines.join('\n')}`;
+}
+
+function buildSpeakerPrompt(lines, knownSpeakers, contextLines) {
+  const continuation = contextLines.length > 0
+    ? `
+This continues a longer transcript. Speakers found so far: ${knownSpeakers.map(speaker => (speaker.name ? `${speaker.id} (${speaker.name})` : speaker.id)).join(', ')}
+Keep their IDs. The previous part ended with:
+${contextLines.join('\n')}
+`
+    : '';
+
+  return `You are labeling who speaks when in a video transcript, such as an interview, podcast or panel.
+Each line starts with its line number. Lines are cut by time, so one sentence can run over several lines.
+
+Requirements:
+- Find the lines where a different person starts speaking: answers to questions, replies, introductions, people addressed by name
+- Speakers are S1, S2, S3...; the same person keeps the same ID
+- Give a speaker's name only when the transcript says it (they introduce themselves or are addressed by it), otherwise null
+- If only one person speaks, every line is S1
+- turns lists the first line of every turn, in order; a turn lasts until the next one starts
+- Respond with JSON only, in exactly this shape:
+{"speakers": [{"id": "S1", "name": "Anna"}, {"id": "S2", "name": null}], "turns": [{"line": 0, "speaker": "S1"}, {"line": 4, "speaker": "S2"}]}
+${continuation}
+Transcript:
+${lines.join('\n')}`;
+}
+
+// Read a completion; with options.onToken it is a stream and every token is forwarded as it arrives
+async function readCompletion(completion, options) {
+  if (!options.onToken) {
+    return completion.choices[0].message.content.trim();
+  }
+
+  let output = '';
+  for await (const chunk of completion) {
+    const delta = chunk.choices[0]?.delta?.content || '';
+    if (delta) {
+      output += delta;
+      options.onToken(delta);
+    }
+  }
+  return output.trim();
+}
+
+/**
+ * Run a prompt on OpenAI (fallback)
+ * @param {string} prompt - Prompt to run
+ * @param {Object} options - {task, json, onToken, signal}
+ * @returns {Promise<string>} - Model output
+ */
+async function completeWithOpenAI(prompt, options = {}) {
+  console.log(`📝 Fallback to OpenAI for ${options.task || 'summarization'}...`);
+  console.log('🤖 Using Model: OpenAI GPT-4o-mini');
+  console.log('⚙️ Config: temperature=0.5, max_tokens=4096');
 
   try {
     const completion = await openai.chat.completions.create({
@@ -59,84 +236,63 @@ ${text}`;
       messages: [
         {
           role: "user",
-          content: summaryPrompt
+          content: prompt
         }
       ],
       temperature: 0.5,
       max_tokens: 4096,
-    });
+      stream: !!options.onToken,
+      ...(options.json && { response_format: { type: 'json_object' } })
+    }, { signal: options.signal });
 
-    const summary = completion.choices[0].message.content.trim();
-    console.log('✅ Summarization completed using OpenAI GPT-4o-mini!');
-    console.log('📄 Summary length:', summary.length, 'characters');
+    const output = await readCompletion(completion, options);
+    console.log(`✅ ${options.task || 'Summarization'} completed using OpenAI GPT-4o-mini!`);
+    console.log('📄 Output length:', output.length, 'characters');
     
-    return summary;
+    return output;
   } catch (openaiError) {
-    console.error('❌ OpenAI summarization failed:', openaiError.message);
+    console.error(`❌ OpenAI ${options.task || 'summarization'} failed:`, openaiError.message);
     throw new Error(`Both Groq and OpenAI summarization failed: ${openaiError.message}`);
   }
 }
 
 /**
- * Summarize text using Groq with OpenAI fallback
- * @param {string} text - Text to summarize
- * @param {string} summaryLength - Length of summary: 'short', 'medium', or 'long'
- * @returns {Promise<string>} - Summary text
+ * Run a prompt on Groq with OpenAI fallback
+ * @param {string} prompt - Prompt to run
+ * @param {Object} options - {task, json, onToken, signal}
+ * @returns {Promise<string>} - Model output
  */
-async function summarizeWithGroq(text, summaryLength = 'medium') {
-  console.log('📝 Starting summarization...');
-  console.log('🤖 Using Model: Groq Llama-3.3-70b-versatile');
-  console.log('📊 Summary Length:', summaryLength);
-  console.log('⚙️ Summarization Config: temperature=0.5, max_tokens=8192');
-
-  // Determine word count target based on summary length
-  let lengthGuidance = '';
-  switch (summaryLength) {
-    case 'short':
-      lengthGuidance = 'Keep the summary concise, around 100-150 words.';
-      break;
-    case 'long':
-      lengthGuidance = 'Provide a detailed summary, around 400-500 words.';
-      break;
-    case 'medium':
-    default:
-      lengthGuidance = 'Provide a balanced summary, around 200-300 words.';
-      break;
-  }
-
-  const summaryPrompt = `You are an expert content summarizer. Create a comprehensive summary of the following transcript.
+async function completeWithGroq(prompt, options = {}) {
+  // Falling back after tokens were forwarded would repeat the start of the text
+  let streamed = false;
+  const groqOptions = options.onToken
+    ? { ...options, onToken: (delta) => { streamed = true; options.onToken(delta); } }
+    : options;
 
-Requirements:
-- Capture the main points, key ideas, and important details
-- Organize the summary with clear sections if the content covers multiple topics
-- Use bullet points or numbered lists for better readability when appropriate
-- Maintain the original context and meaning
-- ${lengthGuidance}
-- Write in a clear, professional, and engaging style
-- Do not add any information not present in the original text
-- Only output the summary, no preamble or additional commentary
-
-Transcript to summarize:
-${text}`;
+  console.log(`📝 Starting ${options.task || 'summarization'}...`);
+  console.log('🤖 Using Model: Groq Llama-3.3-70b-versatile');
+  console.log('⚙️ Config: temperature=0.5, max_tokens=8192');
 
   try {
     const completion = await groq.chat.completions.create({
       messages: [
         {
           role: "user",
-          content: summaryPrompt
+          content: prompt
         }
       ],
       model: "llama-3.3-70b-versatile",
       temperature: 0.5,
       max_tokens: 8192,
-    });
+      stream: !!options.onToken,
+      ...(options.json && { response_format: { type: 'json_object' } })
+    }, { signal: options.signal });
 
-    const summary = completion.choices[0].message.content.trim();
-    console.log('✅ Summarization completed using Groq Llama-3.3-70b-versatile!');
-    console.log('📄 Summary length:', summary.length, 'characters');
+    const output = await readCompletion(completion, groqOptions);
+    console.log(`✅ ${options.task || 'Summarization'} completed using Groq Llama-3.3-70b-versatile!`);
+    console.log('📄 Output length:', output.length, 'characters');
     
-    return summary;
+    return output;
   } catch (groqError) {
     // Groq SDK errors can come in different formats
     let errorMessage = groqError.message || groqError.toString();
@@ -174,10 +330,10 @@ ${text}`;
                              (errorObj && (errorObj.code === 'rate_limit_exceeded' || 
                               (errorObj.error && errorObj.error.code === 'rate_limit_exceeded')));
     
-    if (isRateLimitError) {
+    if (isRateLimitError && !streamed) {
       console.log('⚠️ Groq rate limit reached, falling back to OpenAI...');
       try {
-        return await summarizeWithOpenAI(text, summaryLength);
+        return await completeWithOpenAI(prompt, options);
       } catch (fallbackError) {
         console.error('❌ OpenAI fallback also failed:', fallbackError.message);
         // Re-throw original Groq error with fallback info
@@ -200,17 +356,595 @@ ${text}`;
   }
 }
 
+// Models occasionally wrap JSON in a code fence despite being asked not to
+function parseJsonOutput(output, errorMessage = 'AI returned an invalid chapter response') {
+  const json = output.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(json);
+  } catch {
+    throw new Error(errorMessage);
+  }
+}
+
+// Rough token count - about 4 characters per token for English text
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Split numbered transcript lines into parts of at most maxTokens
+ * @param {Array<string>} lines - Transcript lines
+ * @param {number} maxTokens - Maximum (estimated) tokens per part
+ * @returns {Array<Object>} Line ranges as {start, end} (end exclusive)
+ */
+function splitLinesIntoParts(lines, maxTokens) {
+  const parts = [];
+  let partStart = 0;
+  let partTokens = 0;
+  lines.forEach((line, index) => {
+    if (partTokens + estimateTokens(line) > maxTokens && index > partStart) {
+      parts.push({ start: partStart, end: index });
+      partStart = index;
+      partTokens = 0;
+    }
+    partTokens += estimateTokens(line);
+  });
+  parts.push({ start: partStart, end: lines.length });
+  return parts;
+}
+
+/**
+ * Split text into chunks of at most maxTokens, cutting between sentences
+ * @param {string} text - Text to split
+ * @param {number} maxTokens - Maximum (estimated) tokens per chunk
+ * @returns {Array<string>} Chunks in order
+ */
+function splitIntoChunks(text, maxTokens) {
+  const maxChars = maxTokens * 4;
+  const sentences = text.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [text];
+  const chunks = [];
+  let current = '';
+
+  for (let sentence of sentences) {
+    // Auto-generated captions often have no punctuation - cut long runs at word boundaries
+    while (sentence.length > maxChars) {
+      const wordBreak = sentence.lastIndexOf(' ', maxChars);
+      const cut = wordBreak > 0 ? wordBreak : maxChars;
+      if (current.trim()) {
+        chunks.push(current.trim());
+        current = '';
+      }
+      chunks.push(sentence.slice(0, cut).trim());
+      sentence = sentence.slice(cut);
+    }
+
+    if (current.length + sentence.length > maxChars && current.trim()) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+  return chunks;
+}
+
+// Runs at most `concurrency` tasks at once; every AI call of one summary goes through the same limiter
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Shrink text until it fits in one prompt: summarize its chunks into notes,
+ * and the notes again if they are still too long
+ * @param {string} text - Text to condense
+ * @param {Object} context - {limit, maxTokens, timed, signal, onChunkQueued, onChunkDone}
+ * @returns {Promise<string>} Text or notes of at most maxTokens (estimated)
+ */
+async function condenseToFit(text, context) {
+  let current = text;
+
+  while (estimateTokens(current) > context.maxTokens) {
+    const chunks = splitIntoChunks(current, SUMMARY_CHUNK_TOKENS);
+    context.onChunkQueued(chunks.length);
+
+    const notes = await Promise.all(chunks.map((chunk, index) => context.limit(async () => {
+      const output = await completeWithGroq(buildChunkNotesPrompt(chunk, index, chunks.length, context.timed), { task: `chunk ${index + 1}/${chunks.length} summarization`, signal: context.signal });
+      context.onChunkDone();
+      return output;
+    })));
+
+    const condensed = notes.join('\n\n');
+    // Notes that are no shorter than their input would loop forever - go with what we have
+    if (condensed.length >= current.length) {
+      return condensed;
+    }
+    current = condensed;
+  }
+
+  return current;
+}
+
+function buildChapterSummaryResult(chapters, parsed) {
+  if (typeof parsed.overall !== 'string' || !Array.isArray(parsed.chapters)) {
+    throw new Error('AI returned an invalid chapter response');
+  }
+
+  return {
+    summary: parsed.overall.trim(),
+    chapterSummaries: chapters.map((chapter, index) => ({
+      title: chapter.title,
+      startTime: chapter.startTime,
+      timestamp: chapter.timestamp,
+      summary: (parsed.chapters.find(item => Number(item.index) === index + 1)?.summary
+        || parsed.chapters[index]?.summary
+        || '').trim()
+    }))
+  };
+}
+
+// Summary of a transcript (or of notes on a long one) in the requested style
+// Prose is plain text and can be streamed; the other styles are JSON, rendered to text for exports
+async function summarizeText(text, summaryLength, style, { fromNotes = false, timed = false, onToken, signal }) {
+  const task = fromNotes ? 'final summarization' : 'summarization';
+  if (style === 'prose') {
+    return await completeWithGroq(buildSummaryPrompt(text, summaryLength, { fromNotes, timed }), { task, onToken, signal });
+  }
+
+  const output = await completeWithGroq(buildStylePrompt(style, text, summaryLength, { fromNotes, timed }), { task: `${style} ${task}`, json: true, signal });
+  const { structured, text: summary } = formatStyledSummary(style, parseJsonOutput(output, 'AI returned an invalid summary response'));
+  if (!summary) {
+    throw new Error('AI returned an invalid summary response');
+  }
+  return { summary, structured };
+}
+
+/**
+ * Map-reduce summary for transcripts too long for one prompt
+ * Chunks are summarized into notes in parallel, then the notes are summarized at the requested length
+ */
+async function generateLongSummary(text, summaryLength, style, chapters, options) {
+  const { onProgress, onToken, signal, timed } = options;
+  let queuedChunks = 0;
+  let doneChunks = 0;
+  const context = {
+    limit: createLimiter(SUMMARY_CONCURRENCY),
+    maxTokens: SUMMARY_CHUNK_TOKENS,
+    timed,
+    signal,
+    onChunkQueued: (count) => {
+      queuedChunks += count;
+    },
+    onChunkDone: () => {
+      doneChunks++;
+      onProgress(Math.round(5 + (doneChunks / queuedChunks) * 80), `Summarized part ${doneChunks} of ${queuedChunks}...`);
+    }
+  };
+
+  console.log(`✂️  Transcript is ~${estimateTokens(text)} tokens (over ${SUMMARY_CHUNK_TOKENS}), summarizing in chunks with concurrency ${SUMMARY_CONCURRENCY}...`);
+  onProgress(5, 'Splitting transcript into parts...');
+
+  if (chapters.length === 0) {
+    const notes = await condenseToFit(text, context);
+    onProgress(90, 'Writing final summary...');
+    return await summarizeText(notes, summaryLength, style, { fromNotes: true, timed, onToken, signal });
+  }
+
+  // Every chapter gets an equal share of the final prompt
+  const chapterContext = { ...context, maxTokens: Math.max(500, Math.floor(SUMMARY_CHUNK_TOKENS / chapters.length)) };
+  const chapterNotes = await Promise.all(chapters.map(async chapter => ({
+    ...chapter,
+    text: await condenseToFit(chapter.text, chapterContext)
+  })));
+
+  onProgress(90, 'Writing chapter and final summaries...');
+  const output = await completeWithGroq(buildChapterSummaryPrompt(chapterNotes, summaryLength, true), { task: 'chapter summarization', json: true, signal });
+  return buildChapterSummaryResult(chapters, parseJsonOutput(output));
+}
+
+// Seconds for a caption segment (segments from older caches only have the timestamp string)
+function getSegmentStart(segment) {
+  return typeof segment.start === 'number' ? segment.start : timestampToSeconds(segment.timestamp || '00:00');
+}
+
+// Merge caption segments into ~30 second blocks - enough resolution to point into the video, far fewer tokens
+function buildTimedBlocks(segments) {
+  const blocks = [];
+  segments.forEach(segment => {
+    const startTime = Math.floor(getSegmentStart(segment));
+    const text = segment.translatedText || segment.text || '';
+    const last = blocks[blocks.length - 1];
+    if (last && startTime - last.startTime < TIMED_BLOCK_SECONDS) {
+      last.text += ` ${text}`;
+    } else {
+      blocks.push({ startTime, text });
+    }
+  });
+  return blocks;
+}
+
+function snapToBlockStart(seconds, blockStarts) {
+  return blockStarts.reduce((closest, start) =>
+    Math.abs(start - seconds) < Math.abs(closest - seconds) ? start : closest, blockStarts[0]);
+}
+
+// Models sometimes cite a time between two blocks - point them at the nearest block they were shown
+function normalizeTimestampMarkers(text, blockStarts) {
+  return text.replace(TIMESTAMP_MARKER_PATTERN, (marker, seconds) => `[t=${snapToBlockStart(Number(seconds), blockStarts)}]`);
+}
+
+/**
+ * Remove [t=SECONDS] source markers from summary text
+ * @param {string} text - Summary text
+ * @returns {string} Text without markers
+ */
+export function stripTimestampMarkers(text) {
+  return text.replace(TIMESTAMP_MARKER_PATTERN, '').replace(/[ \t]+$/gm, '');
+}
+
+// Every summary line that cites a marker becomes a point linked to that moment of the video
+function extractTimestampedPoints(text) {
+  return text.split('\n').flatMap(line => {
+    const marker = line.match(/\[t=(\d+(?:\.\d+)?)\]/);
+    const pointText = stripTimestampMarkers(line).replace(/^\s*(?:[-*•]|\d+[.)]|\[ \])\s*/, '').trim();
+    if (!marker || !pointText) return [];
+    const startTime = Number(marker[1]);
+    return [{ text: pointText, startTime, timestamp: secondsToTimestamp(startTime) }];
+  });
+}
+
+// Apply fn to every string in a JSON value (markers sit inside the strings of structured styles)
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+function attachTimestampedPoints(generated, blockStarts) {
+  const normalize = (text) => normalizeTimestampMarkers(text, blockStarts);
+  const result = typeof generated === 'string'
+    ? { summary: normalize(generated) }
+    : { ...generated, summary: normalize(generated.summary), structured: mapStrings(generated.structured, normalize) };
+  return { ...result, points: extractTimestampedPoints(result.summary) };
+}
+
 /**
  * Main function to generate summary
  * Uses Groq as primary provider with OpenAI fallback
+ * With chapters, every chapter gets its own summary next to the overall one (prose style only)
+ * With caption segments (and no chapters), points cite [t=SECONDS] markers and are returned as timestamped points
+ * Transcripts over SUMMARY_CHUNK_TOKENS are summarized in chunks first (map-reduce)
  * @param {string} text - Text to summarize
  * @param {string} summaryLength - Length of summary: 'short', 'medium', or 'long'
- * @returns {Promise<string>} - Summary text
+ * @param {Object} [options] - Options
+ * @param {string} [options.style='prose'] - 'prose' or a structured style from summaryStyles.js
+ * @param {Array<Object>} [options.chapters] - Chapters as {title, startTime, timestamp, text}
+ * @param {Array<Object>} [options.captions] - Caption segments ({timestamp, start, text}) to cite timestamps from
+ * @param {Function} [options.onProgress] - Called with (progress, message) while long transcripts are summarized
+ * @param {Function} [options.onToken] - Streams the summary: called with each text delta (prose only - chapter summaries and other styles are JSON)
+ * @param {AbortSignal} [options.signal] - Aborts the upstream AI requests
+ * @returns {Promise<string|Object>} - Summary text, or an object with summary plus chapterSummaries (chapters), structured (structured styles) and points (captions)
  */
-export async function generateSummary(text, summaryLength = 'medium') {
+export async function generateSummary(text, summaryLength = 'medium', options = {}) {
   if (!text || text.trim().length === 0) {
     throw new Error('No text provided for summarization');
   }
 
-  return await summarizeWithGroq(text, summaryLength);
+  const { style = 'prose', onProgress = () => {}, onToken, signal } = options;
+  if (!SUMMARY_STYLE_IDS.includes(style)) {
+    throw new Error(`Invalid summary style: ${style}. Use one of: ${SUMMARY_STYLE_IDS.join(', ')}`);
+  }
+
+  console.log('📊 Summary Length:', summaryLength);
+  console.log('🎨 Summary Style:', style);
+
+  const chapters = style !== 'prose' ? [] : (options.chapters || []).filter(chapter => chapter.text && chapter.text.trim().length > 0);
+  if (chapters.length > 0) {
+    if (estimateTokens(chapters.map(chapter => chapter.text).join('\n')) > SUMMARY_CHUNK_TOKENS) {
+      return await generateLongSummary(text, summaryLength, style, chapters, { onProgress, onToken, signal });
+    }
+
+    console.log('📚 Summarizing', chapters.length, 'chapters');
+    const output = await completeWithGroq(buildChapterSummaryPrompt(chapters, summaryLength), { task: 'chapter summarization', json: true, signal });
+    return buildChapterSummaryResult(chapters, parseJsonOutput(output));
+  }
+
+  const blocks = Array.isArray(options.captions) && options.captions.length > 0 ? buildTimedBlocks(options.captions) : null;
+  const timed = !!blocks;
+  const sourceText = timed ? blocks.map(block => `[t=${block.startTime}] ${block.text}`).join('\n') : text;
+
+  const generated = estimateTokens(sourceText) > SUMMARY_CHUNK_TOKENS
+    ? await generateLongSummary(sourceText, summaryLength, style, [], { onProgress, onToken, signal, timed })
+    : await summarizeText(sourceText, summaryLength, style, { timed, onToken, signal });
+
+  return timed ? attachTimestampedPoints(generated, blocks.map(block => block.startTime)) : generated;
+}
+
+/**
+ * Detect topic boundaries in a transcript that has no chapters
+ * @param {Array<Object>} segments - Caption segments ({timestamp, start, text})
+ * @returns {Promise<Array<Object>>} Chapters as {title, startTime}, first one at 0
+ */
+export async function detectTopicChapters(segments) {
+  if (!segments || segments.length === 0) {
+    throw new Error('No captions provided for topic detection');
+  }
+
+  const blocks = buildTimedBlocks(segments);
+
+  const output = await completeWithGroq(buildTopicPrompt(blocks), { task: 'topic detection', json: true });
+  const parsed = parseJsonOutput(output);
+  if (!Array.isArray(parsed.chapters)) {
+    throw new Error('AI returned an invalid chapter response');
+  }
+
+  // Snap each start to a block the model was shown and drop duplicates
+  const blockStarts = blocks.map(block => block.startTime);
+  const chapters = parsed.chapters
+    .filter(chapter => chapter && typeof chapter.title === 'string' && Number.isFinite(Number(chapter.startTime)))
+    .map(chapter => ({
+      title: chapter.title.trim(),
+      startTime: snapToBlockStart(Number(chapter.startTime), blockStarts)
+    }))
+    .sort((a, b) => a.startTime - b.startTime)
+    .filter((chapter, index, all) => index === 0 || chapter.startTime > all[index - 1].startTime);
+
+  if (chapters.length === 0) {
+    throw new Error('AI returned an invalid chapter response');
+  }
+  chapters[0].startTime = 0;
+
+  console.log('📚 Detected', chapters.length, 'topics');
+  return chapters;
+}
+
+/**
+ * Label caption segments with the speaker talking in them (LLM-assisted diarization)
+ * Long transcripts are labeled in parts, one after the other, so speaker IDs carry over
+ * @param {Array<Object>} segments - Caption segments ({timestamp, start, text})
+ * @returns {Promise<Object>} {speakers: [{id, name}], segmentSpeakers} with a speaker ID per segment
+ */
+export async function detectSpeakers(segments) {
+  if (!segments || segments.length === 0) {
+    throw new Error('No captions provided for speaker detection');
+  }
+
+  const lines = segments.map((segment, index) => `[${index}] ${(segment.text || '').trim()}`);
+  const parts = splitLinesIntoParts(lines, SPEAKER_CHUNK_TOKENS);
+
+  const segmentSpeakers = new Array(segments.length).fill(null);
+  const names = new Map(); // Speaker ID -> name from the transcript (null when never said)
+
+  for (const [partIndex, part] of parts.entries()) {
+    const contextLines = [];
+    for (let index = Math.max(0, part.start - SPEAKER_CONTEXT_LINES); index < part.start; index++) {
+      contextLines.push(`${segmentSpeakers[index]}: ${lines[index].slice(0, 300)}`);
+    }
+    const knownSpeakers = [...names].map(([id, name]) => ({ id, name }));
+
+    const output = await completeWithGroq(buildSpeakerPrompt(lines.slice(part.start, part.end), knownSpeakers, contextLines), {
+      task: parts.length > 1 ? `speaker detection (part ${partIndex + 1}/${parts.length})` : 'speaker detection',
+      json: true
+    });
+    const parsed = parseJsonOutput(output, 'AI returned an invalid speaker response');
+    if (!Array.isArray(parsed.turns)) {
+      throw new Error('AI returned an invalid speaker response');
+    }
+
+    (Array.isArray(parsed.speakers) ? parsed.speakers : [])
+      .filter(speaker => speaker && SPEAKER_ID_PATTERN.test(speaker.id))
+      .forEach(speaker => {
+        const name = typeof speaker.name === 'string' ? speaker.name.trim() : '';
+        if (name || !names.has(speaker.id)) {
+          names.set(speaker.id, name || names.get(speaker.id) || null);
+        }
+      });
+
+    const turnStarts = new Map();
+    parsed.turns
+      .filter(turn => turn && SPEAKER_ID_PATTERN.test(turn.speaker) && Number.isInteger(Number(turn.line)))
+      .forEach(turn => {
+        const line = Number(turn.line);
+        if (line >= part.start && line < part.end) turnStarts.set(line, turn.speaker);
+      });
+
+    // Lines before the first turn of a part continue the turn the previous part ended with
+    let speaker = part.start > 0 ? segmentSpeakers[part.start - 1] : 'S1';
+    for (let index = part.start; index < part.end; index++) {
+      speaker = turnStarts.get(index) || speaker;
+      segmentSpeakers[index] = speaker;
+    }
+  }
+
+  // Number speakers by first appearance, so S1 is whoever speaks first
+  const ids = new Map();
+  segmentSpeakers.forEach(id => {
+    if (!ids.has(id)) ids.set(id, `S${ids.size + 1}`);
+  });
+  const speakers = [...ids].map(([detectedId, id]) => ({
+    id,
+    name: names.get(detectedId) || `Speaker ${id.slice(1)}`
+  }));
+
+  console.log('🗣️ Detected', speakers.length, 'speakers');
+  return { speakers, segmentSpeakers: segmentSpeakers.map(id => ids.get(id)) };
+}
+
+// Words of a caption line without punctuation or case - a restored line has to keep exactly these
+function getPlainWords(text) {
+  return (text.toLowerCase().replace(/['’]/g, '').match(/[\p{L}\p{N}]+/gu) || []).join(' ');
+}
+
+// Auto-captions of most languages come without punctuation; manual captions and Whisper have it
+function needsPunctuation(segments) {
+  const text = segments.map(segment => segment.text || '').join(' ');
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const sentenceEnds = (text.match(/[.!?。！？]/g) || []).length;
+  return words >= 20 && sentenceEnds / words < MIN_SENTENCE_ENDS_PER_WORD;
+}
+
+/**
+ * Restore punctuation, capitalization and paragraph breaks in auto-captions
+ * Every segment is punctuated in place, so its words keep their timestamps
+ * Lines the model changed beyond punctuation, and parts that failed, keep the caption text
+ * @param {Array<Object>} segments - Caption segments ({timestamp, start, end, text})
+ * @returns {Promise<Array<Object>>} Segments with restored text, paragraphStart on the first segment of each paragraph
+ */
+export async function restoreCaptionPunctuation(segments) {
+  if (!segments || !needsPunctuation(segments)) {
+    return segments;
+  }
+
+  const lines = segments.map((segment, index) => `[${index}] ${(segment.text || '').trim()}`);
+  const parts = splitLinesIntoParts(lines, PUNCTUATION_CHUNK_TOKENS);
+  const limit = createLimiter(SUMMARY_CONCURRENCY);
+  const restored = segments.map(segment => ({ ...segment }));
+  let restoredCount = 0;
+
+  await Promise.all(parts.map((part, partIndex) => limit(async () => {
+    try {
+      const contextLines = lines.slice(Math.max(0, part.start - 2), part.start);
+      const output = await completeWithGroq(buildPunctuationPrompt(lines.slice(part.start, part.end), contextLines), {
+        task: parts.length > 1 ? `punctuation restoration (part ${partIndex + 1}/${parts.length})` : 'punctuation restoration',
+        json: true
+      });
+      const parsed = parseJsonOutput(output, 'AI returned an invalid punctuation response');
+
+      (Array.isArray(parsed.lines) ? parsed.lines : []).forEach(line => {
+        const index = Number(line?.line);
+        if (!Number.isInteger(index) || index < part.start || index >= part.end || typeof line.text !== 'string') return;
+        if (getPlainWords(line.text) !== getPlainWords(segments[index].text || '')) return;
+        restored[index].text = line.text.trim();
+        if (line.paragraph === true && index > 0) {
+          restored[index].paragraphStart = true;
+        }
+        restoredCount++;
+      });
+    } catch (error) {
+      console.log(`⚠️ Punctuation restoration failed for part ${partIndex + 1}/${parts.length}, keeping the caption text:`, error.message);
+    }
+  })));
+
+  console.log(`✍️ Restored punctuation in ${restoredCount}/${segments.length} caption segments`);
+  return restored;
+}
+
+function tokenizeForSearch(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 1 && !SEARCH_STOP_WORDS.has(word));
+}
+
+/**
+ * Pick the transcript blocks most relevant to a question (BM25 ranking) within a token budget
+ * Short transcripts are sent whole
+ * @param {Array<Object>} blocks - Timed blocks ({startTime, text})
+ * @param {string} query - Question, with the previous question for follow-ups
+ * @param {number} maxTokens - Token budget for the excerpts
+ * @returns {Array<Object>} Selected blocks in video order
+ */
+function selectRelevantBlocks(blocks, query, maxTokens) {
+  const blockTokens = blocks.map(block => estimateTokens(block.text));
+  const totalTokens = blockTokens.reduce((total, tokens) => total + tokens, 0);
+  if (totalTokens <= maxTokens) {
+    return blocks;
+  }
+
+  const queryTerms = [...new Set(tokenizeForSearch(query))];
+  const blockTerms = blocks.map(block => tokenizeForSearch(block.text));
+  const averageLength = blockTerms.reduce((total, terms) => total + terms.length, 0) / blocks.length || 1;
+
+  const scores = blockTerms.map(terms => queryTerms.reduce((score, term) => {
+    const frequency = terms.filter(word => word === term).length;
+    if (frequency === 0) return score;
+    const blocksWithTerm = blockTerms.filter(other => other.includes(term)).length;
+    const idf = Math.log(1 + (blocks.length - blocksWithTerm + 0.5) / (blocksWithTerm + 0.5));
+    return score + idf * (frequency * 2.2) / (frequency + 1.2 * (0.25 + 0.75 * terms.length / averageLength));
+  }, 0));
+
+  if (Math.max(...scores) === 0) {
+    // Nothing to match (e.g. "what is this about?") - sample blocks evenly over the whole video
+    const stride = Math.ceil(totalTokens / maxTokens);
+    return blocks.filter((block, index) => index % stride === 0);
+  }
+
+  // Best matches first, then the blocks around them (answers often continue past the matching words)
+  const matches = blocks.map((block, index) => index).filter(index => scores[index] > 0).sort((a, b) => scores[b] - scores[a]);
+  const neighbours = matches.flatMap(index => [index - 1, index + 1]).filter(index => index >= 0 && index < blocks.length);
+  const selected = [];
+  let usedTokens = 0;
+  for (const index of [...matches, ...neighbours]) {
+    if (selected.includes(index) || usedTokens + blockTokens[index] > maxTokens) continue;
+    selected.push(index);
+    usedTokens += blockTokens[index];
+  }
+
+  return selected.sort((a, b) => a - b).map(index => blocks[index]);
+}
+
+function buildChatPrompt(blocks, messages, partial) {
+  const history = messages.slice(-CHAT_HISTORY_MESSAGES).map(message =>
+    `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`).join('\n\n');
+
+  return `You answer questions about a video using only its transcript.
+
+Requirements:
+- Answer the last question of the conversation from the transcript excerpts below
+- If the excerpts do not contain the answer, say so instead of guessing${partial ? '\n- Only the parts of the transcript most related to the question are shown' : ''}
+- Lines start with [t=SECONDS] markers that show where they are in the video. Cite the lines you use by putting their marker after the sentence, e.g. "The plan costs $20 a month [t=125]." Only use markers that appear in the excerpts
+- Answer in the language of the question
+- Be concise: short paragraphs or bullet points, no preamble
+
+Transcript excerpts:
+${blocks.map(block => `[t=${block.startTime}] ${block.text}`).join('\n')}
+
+Conversation:
+${history}`;
+}
+
+/**
+ * Answer a question about a transcript, citing the moments of the video it is based on
+ * @param {Array<Object>} segments - Caption segments ({timestamp, start, text})
+ * @param {Array<Object>} messages - Conversation ({role: 'user'|'assistant', content}), ending with the question
+ * @param {Object} [options] - {onToken: streams the answer as it is generated, signal: AbortSignal}
+ * @returns {Promise<Object>} {answer (with [t=SECONDS] markers), citations: [{startTime, timestamp}]}
+ */
+export async function answerTranscriptQuestion(segments, messages, { onToken, signal } = {}) {
+  if (!segments || segments.length === 0) {
+    throw new Error('No timed transcript to chat about');
+  }
+
+  const blocks = buildTimedBlocks(segments);
+  // Follow-up questions ("what did he say about it?") often need the previous question to find their subject
+  const query = messages.filter(message => message.role === 'user').slice(-2).map(message => message.content).join(' ');
+  const excerpts = selectRelevantBlocks(blocks, query, CHAT_CONTEXT_TOKENS);
+  console.log(`💬 Answering question with ${excerpts.length}/${blocks.length} transcript blocks`);
+
+  const output = await completeWithGroq(buildChatPrompt(excerpts, messages, excerpts.length < blocks.length), { task: 'transcript Q&A', onToken, signal });
+  const answer = normalizeTimestampMarkers(output.trim(), blocks.map(block => block.startTime));
+
+  const citedStarts = [...new Set([...answer.matchAll(TIMESTAMP_MARKER_PATTERN)].map(match => Number(match[1])))].sort((a, b) => a - b);
+  return {
+    answer,
+    citations: citedStarts.map(startTime => ({ startTime, timestamp: secondsToTimestamp(startTime) }))
+  };
 }
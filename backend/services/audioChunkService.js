@@ -0,0 +1,168 @@
+// Audio chunking service
+// Splits long audio into overlapping chunks with ffmpeg and stitches chunk transcripts back together
+
+import { promisify } from 'util';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { createSegment } from './captionService.js';
+
+// Commands run without a shell - file paths are passed as plain arguments
+const execFileAsync = promisify(execFile);
+
+// 10 minutes of 64kbps mono audio is ~4.8MB - comfortably under the 25MB Whisper limit
+const DEFAULT_CHUNK_DURATION = 600; // seconds
+const DEFAULT_CHUNK_OVERLAP = 10; // seconds
+const MAX_SEAM_OVERLAP_WORDS = 12;
+
+/**
+ * Get audio duration using ffprobe
+ * @param {string} audioPath - Path to audio file
+ * @returns {Promise<number>} Duration in seconds
+ */
+export async function getAudioDuration(audioPath) {
+  const args = ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', audioPath];
+
+  try {
+    const { stdout } = await execFileAsync('ffprobe', args, { timeout: 30000 });
+    const duration = parseFloat(stdout.trim());
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error(`Invalid duration output: ${stdout.trim()}`);
+    }
+    return duration;
+  } catch (error) {
+    const errorMsg = error.message || error.toString();
+    if (errorMsg.includes('not found') || errorMsg.includes('ENOENT')) {
+      throw new Error('ffmpeg/ffprobe is not installed. Please install it on your server to transcribe long audio.');
+    }
+    throw new Error(`Could not read audio duration: ${errorMsg}`);
+  }
+}
+
+/**
+ * Split audio into overlapping chunks
+ * Chunks are re-encoded as 16kHz mono MP3 which is all Whisper needs
+ * @param {string} audioPath - Path to audio file
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.chunkDuration=600] - Chunk length in seconds
+ * @param {number} [options.overlap=10] - Overlap between consecutive chunks in seconds
+ * @param {string} [options.outputDir] - Directory for chunk files (defaults to a folder next to the audio)
+ * @returns {Promise<Array>} Chunks as {path, index, offset, duration}
+ */
+export async function splitAudioIntoChunks(audioPath, options = {}) {
+  const {
+    chunkDuration = DEFAULT_CHUNK_DURATION,
+    overlap = DEFAULT_CHUNK_OVERLAP,
+    outputDir = path.join(path.dirname(audioPath), `chunks_${Date.now()}`)
+  } = options;
+
+  const totalDuration = await getAudioDuration(audioPath);
+  console.log(`✂️  Splitting ${(totalDuration / 60).toFixed(1)} min of audio into ${chunkDuration / 60} min chunks (${overlap}s overlap)...`);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const chunks = [];
+  const step = chunkDuration - overlap;
+
+  for (let offset = 0, index = 0; offset < totalDuration; offset += step, index++) {
+    const duration = Math.min(chunkDuration, totalDuration - offset);
+    // Skip a trailing sliver that is entirely covered by the previous chunk's overlap
+    if (index > 0 && duration <= overlap) break;
+
+    const chunkPath = path.join(outputDir, `chunk_${String(index).padStart(3, '0')}.mp3`);
+    const args = [
+      '-y', '-v', 'error',
+      '-ss', String(offset), '-t', String(duration),
+      '-i', audioPath,
+      '-vn', '-ac', '1', '-ar', '16000', '-b:a', '64k',
+      chunkPath
+    ];
+
+    try {
+      await execFileAsync('ffmpeg', args, { timeout: 300000 });
+    } catch (error) {
+      throw new Error(`ffmpeg failed to create audio chunk ${index + 1}: ${error.message}`);
+    }
+
+    chunks.push({ path: chunkPath, index, offset, duration });
+  }
+
+  console.log(`✅ Created ${chunks.length} audio chunks`);
+  return chunks;
+}
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Remove words at the start of text that repeat the end of the previous text
+ * @param {string} previousText - Text before the seam
+ * @param {string} text - Text after the seam
+ * @returns {string} Text with the duplicated leading words removed
+ */
+function trimSeamOverlap(previousText, text) {
+  const previousWords = previousText.split(/\s+/).map(normalizeWord);
+  const words = text.split(/\s+/);
+  const normalizedWords = words.map(normalizeWord);
+  const maxOverlap = Math.min(MAX_SEAM_OVERLAP_WORDS, previousWords.length, words.length);
+
+  for (let size = maxOverlap; size > 0; size--) {
+    const tail = previousWords.slice(-size).join(' ');
+    const head = normalizedWords.slice(0, size).join(' ');
+    if (tail.length > 0 && tail === head) {
+      return words.slice(size).join(' ');
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Stitch chunk transcripts into one transcript with absolute timestamps
+ * Each overlap is cut at its midpoint; words repeated across the cut are removed
+ * @param {Array} chunkResults - Results as {chunk, segments, text} in chunk order
+ * @returns {Object} Stitched {text, segments}
+ */
+export function stitchChunkTranscripts(chunkResults) {
+  const segments = [];
+
+  chunkResults.forEach(({ chunk, segments: chunkSegments }, i) => {
+    const nextChunk = chunkResults[i + 1]?.chunk;
+    const previousChunk = chunkResults[i - 1]?.chunk;
+
+    // Seam points sit in the middle of the overlap with the neighbouring chunks
+    const startCut = previousChunk ? (chunk.offset + previousChunk.offset + previousChunk.duration) / 2 : -Infinity;
+    const endCut = nextChunk ? (nextChunk.offset + chunk.offset + chunk.duration) / 2 : Infinity;
+
+    let atSeam = segments.length > 0;
+
+    chunkSegments.forEach((segment) => {
+      const start = segment.start + chunk.offset;
+      const end = segment.end + chunk.offset;
+      if (start < startCut || start >= endCut) return;
+
+      // First segment after a seam - drop words the previous chunk already produced
+      const text = atSeam ? trimSeamOverlap(segments[segments.length - 1].text, segment.text) : segment.text;
+      atSeam = false;
+
+      if (text.trim().length > 0) {
+        segments.push(createSegment(start, end, text));
+      }
+    });
+  });
+
+  // Seam segments can still overlap slightly in time
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (segments[i].end > segments[i + 1].start) {
+      segments[i] = createSegment(segments[i].start, Math.max(segments[i].start, segments[i + 1].start), segments[i].text);
+    }
+  }
+
+  // Chunks without segment timing (unexpected) still contribute their text
+  const text = segments.length > 0
+    ? segments.map(segment => segment.text).join(' ')
+    : chunkResults.map(result => result.text).join(' ');
+
+  return { text: text.replace(/\s+/g, ' ').trim(), segments };
+}
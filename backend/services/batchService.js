@@ -0,0 +1,195 @@
+// Batch service
+// Groups the per-video jobs of a playlist/channel, aggregates their progress
+// and packages finished transcripts and summaries into one ZIP archive
+
+import crypto from 'crypto';
+import archiver from 'archiver';
+import { createJob, getJob, isJobFinished, subscribeToJob } from './jobQueue.js';
+
+const batches = new Map();
+
+/**
+ * Create one job per video of a playlist/channel
+ * @param {Object} collection - Listing from listCollectionVideos
+ * @param {string} jobType - Job type used for each video
+ * @param {Object} jobParams - Parameters shared by every video job (videoUrl is filled in per video)
+ * @returns {Object} Created batch
+ */
+export function createBatch(collection, jobType, jobParams) {
+  const batch = {
+    id: crypto.randomUUID(),
+    type: collection.type,
+    title: collection.title,
+    channel: collection.channel,
+    url: collection.url,
+    truncated: collection.truncated,
+    targetLanguage: jobParams.targetLanguage || null,
+    createdAt: Date.now(),
+    videos: collection.videos.map(video => ({
+      videoId: video.videoId,
+      title: video.title,
+      duration: video.duration,
+      jobId: createJob(jobType, { ...jobParams, videoUrl: video.url }).id
+    }))
+  };
+
+  batches.set(batch.id, batch);
+  console.log(`📦 Created batch ${batch.id} with ${batch.videos.length} videos from "${batch.title}"`);
+  return batch;
+}
+
+/**
+ * Get a batch by ID
+ * @param {string} batchId - Batch ID
+ * @returns {Object|null} Batch or null if unknown
+ */
+export function getBatch(batchId) {
+  return batches.get(batchId) || null;
+}
+
+function getVideoStatus(video) {
+  const job = getJob(video.jobId);
+  if (!job) {
+    // Job results expire before the batch record does
+    return { status: 'expired', progress: 100, message: 'Result expired', job: null };
+  }
+  // Failed videos count as finished for the aggregate progress
+  return { status: job.status, progress: isJobFinished(job) ? 100 : job.progress, message: job.message, job };
+}
+
+/**
+ * Check whether every video of a batch has finished
+ * @param {Object} batch - Batch
+ * @returns {boolean} True if no job is queued or running
+ */
+export function isBatchFinished(batch) {
+  return batch.videos.every(video => {
+    const job = getJob(video.jobId);
+    return !job || isJobFinished(job);
+  });
+}
+
+/**
+ * Public view of a batch with aggregate and per-video progress
+ * @param {Object} batch - Batch
+ * @returns {Object} Batch status as returned by the API
+ */
+export function serializeBatch(batch) {
+  const videos = batch.videos.map(video => {
+    const { status, progress, message, job } = getVideoStatus(video);
+    return {
+      videoId: video.videoId,
+      title: video.title,
+      duration: video.duration,
+      jobId: video.jobId,
+      status,
+      progress,
+      message,
+      error: job?.error?.error || null
+    };
+  });
+
+  const count = (status) => videos.filter(video => video.status === status).length;
+  const progress = Math.round(videos.reduce((total, video) => total + video.progress, 0) / videos.length);
+
+  return {
+    batchId: batch.id,
+    type: batch.type,
+    title: batch.title,
+    channel: batch.channel,
+    url: batch.url,
+    truncated: batch.truncated,
+    targetLanguage: batch.targetLanguage,
+    status: isBatchFinished(batch) ? 'completed' : 'running',
+    progress,
+    total: videos.length,
+    completed: count('completed'),
+    failed: count('failed'),
+    createdAt: new Date(batch.createdAt).toISOString(),
+    videos
+  };
+}
+
+/**
+ * Listen for progress of any video in a batch
+ * @param {Object} batch - Batch
+ * @param {Function} listener - Called whenever one of the batch's jobs emits an event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToBatch(batch, listener) {
+  const unsubscribers = batch.videos.map(video => subscribeToJob(video.jobId, listener));
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+// Keep file names portable across Windows/macOS/Linux unzip tools
+function toFileName(index, title) {
+  const safeTitle = (title || 'video')
+    .replace(/[<>:"/\\|?*\x00-\x1F]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 80);
+  return `${String(index + 1).padStart(2, '0')} - ${safeTitle || 'video'}`;
+}
+
+/**
+ * Stream a ZIP of all finished transcripts (and summaries) of a batch
+ * Videos that failed or are still running are listed in README.txt
+ * @param {Object} batch - Batch
+ * @param {Object} output - Writable stream (e.g. Express response)
+ * @returns {Promise<void>} Resolves when the archive has been written
+ */
+export async function writeBatchArchive(batch, output) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+
+  const readme = [
+    batch.title,
+    batch.url,
+    `Exported: ${new Date().toISOString()}`,
+    ''
+  ];
+
+  batch.videos.forEach((video, index) => {
+    const { status, job } = getVideoStatus(video);
+    const fileName = toFileName(index, video.title);
+    const videoUrl = `https://www.youtube.com/watch?v=${video.videoId}`;
+
+    if (status !== 'completed') {
+      const reason = status === 'failed' ? `failed - ${job.error.error}` : status;
+      readme.push(`${fileName}: not included (${reason})`);
+      return;
+    }
+
+    const result = job.result;
+    const header = `${video.title}\n${videoUrl}\n\n`;
+
+    if (result.translated) {
+      archive.append(header + result.translated, { name: `transcripts/${fileName}.txt` });
+      archive.append(header + result.original, { name: `transcripts/original/${fileName}.txt` });
+    } else {
+      archive.append(header + result.transcript, { name: `transcripts/${fileName}.txt` });
+    }
+
+    if (result.summary) {
+      archive.append(header + result.summary, { name: `summaries/${fileName}.txt` });
+    }
+
+    readme.push(`${fileName}: ${result.wordCount} words${result.summary ? ', summary included' : ''}`);
+  });
+
+  archive.append(readme.join('\n') + '\n', { name: 'README.txt' });
+  await archive.finalize();
+}
+
+/**
+ * Remove batches whose jobs have all expired
+ */
+export function pruneBatches() {
+  for (const [batchId, batch] of batches) {
+    if (batch.videos.every(video => !getJob(video.jobId))) {
+      batches.delete(batchId);
+    }
+  }
+}
+
+setInterval(pruneBatches, 60 * 60 * 1000).unref();
@@ -0,0 +1,282 @@
+// Transcript cache service
+// Persists transcript/translation results on disk so repeated requests for the
+// same video are served instantly instead of re-running yt-dlp or Whisper
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', 'cache');
+const CACHE_TTL_MS = (parseFloat(process.env.CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+const CACHE_MAX_BYTES = (parseFloat(process.env.CACHE_MAX_SIZE_MB) || 200) * 1024 * 1024;
+
+// Transcription methods in the order a cached result should be preferred
+const CACHEABLE_METHODS = ['yt-dlp-captions', 'openai-whisper', 'local-whisper'];
+
+function ensureCacheDir() {
+  if (!fs.existsSync(CACHE_DIR)) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Build the cache key for a transcript request
+ * @param {Object} parts - Key parts
+ * @param {string} parts.videoId - YouTube video ID
+ * @param {string} [parts.sourceLanguage] - Requested source/caption language ('auto' if not specified)
+ * @param {string} parts.transcriptionMethod - Method used to produce the transcript
+ * @param {string} [parts.targetLanguage] - Translation target language (null for plain transcripts)
+ * @returns {string} Cache key
+ */
+export function buildCacheKey({ videoId, sourceLanguage, transcriptionMethod, targetLanguage }) {
+  return [
+    videoId,
+    (sourceLanguage || 'auto').toLowerCase(),
+    transcriptionMethod,
+    (targetLanguage || 'none').toLowerCase()
+  ].join('|');
+}
+
+// Video ID prefix keeps all entries of one video discoverable without an index
+function getEntryPath(key) {
+  const videoId = key.split('|')[0];
+  const hash = crypto.createHash('sha1').update(key).digest('hex').substring(0, 16);
+  return path.join(CACHE_DIR, `${videoId}__${hash}.json`);
+}
+
+function readEntry(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    // Corrupt or partially written entry - drop it
+    removeFile(filePath);
+    return null;
+  }
+}
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * Get a cached result
+ * @param {Object} parts - Key parts (see buildCacheKey)
+ * @returns {Object|null} Cached data or null if missing/expired
+ */
+export function getCachedResult(parts) {
+  const key = buildCacheKey(parts);
+  const filePath = getEntryPath(key);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const entry = readEntry(filePath);
+  if (!entry || entry.key !== key) {
+    return null;
+  }
+
+  if (Date.now() > entry.expiresAt) {
+    console.log('🗑️  Cache entry expired:', key);
+    removeFile(filePath);
+    return null;
+  }
+
+  // Bump access time (mtime stays the creation time) so eviction drops least recently used entries first
+  try {
+    fs.utimesSync(filePath, new Date(), new Date(entry.createdAt));
+  } catch (error) {
+    // Non-fatal
+  }
+
+  return entry.data;
+}
+
+/**
+ * Find a cached result for a video regardless of which transcription method produced it
+ * @param {Object} parts - Key parts without transcriptionMethod
+ * @returns {Object|null} Cached data or null
+ */
+export function findCachedResult({ videoId, sourceLanguage, targetLanguage }) {
+  for (const transcriptionMethod of CACHEABLE_METHODS) {
+    const data = getCachedResult({ videoId, sourceLanguage, transcriptionMethod, targetLanguage });
+    if (data) {
+      return data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Most recent cached result of a video, whichever caption track or transcription method produced it
+ * @param {string} videoId - YouTube video ID
+ * @param {Object} [options] - {targetLanguage: the translation to look for, plain transcripts if not set}
+ * @returns {Object|null} Cached data or null
+ */
+export function findLatestCachedResult(videoId, { targetLanguage } = {}) {
+  if (!fs.existsSync(CACHE_DIR)) {
+    return null;
+  }
+
+  const wantedLanguage = (targetLanguage || 'none').toLowerCase();
+  let latest = null;
+
+  for (const file of fs.readdirSync(CACHE_DIR)) {
+    if (!file.startsWith(`${videoId}__`) || !file.endsWith('.json')) continue;
+    const entry = readEntry(path.join(CACHE_DIR, file));
+    if (!entry || entry.parts?.videoId !== videoId || Date.now() > entry.expiresAt) continue;
+    if ((entry.parts.targetLanguage || 'none').toLowerCase() !== wantedLanguage) continue;
+    if (!latest || entry.createdAt > latest.createdAt) {
+      latest = entry;
+    }
+  }
+
+  return latest ? latest.data : null;
+}
+
+// Entry for a key, or null when it is missing or expired
+function readValidEntry(key) {
+  const filePath = getEntryPath(key);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const entry = readEntry(filePath);
+  if (!entry || entry.key !== key || Date.now() > entry.expiresAt) {
+    return null;
+  }
+  return { entry, filePath };
+}
+
+/**
+ * Get a cached result by its full cache key (as returned with transcripts)
+ * @param {string} key - Cache key from buildCacheKey
+ * @returns {Object|null} Cached data or null if missing/expired
+ */
+export function getCachedResultByKey(key) {
+  return readValidEntry(key)?.entry.data || null;
+}
+
+/**
+ * Corrections a caller saved for a cached transcript
+ * Kept per caller next to the data, so one person's edits never change what others are served
+ * @param {string} key - Cache key
+ * @param {string} callerKey - From resolveEntitlement
+ * @returns {Object|null} Corrections ({segmentIndex: {text, translatedText, start, end}}) or null
+ */
+export function getCachedCorrections(key, callerKey) {
+  return readValidEntry(key)?.entry.corrections?.[callerKey]?.segments || null;
+}
+
+/**
+ * Save (or with an empty object, clear) a caller's corrections for a cached transcript
+ * The entry keeps its creation time, so corrections don't extend its lifetime
+ * @param {string} key - Cache key
+ * @param {string} callerKey - From resolveEntitlement
+ * @param {Object} corrections - Corrections by segment index
+ * @returns {boolean} False when the transcript is no longer cached
+ */
+export function setCachedCorrections(key, callerKey, corrections) {
+  const found = readValidEntry(key);
+  if (!found) {
+    return false;
+  }
+
+  const { entry, filePath } = found;
+  const { [callerKey]: previous, ...otherCallers } = entry.corrections || {};
+  entry.corrections = Object.keys(corrections).length > 0
+    ? { ...otherCallers, [callerKey]: { segments: corrections, updatedAt: Date.now() } }
+    : otherCallers;
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(entry));
+  fs.renameSync(tmpPath, filePath);
+  // mtime is the creation time for pruneCache
+  fs.utimesSync(filePath, new Date(), new Date(entry.createdAt));
+  console.log(`✏️  ${previous ? 'Updated' : 'Saved'} transcript corrections:`, key);
+  return true;
+}
+
+/**
+ * Store a result in the cache
+ * Replacing an entry (e.g. a refresh) drops its corrections - they point at segments of the old transcript
+ * @param {Object} parts - Key parts (see buildCacheKey)
+ * @param {Object} data - Serializable result data
+ */
+export function setCachedResult(parts, data) {
+  try {
+    ensureCacheDir();
+    const key = buildCacheKey(parts);
+    const filePath = getEntryPath(key);
+    const entry = {
+      key,
+      parts,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + CACHE_TTL_MS,
+      data
+    };
+
+    // Write to a temp file first so readers never see a half-written entry
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(entry));
+    fs.renameSync(tmpPath, filePath);
+    console.log('💾 Cached result:', key);
+
+    pruneCache();
+  } catch (error) {
+    // Caching must never break the request
+    console.error('⚠️  Failed to write cache entry:', error.message);
+  }
+}
+
+/**
+ * Remove expired entries and enforce entry count and total size limits
+ */
+export function pruneCache() {
+  if (!fs.existsSync(CACHE_DIR)) {
+    return;
+  }
+
+  const now = Date.now();
+  const entries = [];
+
+  for (const file of fs.readdirSync(CACHE_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const filePath = path.join(CACHE_DIR, file);
+    try {
+      const stats = fs.statSync(filePath);
+      // mtime is the creation time, atime is bumped on every cache hit
+      if (now - stats.mtimeMs > CACHE_TTL_MS) {
+        removeFile(filePath);
+        continue;
+      }
+      entries.push({ filePath, size: stats.size, lastAccess: Math.max(stats.atimeMs, stats.mtimeMs) });
+    } catch (error) {
+      // Removed concurrently
+    }
+  }
+
+  entries.sort((a, b) => b.lastAccess - a.lastAccess);
+
+  let totalSize = 0;
+  let evicted = 0;
+  entries.forEach((entry, index) => {
+    totalSize += entry.size;
+    if (index >= CACHE_MAX_ENTRIES || totalSize > CACHE_MAX_BYTES) {
+      removeFile(entry.filePath);
+      evicted++;
+    }
+  });
+
+  if (evicted > 0) {
+    console.log(`🗑️  Evicted ${evicted} cache entries (limits: ${CACHE_MAX_ENTRIES} entries, ${(CACHE_MAX_BYTES / 1024 / 1024).toFixed(0)}MB)`);
+  }
+}
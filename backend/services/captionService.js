@@ -1,114 +1,198 @@
 // Caption extraction service using yt-dlp
 import { promisify } from 'util';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+const YT_DLP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// yt-dlp marks the auto-generated track in the spoken language with an -orig suffix
+const ORIGINAL_TRACK_SUFFIX = '-orig';
+
+const isEnglish = (languageCode) => /^en($|[-_])/i.test(languageCode);
+
+function toTrackList(captionsByLanguage, kind) {
+  return Object.entries(captionsByLanguage || {})
+    .filter(([languageCode, formats]) => languageCode !== 'live_chat' && Array.isArray(formats) && formats.length > 0)
+    .map(([languageCode, formats]) => ({
+      languageCode,
+      name: formats.find(format => format.name)?.name || languageCode,
+      kind,
+      // Auto-generated tracks other than the -orig one are machine translations
+      isOriginal: kind === 'manual' || languageCode.endsWith(ORIGINAL_TRACK_SUFFIX)
+    }));
+}
+
+/**
+ * List the caption tracks available for a video
+ * @param {string} videoUrl - YouTube video URL
+ * @returns {Promise<Object>} Tracks as {manual: [...], auto: [...]}, each {languageCode, name, kind, isOriginal}
+ */
+export async function listCaptionTracks(videoUrl) {
+  const args = ['-J', '--skip-download', '--user-agent', YT_DLP_USER_AGENT, '--sleep-requests', '1', videoUrl];
+
+  let info;
+  try {
+    // No shell - the URL is passed to yt-dlp as a single argument
+    const { stdout } = await execFileAsync('yt-dlp', args, { timeout: 30000, maxBuffer: 50 * 1024 * 1024 });
+    info = JSON.parse(stdout);
+  } catch (error) {
+    const errorOutput = (error.stderr || '') + (error.message || '');
+    if (errorOutput.includes('429') || errorOutput.includes('Too Many Requests')) {
+      throw new Error('YouTube rate limit exceeded. Please try again later.');
+    }
+    if (errorOutput.toLowerCase().includes('private')) {
+      throw new Error('Video is private or requires sign-in');
+    }
+    if (errorOutput.toLowerCase().includes('unavailable')) {
+      throw new Error('Video is unavailable or removed');
+    }
+    throw new Error(`Could not list caption tracks: ${error.message}`);
+  }
+
+  return {
+    manual: toTrackList(info.subtitles, 'manual'),
+    auto: toTrackList(info.automatic_captions, 'auto')
+  };
+}
+
+/**
+ * Pick the caption track to download
+ * Without a sourceLanguage, manual tracks win over auto-generated ones and English is preferred;
+ * for auto captions the original spoken-language track always beats machine translations
+ * @param {Object} tracks - Tracks from listCaptionTracks
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.sourceLanguage] - Language code (exact, or a prefix such as 'en' for 'en-GB')
+ * @param {string} [options.trackKind] - 'manual' or 'auto'
+ * @returns {Object|null} Selected track or null if none matches
+ */
+export function selectCaptionTrack(tracks, { sourceLanguage, trackKind } = {}) {
+  const kinds = trackKind ? [trackKind] : ['manual', 'auto'];
+
+  for (const kind of kinds) {
+    const candidates = tracks[kind] || [];
+    if (candidates.length === 0) continue;
+
+    if (sourceLanguage) {
+      const wanted = sourceLanguage.toLowerCase();
+      const code = (track) => track.languageCode.toLowerCase();
+      const match = candidates.find(track => code(track) === `${wanted}${ORIGINAL_TRACK_SUFFIX}`) ||
+        candidates.find(track => code(track) === wanted) ||
+        candidates.find(track => code(track).startsWith(`${wanted}-`));
+      if (match) return match;
+      continue;
+    }
+
+    if (kind === 'manual') {
+      return candidates.find(track => isEnglish(track.languageCode)) || candidates[0];
+    }
+
+    const originals = candidates.filter(track => track.isOriginal);
+    return originals.find(track => isEnglish(track.languageCode)) ||
+      originals[0] ||
+      candidates.find(track => track.languageCode === 'en') ||
+      candidates[0];
+  }
+
+  return null;
+}
 
 /**
  * Extract captions from YouTube video using yt-dlp
  * @param {string} videoUrl - YouTube video URL
  * @param {string} videoId - YouTube video ID
+ * @param {Object} [options] - Track selection (see selectCaptionTrack)
+ * @param {string} [options.sourceLanguage] - Caption language code to use
+ * @param {string} [options.trackKind] - 'manual' or 'auto'
  * @returns {Promise<Object>} Caption data with timestamps and text
  */
-export async function extractCaptionsWithYtDlp(videoUrl, videoId) {
+export async function extractCaptionsWithYtDlp(videoUrl, videoId, options = {}) {
+  const { sourceLanguage, trackKind } = options;
   console.log('📝 Extracting captions with yt-dlp...');
   console.log('Video URL:', videoUrl);
   console.log('Video ID:', videoId);
+  if (sourceLanguage || trackKind) {
+    console.log('Requested track:', { sourceLanguage, trackKind });
+  }
 
-  const ytDlpCmd = process.platform === 'win32' ? 'yt-dlp' : 'yt-dlp';
   const tempDir = path.join(__dirname, '..', 'temp');
+  // Each extraction gets its own folder - jobs for the same video must not share caption files
+  let captionDir = null;
 
   try {
-    // Step 1: Check if subtitles are available
+    // Step 1: Check which subtitle tracks are available
     console.log('🔍 Checking available subtitles...');
-    const listCmd = `${ytDlpCmd} --list-subs --skip-download --user-agent "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" --sleep-requests 1 "${videoUrl}" 2>&1`;
-    
-    let subsOutput = '';
-    try {
-      const subsResult = await execAsync(listCmd, { timeout: 15000 });
-      subsOutput = (subsResult.stdout || '') + (subsResult.stderr || '');
-    } catch (subsError) {
-      subsOutput = (subsError.stdout || '') + (subsError.stderr || '');
-    }
+    const tracks = await listCaptionTracks(videoUrl);
+    console.log(`📋 Found ${tracks.manual.length} manual and ${tracks.auto.length} auto-generated caption tracks`);
 
-    // Check if subtitles are available (any language)
-    const hasSubtitles = subsOutput.includes('Available subtitles') || 
-                        subsOutput.includes('automatic captions') ||
-                        subsOutput.includes('[info] Available subtitles');
-
-    if (!hasSubtitles) {
+    if (tracks.manual.length === 0 && tracks.auto.length === 0) {
       console.log('❌ No subtitles available for this video');
       return null;
     }
 
-    console.log('✅ Subtitles detected! Extracting captions...');
+    const track = selectCaptionTrack(tracks, { sourceLanguage, trackKind });
+    if (!track) {
+      const requested = [sourceLanguage, trackKind].filter(Boolean).join(', ');
+      throw new Error(`Requested caption track is not available (${requested})`);
+    }
+
+    console.log(`✅ Using ${track.kind} captions: ${track.name} (${track.languageCode})`);
 
-    // Step 2: Create temp directory if it doesn't exist
+    // Step 2: Create a temp directory for this extraction
     if (!fs.existsSync(tempDir)) {
       fs.mkdirSync(tempDir, { recursive: true });
     }
+    captionDir = fs.mkdtempSync(path.join(tempDir, `captions_${videoId}_`));
 
-    // Step 3: Download captions (try English first, then any available language)
+    // Step 3: Download exactly the selected track
     console.log('📥 Downloading captions...');
-    const extractCmd = `${ytDlpCmd} --write-auto-subs --sub-lang en,en-US,en-GB --sub-format vtt --skip-download --user-agent "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" --sleep-requests 2 --retries 3 -o "${path.join(tempDir, videoId)}" "${videoUrl}" 2>&1`;
+    const writeFlag = track.kind === 'manual' ? '--write-subs' : '--write-auto-subs';
+    const buildExtractArgs = (sleepRequests, retries) => [
+      writeFlag,
+      '--sub-lang', track.languageCode,
+      '--sub-format', 'vtt',
+      '--skip-download',
+      '--user-agent', YT_DLP_USER_AGENT,
+      '--sleep-requests', String(sleepRequests),
+      '--retries', String(retries),
+      '-o', path.join(captionDir, videoId),
+      videoUrl
+    ];
     
     try {
-      const result = await execAsync(extractCmd, { timeout: 30000 });
+      const result = await execFileAsync('yt-dlp', buildExtractArgs(2, 3), { timeout: 30000 });
       console.log('Caption download output:', result.stdout || result.stderr);
     } catch (downloadError) {
-      const errorOutput = downloadError.stdout || downloadError.stderr || downloadError.message;
+      const errorOutput = `${downloadError.stdout || ''}${downloadError.stderr || ''}` || downloadError.message;
       console.log('Caption download error output:', errorOutput);
       
-      // If rate limited or English not available
       if (errorOutput.includes('429') || errorOutput.includes('Too Many Requests')) {
         console.log('⚠️  Rate limited by YouTube. Waiting 3 seconds and retrying...');
         await new Promise(resolve => setTimeout(resolve, 3000));
         
-        const retryCmd = `${ytDlpCmd} --write-auto-subs --sub-lang en,en-US,en-GB --sub-format vtt --skip-download --user-agent "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" --sleep-requests 3 --retries 5 -o "${path.join(tempDir, videoId)}" "${videoUrl}" 2>&1`;
-        
         try {
-          const retryResult = await execAsync(retryCmd, { timeout: 45000 });
+          const retryResult = await execFileAsync('yt-dlp', buildExtractArgs(3, 5), { timeout: 45000 });
           console.log('✅ Retry successful:', retryResult.stdout || retryResult.stderr);
         } catch (retryError) {
           console.log('❌ Retry failed, captions not available');
           return null;
         }
-      } else if (errorOutput.includes('There are no subtitles')) {
-        console.log('⚠️  No English captions, trying any available language...');
-        const fallbackCmd = `${ytDlpCmd} --write-auto-subs --sub-format vtt --skip-download --user-agent "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" --sleep-requests 2 --retries 3 -o "${path.join(tempDir, videoId)}" "${videoUrl}" 2>&1`;
-        
-        try {
-          const fallbackResult = await execAsync(fallbackCmd, { timeout: 30000 });
-          console.log('Fallback caption download:', fallbackResult.stdout || fallbackResult.stderr);
-        } catch (fallbackError) {
-          console.log('⚠️  No captions available in any language');
-          return null;
-        }
       } else {
         // Re-throw other errors
         throw downloadError;
       }
     }
 
-    // Step 4: Find the caption file (check for ANY language)
+    // Step 4: Find the caption file of the selected track
     console.log('🔍 Looking for caption file...');
     
-    let captionFilePath = null;
-    const files = fs.readdirSync(tempDir).filter(f => f.startsWith(videoId) && f.endsWith('.vtt'));
-    
-    if (files.length > 0) {
-      // Prefer English variants first
-      const englishFile = files.find(f => f.includes('.en.vtt') || f.includes('.en-'));
-      captionFilePath = englishFile ? path.join(tempDir, englishFile) : path.join(tempDir, files[0]);
-      
-      const detectedLang = path.basename(captionFilePath).match(/\.([a-z]{2}(-[A-Z]{2})?)\./)?.[1] || 'unknown';
-      console.log(`📝 Using captions in language: ${detectedLang}`);
-    }
+    const expectedFile = `${videoId}.${track.languageCode}.vtt`;
+    const captionFilePath = fs.existsSync(path.join(captionDir, expectedFile)) ? path.join(captionDir, expectedFile) : null;
 
     if (!captionFilePath) {
       console.log('❌ Caption file not found');
@@ -120,64 +204,11 @@ export async function extractCaptionsWithYtDlp(videoUrl, videoId) {
     // Step 5: Parse VTT file
     console.log('📄 Parsing VTT file...');
     const vttContent = fs.readFileSync(captionFilePath, 'utf-8');
+    const captionSegments = parseVtt(vttContent);
     
-    const lines = vttContent.split('\n');
-    const captionSegments = [];
-    const textLines = [];
-    
-    let currentTimestamp = null;
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Skip WEBVTT header and metadata
-      if (trimmedLine.startsWith('WEBVTT') || 
-          trimmedLine.startsWith('Kind:') ||
-          trimmedLine.startsWith('Language:') ||
-          trimmedLine === '') {
-        continue;
-      }
-      
-      // Check if this is a timestamp line (format: 00:00:00.000 --> 00:00:03.000)
-      if (/^\d{2}:\d{2}/.test(trimmedLine)) {
-        const [startTime, endTime] = trimmedLine.split(' --> ');
-        currentTimestamp = startTime;
-        continue;
-      }
-      
-      // Skip cue numbers
-      if (/^\d+$/.test(trimmedLine)) {
-        continue;
-      }
-      
-      // This is caption text
-      if (currentTimestamp && trimmedLine.length > 0) {
-        // Clean the text: remove HTML-like tags (<c>, </c>, <00:00:00.000>, etc.)
-        let cleanText = trimmedLine
-          .replace(/<\/?c[^>]*>/g, '') // Remove <c> and </c> tags
-          .replace(/<\d{2}:\d{2}:\d{2}\.\d{3}>/g, '') // Remove timestamp tags
-          .replace(/<[^>]+>/g, '') // Remove any other HTML-like tags
-          .trim();
-        
-        if (cleanText.length > 0) {
-          captionSegments.push({
-            timestamp: currentTimestamp,
-            text: cleanText
-          });
-          textLines.push(cleanText);
-        }
-        currentTimestamp = null;
-      }
-    }
-    
-    const fullText = textLines.join(' ').trim().replace(/\s+/g, ' ');
+    const fullText = joinSegmentText(captionSegments);
 
-    // Detect language from filename
-    const captionLanguage = path.basename(captionFilePath).match(/\.([a-z]{2}(-[A-Z]{2})?)\./)?.[1] || 'en';
-
-    // Cleanup VTT file
-    console.log('🗑️  Cleaning up temporary VTT file...');
-    fs.unlinkSync(captionFilePath);
+    const captionLanguage = track.languageCode.replace(ORIGINAL_TRACK_SUFFIX, '');
 
     console.log('✅ Captions extracted successfully via yt-dlp');
     console.log(`📊 Total segments: ${captionSegments.length}`);
@@ -191,24 +222,234 @@ export async function extractCaptionsWithYtDlp(videoUrl, videoId) {
       totalSegments: captionSegments.length,
       totalCharacters: fullText.length,
       totalWords: fullText.split(/\s+/).length,
+      trackKind: track.kind,
+      trackName: track.name,
       method: 'yt-dlp'
     };
 
   } catch (error) {
     console.error('❌ Caption extraction failed:', error.message);
-    
-    // Clean up any leftover files
-    try {
-      const files = fs.readdirSync(tempDir).filter(f => f.startsWith(videoId) && f.endsWith('.vtt'));
-      for (const file of files) {
-        fs.unlinkSync(path.join(tempDir, file));
-      }
-    } catch (cleanupError) {
-      // Ignore cleanup errors
+
+    // An explicitly requested track that doesn't exist must not silently fall back to another source
+    if (error.message.startsWith('Requested caption track')) {
+      throw error;
     }
-    
     return null;
+  } finally {
+    // Remove this extraction's caption files, whether or not it succeeded
+    if (captionDir) {
+      console.log('🗑️  Cleaning up temporary caption files...');
+      fs.rmSync(captionDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Cue merging defaults - aim for sentence-sized cues that still fit on screen
+const DEFAULT_MAX_CUE_DURATION = 8; // seconds
+const DEFAULT_MAX_CUE_LENGTH = 160; // characters
+const DEFAULT_MAX_CUE_GAP = 1.5; // seconds of silence that always starts a new cue
+const CONTIGUOUS_CUE_TOLERANCE = 0.05; // seconds
+
+const VTT_TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const SENTENCE_END_PATTERN = /[.!?…]["')\]]?$/;
+
+/**
+ * Clean a caption text line: strip inline timing/styling tags and decode entities
+ * @param {string} line - Raw cue text line
+ * @returns {string} Clean text
+ */
+function cleanCueText(line) {
+  return line
+    .replace(/<\/?c[^>]*>/g, '') // Remove <c> and </c> tags
+    .replace(/<\d{2}:\d{2}:\d{2}\.\d{3}>/g, '') // Remove timestamp tags
+    .replace(/<[^>]+>/g, '') // Remove any other HTML-like tags
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split VTT content into raw cues
+ * @param {string} vttContent - Raw WebVTT file content
+ * @returns {Array} Cues as {start, end, lines}
+ */
+function parseRawCues(vttContent) {
+  const lines = vttContent.replace(/\r\n?/g, '\n').split('\n');
+  const cues = [];
+  let currentCue = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const timing = lines[i].trim().match(VTT_TIMING_PATTERN);
+
+    if (timing) {
+      currentCue = {
+        start: timestampToSeconds(timing[1]),
+        end: timestampToSeconds(timing[2]),
+        lines: []
+      };
+      cues.push(currentCue);
+      continue;
+    }
+
+    // Only a truly empty line ends a cue - YouTube puts whitespace-only lines inside cues
+    if (lines[i] === '') {
+      currentCue = null;
+      continue;
+    }
+
+    // Header, NOTE/STYLE blocks and cue identifiers are outside any cue
+    if (!currentCue) continue;
+
+    const text = cleanCueText(lines[i]);
+    if (text.length > 0) {
+      currentCue.lines.push(text);
+    }
+  }
+
+  return cues.filter(cue => cue.lines.length > 0);
+}
+
+/**
+ * Remove the rolling overlap of YouTube auto-captions
+ * Each auto-caption cue repeats the previous line before adding a new one,
+ * followed by a short transition cue repeating the new line; only new text is kept
+ * @param {Array} cues - Raw cues
+ * @returns {Array} Fragments as {start, end, text}
+ */
+function dedupeRollingCues(cues) {
+  const fragments = [];
+  let previousCue = null;
+
+  for (const cue of cues) {
+    const isContiguous = previousCue && cue.start - previousCue.end <= CONTIGUOUS_CUE_TOLERANCE;
+    const previousLines = isContiguous ? previousCue.lines : [];
+    const newText = [];
+
+    for (const line of cue.lines) {
+      if (previousLines.includes(line)) continue;
+
+      // Words appended to a line that is still on screen - keep only the addition
+      const extendedLine = previousLines.find(previous => line.startsWith(`${previous} `));
+      newText.push(extendedLine ? line.substring(extendedLine.length).trim() : line);
+    }
+
+    if (newText.length > 0) {
+      fragments.push({ start: cue.start, end: cue.end, text: newText.join(' ') });
+    } else if (fragments.length > 0) {
+      // Repeated text stays on screen longer
+      const lastFragment = fragments[fragments.length - 1];
+      lastFragment.end = Math.max(lastFragment.end, cue.end);
+    }
+
+    previousCue = cue;
+  }
+
+  // Rolling lines overlap the next cue on screen; clip so cues never overlap
+  for (let i = 0; i < fragments.length - 1; i++) {
+    if (fragments[i].end > fragments[i + 1].start) {
+      fragments[i].end = Math.max(fragments[i].start, fragments[i + 1].start);
+    }
   }
+
+  return fragments;
+}
+
+/**
+ * Merge short fragments into sentence-level cues
+ * @param {Array} fragments - Fragments as {start, end, text}
+ * @param {Object} limits - Merge limits
+ * @returns {Array} Merged cues as {start, end, text}
+ */
+function mergeFragments(fragments, { maxCueDuration, maxCueLength, maxCueGap }) {
+  const merged = [];
+  let current = null;
+
+  for (const fragment of fragments) {
+    if (current) {
+      const combinedText = `${current.text} ${fragment.text}`;
+      const shouldFlush = SENTENCE_END_PATTERN.test(current.text) ||
+                          fragment.start - current.end > maxCueGap ||
+                          fragment.end - current.start > maxCueDuration ||
+                          combinedText.length > maxCueLength;
+
+      if (!shouldFlush) {
+        current.text = combinedText;
+        current.end = fragment.end;
+        continue;
+      }
+
+      merged.push(current);
+    }
+    current = { ...fragment };
+  }
+
+  if (current) merged.push(current);
+  return merged;
+}
+
+/**
+ * Parse WebVTT captions into timed segments
+ * Handles YouTube auto-caption rolling duplicates and merges fragments into sentence-level cues
+ * @param {string} vttContent - Raw WebVTT file content
+ * @param {Object} [options] - Parsing options
+ * @param {boolean} [options.mergeCues=true] - Merge short fragments into sentence-level cues
+ * @param {number} [options.maxCueDuration=8] - Maximum merged cue duration in seconds
+ * @param {number} [options.maxCueLength=160] - Maximum merged cue length in characters
+ * @param {number} [options.maxCueGap=1.5] - Silence in seconds that always starts a new cue
+ * @returns {Array} Segments as {timestamp, endTimestamp, start, end, text}
+ */
+export function parseVtt(vttContent, options = {}) {
+  const {
+    mergeCues = true,
+    maxCueDuration = DEFAULT_MAX_CUE_DURATION,
+    maxCueLength = DEFAULT_MAX_CUE_LENGTH,
+    maxCueGap = DEFAULT_MAX_CUE_GAP
+  } = options;
+
+  const fragments = dedupeRollingCues(parseRawCues(vttContent || ''));
+  const cues = mergeCues
+    ? mergeFragments(fragments, { maxCueDuration, maxCueLength, maxCueGap })
+    : fragments;
+
+  return cues.map(cue => createSegment(cue.start, cue.end, cue.text));
+}
+
+/**
+ * Create a timed transcript segment in the shape shared by captions and Whisper output
+ * @param {number} start - Start time in seconds
+ * @param {number} end - End time in seconds
+ * @param {string} text - Segment text
+ * @returns {Object} Segment as {timestamp, endTimestamp, start, end, text}
+ */
+export function createSegment(start, end, text) {
+  return {
+    timestamp: secondsToTimestamp(start),
+    endTimestamp: secondsToTimestamp(end),
+    start: Math.round(start * 1000) / 1000,
+    end: Math.round(end * 1000) / 1000,
+    text: text.trim()
+  };
+}
+
+/**
+ * Join segment texts into the full transcript text
+ * Segments marked paragraphStart (restored auto-captions) begin a new paragraph after a blank line
+ * @param {Array} segments - Segments ({text, paragraphStart})
+ * @param {string} [field='text'] - Text field to join ('translatedText' for translations)
+ * @returns {string} Full text
+ */
+export function joinSegmentText(segments, field = 'text') {
+  return segments.reduce((fullText, segment) => {
+    const text = (segment[field] || '').trim().replace(/\s+/g, ' ');
+    if (!text) return fullText;
+    if (!fullText) return text;
+    return `${fullText}${segment.paragraphStart ? '\n\n' : ' '}${text}`;
+  }, '');
 }
 
 /**
@@ -224,13 +465,30 @@ export function formatCaptionsForDisplay(segments) {
 
 /**
  * Convert timestamp to seconds
- * @param {string} timestamp - Timestamp in format HH:MM:SS.mmm
+ * @param {string} timestamp - Timestamp in format HH:MM:SS.mmm (MM:SS.mmm is also accepted)
  * @returns {number} Seconds
  */
 export function timestampToSeconds(timestamp) {
-  const parts = timestamp.split(':');
+  const parts = timestamp.trim().replace(',', '.').split(':');
+  if (parts.length === 2) {
+    parts.unshift('0');
+  }
   const hours = parseInt(parts[0], 10);
   const minutes = parseInt(parts[1], 10);
   const seconds = parseFloat(parts[2]);
   return hours * 3600 + minutes * 60 + seconds;
 }
+
+/**
+ * Convert seconds to timestamp
+ * @param {number} totalSeconds - Seconds
+ * @returns {string} Timestamp in format HH:MM:SS.mmm
+ */
+export function secondsToTimestamp(totalSeconds) {
+  const totalMillis = Math.max(0, Math.round(totalSeconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const seconds = Math.floor((totalMillis % 60000) / 1000);
+  const millis = totalMillis % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
@@ -0,0 +1,122 @@
+// Database service
+// Local SQLite store for user accounts, login sessions, Stripe subscription state, plan usage
+// and synced transcript history
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'app.db');
+
+// Each migration runs once, in order; never edit one that has shipped - add a new one instead
+const MIGRATIONS = [
+  `CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT,
+    plan_id TEXT NOT NULL DEFAULT 'free',
+    stripe_customer_id TEXT UNIQUE,
+    stripe_subscription_id TEXT UNIQUE,
+    subscription_status TEXT,
+    trial_ends_at INTEGER,
+    current_period_end INTEGER,
+    cancel_at_period_end INTEGER NOT NULL DEFAULT 0,
+    canceled_at INTEGER,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE auth_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_auth_sessions_user ON auth_sessions(user_id);
+
+  CREATE TABLE magic_links (
+    token_hash TEXT PRIMARY KEY,
+    email TEXT NOT NULL COLLATE NOCASE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    used_at INTEGER
+  );
+
+  CREATE TABLE checkout_sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    plan_id TEXT NOT NULL,
+    video_url TEXT,
+    target_language TEXT,
+    status TEXT NOT NULL,
+    stripe_checkout_id TEXT,
+    stripe_customer_id TEXT,
+    stripe_subscription_id TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );`,
+
+  // Plan quota usage: caller_key is 'user:<id>' for accounts or 'ip:<address>' for anonymous visitors
+  `CREATE TABLE usage_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    caller_key TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    amount REAL NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX idx_usage_events_caller ON usage_events(caller_key, kind, created_at);`,
+
+  // Transcript history synced from the browser (data is the client's JSON entry)
+  `CREATE TABLE history_entries (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, id)
+  );`
+];
+
+function runMigrations(db) {
+  const currentVersion = db.pragma('user_version', { simple: true });
+
+  MIGRATIONS.slice(currentVersion).forEach((sql, index) => {
+    const version = currentVersion + index + 1;
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version}`);
+    })();
+    console.log(`🗄️  Applied database migration ${version}`);
+  });
+}
+
+let db = null;
+
+/**
+ * Get the shared database connection (opened and migrated on first use)
+ * @returns {Database} better-sqlite3 database
+ */
+export function getDatabase() {
+  if (db) {
+    return db;
+  }
+
+  const directory = path.dirname(DATABASE_PATH);
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  db = new Database(DATABASE_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+
+  console.log('🗄️  Database ready:', DATABASE_PATH);
+  return db;
+}
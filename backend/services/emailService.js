@@ -0,0 +1,61 @@
+// Email service
+// Sends transactional email (magic sign-in links) over SMTP when configured;
+// without SMTP settings the message is logged so local development still works
+
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+let transporter = null;
+
+function getTransporter() {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<void>}
+ */
+export async function sendEmail({ to, subject, text }) {
+  const smtp = getTransporter();
+
+  if (!smtp) {
+    console.warn('⚠️  SMTP not configured - logging email instead of sending it');
+    console.log('='.repeat(80));
+    console.log(`📧 To: ${to}`);
+    console.log(`📧 Subject: ${subject}`);
+    console.log(text);
+    console.log('='.repeat(80));
+    return;
+  }
+
+  try {
+    await smtp.sendMail({
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text
+    });
+    console.log(`📧 Email sent to ${to}: ${subject}`);
+  } catch (error) {
+    throw new Error(`Email delivery failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,190 @@
+// Entitlement service
+// Per-plan limits (videos per day, video length, Whisper minutes, translation languages,
+// summaries) and the usage counters that enforce them
+
+import { getDatabase } from './database.js';
+import { getEffectivePlanId, getCheckoutSession, getUserById } from './accountService.js';
+
+// null means unlimited / all allowed
+export const PLAN_LIMITS = {
+  free: {
+    videosPerDay: 3,
+    maxVideoMinutes: 30,
+    whisperMinutesPerMonth: 10,
+    translationLanguages: ['Spanish', 'French', 'German'],
+    summariesPerDay: 5,
+    summaryLengths: ['short', 'medium']
+  },
+  basic: {
+    videosPerDay: 25,
+    maxVideoMinutes: 120,
+    whisperMinutesPerMonth: 300,
+    translationLanguages: null,
+    summariesPerDay: 50,
+    summaryLengths: ['short', 'medium', 'long']
+  },
+  premium: {
+    videosPerDay: 100,
+    maxVideoMinutes: 360,
+    whisperMinutesPerMonth: 1200,
+    translationLanguages: null,
+    summariesPerDay: null,
+    summaryLengths: ['short', 'medium', 'long']
+  }
+};
+
+// Quota errors are 402 so the frontend can offer an upgrade (requiresPayment)
+function entitlementError(message) {
+  const error = new Error(message);
+  error.statusCode = 402;
+  error.requiresPayment = true;
+  return error;
+}
+
+// Usage windows are calendar days/months in UTC
+function startOfDay(now = new Date()) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+function startOfMonth(now = new Date()) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+}
+
+function sumUsage(callerKey, kind, since) {
+  const row = getDatabase()
+    .prepare('SELECT COALESCE(SUM(amount), 0) AS total FROM usage_events WHERE caller_key = ? AND kind = ? AND created_at >= ?')
+    .get(callerKey, kind, since);
+  return row.total;
+}
+
+const remainingOf = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+/**
+ * Work out which plan applies to a request
+ * Signed-in users get their subscription plan; a sessionId from a completed checkout
+ * counts for the account it was linked to; everyone else is on the free plan, counted per IP
+ * @param {Object} req - Express request (req.user set by the auth middleware)
+ * @returns {Object} Entitlement ({planId, callerKey, userId})
+ */
+export function resolveEntitlement(req) {
+  let user = req.user;
+
+  const sessionId = req.body?.sessionId || req.query?.sessionId;
+  if (!user && sessionId) {
+    const checkout = getCheckoutSession(sessionId);
+    if (checkout?.user_id) {
+      user = getUserById(checkout.user_id);
+    }
+  }
+
+  if (user) {
+    return { planId: getEffectivePlanId(user), callerKey: `user:${user.id}`, userId: user.id };
+  }
+  return { planId: 'free', callerKey: `ip:${req.ip}`, userId: null };
+}
+
+/**
+ * Current usage and remaining quota
+ * @param {Object} entitlement - From resolveEntitlement
+ * @returns {Object} Usage as returned by GET /api/usage
+ */
+export function getUsage(entitlement) {
+  const limits = PLAN_LIMITS[entitlement.planId] || PLAN_LIMITS.free;
+  const now = new Date();
+  const dayStart = startOfDay(now);
+  const monthStart = startOfMonth(now);
+
+  const used = {
+    videosToday: sumUsage(entitlement.callerKey, 'video', dayStart),
+    whisperMinutesThisMonth: Math.round(sumUsage(entitlement.callerKey, 'whisper', monthStart) * 10) / 10,
+    summariesToday: sumUsage(entitlement.callerKey, 'summary', dayStart)
+  };
+
+  return {
+    planId: entitlement.planId,
+    limits,
+    used,
+    remaining: {
+      videosToday: remainingOf(limits.videosPerDay, used.videosToday),
+      whisperMinutesThisMonth: remainingOf(limits.whisperMinutesPerMonth, used.whisperMinutesThisMonth),
+      summariesToday: remainingOf(limits.summariesPerDay, used.summariesToday)
+    },
+    resets: {
+      daily: new Date(dayStart + 24 * 60 * 60 * 1000).toISOString(),
+      monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+    }
+  };
+}
+
+/**
+ * Check that another video may be processed (daily count and translation language)
+ * @param {Object} entitlement - From resolveEntitlement
+ * @param {Object} [options] - {targetLanguage, count}
+ * @throws {Error} 402 error with requiresPayment when over the plan's limits
+ */
+export function assertCanProcessVideo(entitlement, { targetLanguage, count = 1 } = {}) {
+  const { limits, remaining } = getUsage(entitlement);
+
+  if (remaining.videosToday !== null && remaining.videosToday < count) {
+    throw entitlementError(`Daily video limit reached (${limits.videosPerDay} videos per day on your plan). Upgrade your plan or try again tomorrow.`);
+  }
+
+  if (targetLanguage && limits.translationLanguages) {
+    const allowed = limits.translationLanguages.some(language => language.toLowerCase() === targetLanguage.toLowerCase());
+    if (!allowed) {
+      throw entitlementError(`Translation to ${targetLanguage} is not included in your plan (available: ${limits.translationLanguages.join(', ')}). Upgrade your plan for all languages.`);
+    }
+  }
+}
+
+/**
+ * Check a video's length against the plan
+ * @param {Object} entitlement - From resolveEntitlement
+ * @param {number} durationSeconds - Video length (unknown lengths pass)
+ */
+export function assertVideoDuration(entitlement, durationSeconds) {
+  const limits = PLAN_LIMITS[entitlement.planId] || PLAN_LIMITS.free;
+  if (durationSeconds && limits.maxVideoMinutes !== null && durationSeconds > limits.maxVideoMinutes * 60) {
+    throw entitlementError(`Video is ${Math.ceil(durationSeconds / 60)} minutes long - your plan allows videos up to ${limits.maxVideoMinutes} minutes. Upgrade your plan to process longer videos.`);
+  }
+}
+
+/**
+ * Check that enough Whisper minutes are left to transcribe audio
+ * @param {Object} entitlement - From resolveEntitlement
+ * @param {number} durationSeconds - Audio length
+ */
+export function assertWhisperMinutes(entitlement, durationSeconds) {
+  const { limits, remaining } = getUsage(entitlement);
+  if (remaining.whisperMinutesThisMonth !== null && durationSeconds / 60 > remaining.whisperMinutesThisMonth) {
+    throw entitlementError(`This video has no captions and needs ${Math.ceil(durationSeconds / 60)} minutes of audio transcription, but only ${remaining.whisperMinutesThisMonth} of your ${limits.whisperMinutesPerMonth} monthly Whisper minutes are left. Upgrade your plan for more transcription minutes.`);
+  }
+}
+
+/**
+ * Check that a summary of the given length may be generated
+ * @param {Object} entitlement - From resolveEntitlement
+ * @param {string} summaryLength - 'short', 'medium' or 'long'
+ */
+export function assertCanSummarize(entitlement, summaryLength) {
+  const { limits, remaining } = getUsage(entitlement);
+
+  if (!limits.summaryLengths.includes(summaryLength)) {
+    throw entitlementError(`${summaryLength.charAt(0).toUpperCase() + summaryLength.slice(1)} summaries are not included in your plan (available: ${limits.summaryLengths.join(', ')}). Upgrade your plan for all summary lengths.`);
+  }
+  if (remaining.summariesToday !== null && remaining.summariesToday < 1) {
+    throw entitlementError(`Daily summary limit reached (${limits.summariesPerDay} summaries per day on your plan). Upgrade your plan or try again tomorrow.`);
+  }
+}
+
+/**
+ * Count usage against the caller's quota
+ * @param {Object} entitlement - From resolveEntitlement
+ * @param {string} kind - 'video', 'whisper' (amount in minutes) or 'summary'
+ * @param {number} [amount] - Amount used
+ */
+export function recordUsage(entitlement, kind, amount = 1) {
+  getDatabase()
+    .prepare('INSERT INTO usage_events (caller_key, kind, amount, created_at) VALUES (?, ?, ?, ?)')
+    .run(entitlement.callerKey, kind, amount, Date.now());
+}
@@ -179,6 +179,166 @@ export function getUserFriendlyError(error) {
   // Map technical errors to user-friendly messages
   const lowerError = errorMessage.toLowerCase();
   
+  // Playlist/channel related errors (checked first - their messages overlap with single-video ones)
+  if (lowerError.includes('playlist') || lowerError.includes('channel')) {
+    if (lowerError.includes('invalid')) {
+      return {
+        userMessage: 'Please enter a valid YouTube playlist or channel URL',
+        technicalMessage: errorMessage
+      };
+    }
+    
+    if (lowerError.includes('private')) {
+      return {
+        userMessage: 'This playlist or channel is private. Please use a public one.',
+        technicalMessage: errorMessage
+      };
+    }
+    
+    if (lowerError.includes('unavailable') || lowerError.includes('removed')) {
+      return {
+        userMessage: 'This playlist or channel is unavailable or has been removed.',
+        technicalMessage: errorMessage
+      };
+    }
+    
+    if (lowerError.includes('no videos found')) {
+      return {
+        userMessage: 'No videos were found in this playlist or channel.',
+        technicalMessage: errorMessage
+      };
+    }
+    
+    if (lowerError.includes('could not list')) {
+      return {
+        userMessage: 'Unable to load the videos of this playlist or channel. Please try again.',
+        technicalMessage: errorMessage
+      };
+    }
+  }
+  
+  if (lowerError.includes('requested caption track')) {
+    return {
+      userMessage: 'The selected caption track is not available for this video. Please choose another track.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('caption trackkind')) {
+    return {
+      userMessage: 'Invalid caption track type. Please choose manual or auto-generated captions.',
+      technicalMessage: errorMessage
+    };
+  }
+
+  if (lowerError.includes('invalid targetlanguage')) {
+    return {
+      userMessage: 'Invalid translation language. Please choose a language from the list.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  // Plan limit errors already explain the limit and how to lift it
+  if (lowerError.includes('upgrade your plan')) {
+    return {
+      userMessage: errorMessage,
+      technicalMessage: errorMessage
+    };
+  }
+  
+  // Account related errors
+  if (lowerError.includes('invalid email or password')) {
+    return {
+      userMessage: 'Invalid email or password.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('invalid email address')) {
+    return {
+      userMessage: 'Please enter a valid email address.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('password must be')) {
+    return {
+      userMessage: errorMessage.endsWith('.') ? errorMessage : `${errorMessage}.`,
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('account with this email already exists')) {
+    return {
+      userMessage: 'An account with this email already exists. Please sign in, or use a magic link if you have no password yet.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('magic link is invalid')) {
+    return {
+      userMessage: 'This sign-in link is invalid or has expired. Please request a new one.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('email delivery failed')) {
+    return {
+      userMessage: 'We could not send the sign-in email. Please try again later.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  // Transcript history sync errors
+  if (lowerError.includes('invalid history entry')) {
+    return {
+      userMessage: 'This history entry could not be synced. Please try again.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('history limit reached')) {
+    return {
+      userMessage: errorMessage,
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('invalid chapter response')) {
+    return {
+      userMessage: 'Could not split this transcript into chapters. Please try again.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('invalid speaker response')) {
+    return {
+      userMessage: 'Could not tell the speakers in this transcript apart. Please try again.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('invalid summary response')) {
+    return {
+      userMessage: 'The summary could not be created in this format. Please try again or choose another style.',
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('invalid summary style') || lowerError.includes('invalid summary length')) {
+    return {
+      userMessage: errorMessage,
+      technicalMessage: errorMessage
+    };
+  }
+  
+  if (lowerError.includes('queue is full')) {
+    return {
+      userMessage: 'The server is busy processing other videos. Please try again in a few minutes.',
+      technicalMessage: errorMessage
+    };
+  }
+  
   // YouTube/Video related errors
   if (lowerError.includes('invalid youtube url') || lowerError.includes('invalid url')) {
     return {
@@ -222,6 +382,23 @@ export function getUserFriendlyError(error) {
     };
   }
   
+  // Local Whisper related errors (self-hosted speech-to-text)
+  if (lowerError.includes('local whisper') || lowerError.includes('transcription provider')) {
+    if (lowerError.includes('not configured') || lowerError.includes('transcription provider')) {
+      return {
+        userMessage: 'The selected transcription engine is not available on this server. Please choose a different one or contact support.',
+        technicalMessage: errorMessage
+      };
+    }
+    
+    if (lowerError.includes('timeout')) {
+      return {
+        userMessage: 'Local transcription took too long. Please try a shorter video.',
+        technicalMessage: errorMessage
+      };
+    }
+  }
+  
   // OpenAI/Whisper related errors
   if (lowerError.includes('openai') || lowerError.includes('whisper')) {
     if (lowerError.includes('connection') || lowerError.includes('econnrefused') || lowerError.includes('timeout')) {
@@ -377,6 +554,8 @@ export function formatErrorResponse(error) {
     error: errorInfo.userMessage,
     technicalError: errorInfo.technicalMessage,
     errorType: error.constructor.name,
+    // Plan limit errors - the frontend offers an upgrade
+    ...(error.requiresPayment && { requiresPayment: true }),
     timestamp: new Date().toISOString()
   };
 }
@@ -0,0 +1,72 @@
+// History service
+// Server copy of a signed-in user's transcript history, so the library
+// the browser keeps in IndexedDB follows the account across devices
+
+import dotenv from 'dotenv';
+import { getDatabase } from './database.js';
+
+dotenv.config();
+
+const HISTORY_MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 500;
+
+function historyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * All history entries of a user, newest first
+ * @param {number} userId - User ID
+ * @returns {Array<Object>} Entries as saved by the client
+ */
+export function listHistoryEntries(userId) {
+  return getDatabase()
+    .prepare('SELECT data FROM history_entries WHERE user_id = ? ORDER BY updated_at DESC')
+    .all(userId)
+    .map(row => JSON.parse(row.data));
+}
+
+/**
+ * Save an entry unless the stored copy is newer (last write by updatedAt wins)
+ * @param {number} userId - User ID
+ * @param {Object} entry - History entry ({id, videoId, updatedAt, ...})
+ * @returns {Object} The entry now stored
+ */
+export function saveHistoryEntry(userId, entry) {
+  if (!entry || typeof entry.id !== 'string' || !entry.id || !entry.videoId) {
+    throw historyError('Invalid history entry');
+  }
+
+  const db = getDatabase();
+  const updatedAt = Number(entry.updatedAt) || Date.now();
+
+  return db.transaction(() => {
+    const existing = db.prepare('SELECT data, updated_at FROM history_entries WHERE user_id = ? AND id = ?').get(userId, entry.id);
+    if (existing && existing.updated_at > updatedAt) {
+      return JSON.parse(existing.data);
+    }
+
+    if (!existing) {
+      const { count } = db.prepare('SELECT COUNT(*) AS count FROM history_entries WHERE user_id = ?').get(userId);
+      if (count >= HISTORY_MAX_ENTRIES) {
+        throw historyError(`History limit reached (${HISTORY_MAX_ENTRIES} entries). Delete old entries to sync new ones.`, 409);
+      }
+    }
+
+    const stored = { ...entry, updatedAt };
+    db.prepare(`INSERT INTO history_entries (user_id, id, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (user_id, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`)
+      .run(userId, entry.id, JSON.stringify(stored), updatedAt);
+    return stored;
+  })();
+}
+
+/**
+ * Delete one history entry
+ * @param {number} userId - User ID
+ * @param {string} entryId - Entry ID
+ */
+export function deleteHistoryEntry(userId, entryId) {
+  getDatabase().prepare('DELETE FROM history_entries WHERE user_id = ? AND id = ?').run(userId, entryId);
+}
@@ -0,0 +1,219 @@
+// Job queue service
+// Runs long transcript work in the background with a concurrency limit so clients
+// can submit a job, disconnect, and resume watching its progress later
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { formatErrorResponse, logError } from './errorHandler.js';
+
+dotenv.config();
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_MAX_QUEUED = parseInt(process.env.JOB_MAX_QUEUED, 10) || 100;
+// Finished jobs are kept in memory so clients can still fetch the result after reconnecting
+const JOB_RETENTION_MS = (parseFloat(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+const jobs = new Map();
+const pendingJobIds = [];
+const handlers = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected SSE client
+
+let runningCount = 0;
+
+/**
+ * Register the function that processes jobs of a type
+ * @param {string} type - Job type (e.g. 'transcript')
+ * @param {Function} handler - Called with (params, onProgress); resolves with the job result
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type with a registered handler
+ * @param {Object} params - Parameters passed to the handler
+ * @returns {Object} Created job
+ */
+export function createJob(type, params) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+  if (pendingJobIds.length >= JOB_MAX_QUEUED) {
+    throw new Error('Job queue is full. Please try again in a few minutes.');
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    status: 'queued',
+    progress: 0,
+    message: 'Waiting in queue...',
+    result: null,
+    error: null,
+    events: [],
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  pendingJobIds.push(job.id);
+  console.log(`📥 Queued ${type} job ${job.id} (${pendingJobIds.length} waiting, ${runningCount}/${JOB_CONCURRENCY} running)`);
+
+  addJobEvent(job, { progress: 0, message: job.message });
+  processQueue();
+  return job;
+}
+
+/**
+ * Number of jobs that can still be queued before new ones are rejected
+ * @returns {number} Free queue slots
+ */
+export function getAvailableQueueSlots() {
+  return Math.max(0, JOB_MAX_QUEUED - pendingJobIds.length);
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job or null if unknown/expired
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Public view of a job (without handler params and event history)
+ * @param {Object} job - Job
+ * @returns {Object} Job status as returned by the API
+ */
+export function serializeJob(job) {
+  const queuePosition = job.status === 'queued' ? pendingJobIds.indexOf(job.id) + 1 : null;
+  return {
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    queuePosition,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    result: job.result,
+    error: job.error
+  };
+}
+
+/**
+ * Check whether a job has finished (successfully or not)
+ * @param {Object} job - Job
+ * @returns {boolean} True if completed or failed
+ */
+export function isJobFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+/**
+ * Get events recorded after a given event ID (used to replay missed events on reconnect)
+ * @param {Object} job - Job
+ * @param {number} [afterEventId=0] - Last event ID the client has seen
+ * @returns {Array} Events as {id, data}
+ */
+export function getJobEvents(job, afterEventId = 0) {
+  return job.events.filter(event => event.id > afterEventId);
+}
+
+/**
+ * Listen for new events of a job
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with each new event ({id, data})
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+function addJobEvent(job, data) {
+  const event = { id: job.events.length + 1, data };
+  job.events.push(event);
+  emitter.emit(job.id, event);
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  job.status = 'running';
+  job.startedAt = Date.now();
+  console.log(`▶️  Started ${job.type} job ${job.id}`);
+
+  const onProgress = (progress, message) => {
+    job.progress = progress;
+    job.message = message;
+    addJobEvent(job, { progress, message });
+  };
+
+  try {
+    job.result = await handler(job.params, onProgress);
+    job.status = 'completed';
+    job.progress = 100;
+    job.message = 'Complete!';
+    console.log(`✅ Completed ${job.type} job ${job.id}`);
+  } catch (error) {
+    logError(job.type, error);
+    job.error = formatErrorResponse(error);
+    job.status = 'failed';
+    job.message = job.error.error;
+  } finally {
+    job.finishedAt = Date.now();
+    // Final event carries the result (or error) in the same shape as the streaming endpoints
+    addJobEvent(job, job.status === 'completed' ? job.result : job.error);
+  }
+}
+
+function processQueue() {
+  while (runningCount < JOB_CONCURRENCY && pendingJobIds.length > 0) {
+    const job = jobs.get(pendingJobIds.shift());
+    if (!job) continue;
+
+    runningCount++;
+    runJob(job).finally(() => {
+      runningCount--;
+      processQueue();
+    });
+  }
+
+  // Let waiting clients know their place in line
+  pendingJobIds.forEach((jobId, index) => {
+    const job = jobs.get(jobId);
+    const message = `Waiting in queue (position ${index + 1})...`;
+    if (job && job.message !== message) {
+      job.message = message;
+      addJobEvent(job, { progress: 0, message });
+    }
+  });
+}
+
+/**
+ * Remove finished jobs older than the retention period
+ */
+export function pruneJobs() {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [jobId, job] of jobs) {
+    if (isJobFinished(job) && now - job.finishedAt > JOB_RETENTION_MS) {
+      jobs.delete(jobId);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🗑️  Removed ${removed} expired jobs`);
+  }
+}
+
+setInterval(pruneJobs, 60 * 60 * 1000).unref();
@@ -0,0 +1,197 @@
+// Local Whisper transcription provider
+// Runs whisper.cpp or faster-whisper (via the whisper-ctranslate2 CLI) as a subprocess
+// so self-hosted deployments can transcribe without sending audio to a third party
+
+import { promisify } from 'util';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createSegment } from './captionService.js';
+
+dotenv.config();
+
+// Commands run without a shell - file paths and settings are passed as plain arguments
+const execFileAsync = promisify(execFile);
+
+// CPU transcription of long videos is slow - allow up to 2 hours by default
+const LOCAL_WHISPER_TIMEOUT_MS = parseInt(process.env.LOCAL_WHISPER_TIMEOUT_MS, 10) || 2 * 60 * 60 * 1000;
+
+/**
+ * Get local engine configuration from environment variables
+ * @returns {Object} Engine configuration
+ */
+function getLocalWhisperConfig() {
+  return {
+    engine: (process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp').toLowerCase(),
+    threads: parseInt(process.env.LOCAL_WHISPER_THREADS, 10) || 4,
+    language: process.env.LOCAL_WHISPER_LANGUAGE || 'auto',
+    whisperCppBin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+    whisperCppModel: process.env.WHISPER_CPP_MODEL,
+    fasterWhisperBin: process.env.FASTER_WHISPER_BIN || 'whisper-ctranslate2',
+    fasterWhisperModel: process.env.FASTER_WHISPER_MODEL || 'small'
+  };
+}
+
+/**
+ * Check whether a command can be run - paths are checked directly, bare names are looked up on PATH
+ * @param {string} command - Command name or path
+ * @returns {boolean} True if the executable exists
+ */
+function isCommandAvailable(command) {
+  if (command.includes('/') || command.includes('\\')) {
+    return fs.existsSync(command);
+  }
+  const extensions = process.platform === 'win32' ? (process.env.PATHEXT || '.EXE').split(';') : [''];
+  return (process.env.PATH || '').split(path.delimiter)
+    .some(dir => dir && extensions.some(extension => fs.existsSync(path.join(dir, `${command}${extension}`))));
+}
+
+/**
+ * Check whether the local provider has what it needs to run
+ * @returns {boolean} True if the configured engine can be used
+ */
+export function isLocalWhisperConfigured() {
+  const config = getLocalWhisperConfig();
+  if (config.engine === 'faster-whisper') {
+    return isCommandAvailable(config.fasterWhisperBin);
+  }
+  return isCommandAvailable(config.whisperCppBin) && !!config.whisperCppModel && fs.existsSync(config.whisperCppModel);
+}
+
+/**
+ * Convert audio to 16kHz mono WAV (the only input format whisper.cpp accepts)
+ * @param {string} audioPath - Path to audio file
+ * @param {string} outputDir - Directory for the converted file
+ * @returns {Promise<string>} Path to WAV file
+ */
+async function convertToWav(audioPath, outputDir) {
+  const wavPath = path.join(outputDir, 'audio.wav');
+  const args = ['-y', '-v', 'error', '-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath];
+
+  try {
+    await execFileAsync('ffmpeg', args, { timeout: 600000 });
+  } catch (error) {
+    throw new Error(`Local Whisper could not convert audio with ffmpeg: ${error.message}`);
+  }
+
+  return wavPath;
+}
+
+/**
+ * Transcribe with whisper.cpp and parse its JSON output
+ */
+async function transcribeWithWhisperCpp(audioPath, workDir, config) {
+  if (!config.whisperCppModel || !fs.existsSync(config.whisperCppModel)) {
+    throw new Error('Local Whisper is not configured: set WHISPER_CPP_MODEL to a ggml model file path.');
+  }
+
+  const wavPath = await convertToWav(audioPath, workDir);
+  const outputBase = path.join(workDir, 'transcript');
+  const args = [
+    '-m', config.whisperCppModel,
+    '-f', wavPath,
+    '-l', config.language,
+    '-t', String(config.threads),
+    '-oj',
+    '-of', outputBase
+  ];
+
+  console.log(`🖥️  Running whisper.cpp (${path.basename(config.whisperCppModel)}, ${config.threads} threads)...`);
+  await execFileAsync(config.whisperCppBin, args, { timeout: LOCAL_WHISPER_TIMEOUT_MS, maxBuffer: 50 * 1024 * 1024 });
+
+  const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf-8'));
+  const segments = (output.transcription || [])
+    .filter(item => item.text && item.text.trim().length > 0)
+    .map(item => createSegment(item.offsets.from / 1000, item.offsets.to / 1000, item.text));
+
+  return {
+    segments,
+    language: output.result?.language || null
+  };
+}
+
+/**
+ * Transcribe with faster-whisper through the whisper-ctranslate2 CLI and parse its JSON output
+ */
+async function transcribeWithFasterWhisper(audioPath, workDir, config) {
+  const args = [
+    audioPath,
+    '--model', config.fasterWhisperModel,
+    '--device', 'cpu',
+    '--compute_type', 'int8',
+    '--threads', String(config.threads),
+    ...(config.language === 'auto' ? [] : ['--language', config.language]),
+    '--output_format', 'json',
+    '--output_dir', workDir
+  ];
+
+  console.log(`🖥️  Running faster-whisper (${config.fasterWhisperModel}, ${config.threads} threads)...`);
+  await execFileAsync(config.fasterWhisperBin, args, { timeout: LOCAL_WHISPER_TIMEOUT_MS, maxBuffer: 50 * 1024 * 1024 });
+
+  const outputFile = fs.readdirSync(workDir).find(file => file.endsWith('.json'));
+  if (!outputFile) {
+    throw new Error('faster-whisper produced no JSON output');
+  }
+
+  const output = JSON.parse(fs.readFileSync(path.join(workDir, outputFile), 'utf-8'));
+  const segments = (output.segments || [])
+    .filter(segment => segment.text && segment.text.trim().length > 0)
+    .map(segment => createSegment(segment.start, segment.end, segment.text));
+
+  return {
+    segments,
+    language: output.language || null
+  };
+}
+
+/**
+ * Transcribe an audio file locally on the CPU
+ * @param {string} audioPath - Path to audio file
+ * @returns {Promise<Object>} Transcript as {text, segments, language, method}
+ */
+export async function transcribeLocalFile(audioPath) {
+  const config = getLocalWhisperConfig();
+  console.log(`🖥️  Attempting: Local Whisper (${config.engine})...`);
+
+  if (!fs.existsSync(audioPath)) {
+    throw new Error(`Audio file not found: ${audioPath}`);
+  }
+
+  const workDir = path.join(path.dirname(audioPath), `local_whisper_${Date.now()}`);
+  fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    const { segments, language } = config.engine === 'faster-whisper'
+      ? await transcribeWithFasterWhisper(audioPath, workDir, config)
+      : await transcribeWithWhisperCpp(audioPath, workDir, config);
+
+    const text = segments.map(segment => segment.text).join(' ').replace(/\s+/g, ' ').trim();
+    if (text.length === 0) {
+      throw new Error('Transcription returned empty text');
+    }
+
+    console.log('✅ Local Whisper transcription completed!');
+    console.log('Transcribed text length:', text.length);
+    console.log('Detected language:', language || 'unknown');
+    console.log('Segments:', segments.length);
+
+    return { text, segments, language, method: 'local' };
+  } catch (error) {
+    const errorMsg = error.message || error.toString();
+    console.error(`❌ Local Whisper failed: ${errorMsg}`);
+
+    if (errorMsg.includes('not configured') || errorMsg.startsWith('Local Whisper')) {
+      throw error;
+    }
+    if (errorMsg.includes('not found') || errorMsg.includes('ENOENT')) {
+      throw new Error(`Local Whisper is not configured: ${config.engine} executable was not found.`);
+    }
+    if (error.killed || errorMsg.includes('timed out')) {
+      throw new Error('Local Whisper transcription timeout: the video is too long for this server.');
+    }
+    throw new Error(`Local Whisper transcription failed: ${errorMsg}`);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,103 @@
+// OpenAI Whisper transcription provider
+// Sends audio to the hosted Whisper API and returns caption-shaped segments
+
+import OpenAI from 'openai';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { createSegment } from './captionService.js';
+
+dotenv.config();
+
+const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+// OpenAI Whisper API upload limit
+export const WHISPER_MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+/**
+ * Transcribe a single audio file (under 25MB) using OpenAI Whisper API (auto-detect language)
+ * @param {string} audioPath - Path to audio file
+ * @param {number} retryCount - Current retry attempt
+ * @returns {Promise<Object>} Transcript as {text, segments, language, method}
+ */
+export async function transcribeWhisperFile(audioPath, retryCount = 0) {
+  const MAX_RETRIES = 3;
+  try {
+    console.log(`🔵 Attempting: OpenAI Whisper API... (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
+
+    if (!fs.existsSync(audioPath)) {
+      throw new Error(`Audio file not found: ${audioPath}`);
+    }
+
+    const stats = fs.statSync(audioPath);
+    const fileSizeMB = (stats.size / 1024 / 1024).toFixed(2);
+    console.log(` Audio file: ${path.basename(audioPath)} (${fileSizeMB}MB)`);
+
+    if (stats.size > WHISPER_MAX_FILE_SIZE) {
+      throw new Error(`Audio file is too large (${fileSizeMB}MB). OpenAI Whisper limit is 25MB.`);
+    }
+
+    const audioStream = fs.createReadStream(audioPath);
+    
+    // Auto-detect language by not specifying the language parameter
+    // verbose_json includes segment-level timestamps so the result can be shown like captions
+    const transcription = await openai.audio.transcriptions.create({
+      file: audioStream,
+      model: 'whisper-1',
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment']
+      // Language will be auto-detected
+    });
+
+    if (transcription.text && transcription.text.length > 0) {
+      const segments = (transcription.segments || [])
+        .filter(segment => segment.text && segment.text.trim().length > 0)
+        .map(segment => createSegment(segment.start, segment.end, segment.text));
+
+      console.log('✅ OpenAI Whisper transcription completed (language auto-detected)!');
+      console.log('Transcribed text length:', transcription.text.length);
+      console.log('Detected language:', transcription.language || 'unknown');
+      console.log('Segments:', segments.length);
+      return {
+        text: transcription.text.trim(),
+        segments,
+        language: transcription.language || null,
+        method: 'openai'
+      };
+    } else {
+      throw new Error('Transcription returned empty text');
+    }
+  } catch (openaiError) {
+    const errorMsg = openaiError.message || openaiError.toString();
+    console.error(`❌ OpenAI Whisper failed: ${errorMsg}`);
+
+    const isRetryableError = errorMsg.includes('Connection') || 
+                            errorMsg.includes('ECONNREFUSED') || 
+                            errorMsg.includes('ETIMEDOUT') || 
+                            errorMsg.includes('timeout') || 
+                            errorMsg.includes('network') || 
+                            (openaiError.status >= 500 && openaiError.status < 600);
+
+    if (isRetryableError && retryCount < MAX_RETRIES) {
+      const delayMs = Math.pow(2, retryCount) * 2000;
+      console.log(`⏳ Waiting ${delayMs / 1000}s before retry...`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      return transcribeWhisperFile(audioPath, retryCount + 1);
+    }
+
+    let errorMessage = 'Transcription failed';
+    if (errorMsg.includes('Connection') || errorMsg.includes('ECONNREFUSED')) {
+      errorMessage = 'Failed to connect to OpenAI API. Please check your internet connection and API key.';
+    } else if (errorMsg.includes('401') || errorMsg.includes('Unauthorized')) {
+      errorMessage = 'OpenAI API key is invalid or expired. Please check your OPENAI_API_KEY.';
+    } else if (errorMsg.includes('429') || errorMsg.includes('rate limit')) {
+      errorMessage = 'OpenAI API rate limit exceeded. Please try again in a few moments.';
+    } else if (errorMsg.includes('too large')) {
+      errorMessage = errorMsg;
+    } else {
+      errorMessage = `Transcription failed: ${errorMsg}`;
+    }
+
+    throw new Error(errorMessage);
+  }
+}
@@ -0,0 +1,119 @@
+// Playlist service
+// Recognises playlist/channel URLs and enumerates their videos with yt-dlp --flat-playlist
+
+import { promisify } from 'util';
+import { execFile } from 'child_process';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const execFileAsync = promisify(execFile);
+
+// Upper bound on videos taken from one playlist/channel (each becomes its own job)
+export const BATCH_MAX_VIDEOS = parseInt(process.env.BATCH_MAX_VIDEOS, 10) || 50;
+
+/**
+ * Recognise a playlist or channel URL
+ * Watch URLs that only carry a list= parameter alongside a video are treated as the playlist
+ * @param {string} url - YouTube URL
+ * @returns {Object|null} {type: 'playlist'|'channel', url} with a normalised URL, or null
+ */
+export function parseCollectionUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const trimmed = url.trim();
+
+  const playlistMatch = trimmed.match(/[?&]list=([a-zA-Z0-9_-]+)/);
+  if (playlistMatch && /youtube\.com|youtu\.be/.test(trimmed)) {
+    const playlistId = playlistMatch[1];
+    return {
+      type: 'playlist',
+      id: playlistId,
+      url: `https://www.youtube.com/playlist?list=${playlistId}`
+    };
+  }
+
+  // Handles and IDs are limited to URL-safe characters - anything else is not a channel URL
+  const channelMatch = trimmed.match(/youtube\.com\/(@[A-Za-z0-9_.-]+|(?:channel|c|user)\/[A-Za-z0-9_.-]+)(?=[/?#]|$)/);
+  if (channelMatch) {
+    // The videos tab lists uploads; the bare channel URL would list the channel's tabs instead
+    return {
+      type: 'channel',
+      id: channelMatch[1],
+      url: `https://www.youtube.com/${channelMatch[1]}/videos`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * List the videos of a playlist or channel without downloading anything
+ * @param {string} url - Playlist or channel URL
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit] - Maximum number of videos (capped at BATCH_MAX_VIDEOS)
+ * @returns {Promise<Object>} {type, title, channel, url, videos: [{videoId, title, url, duration}], truncated}
+ */
+export async function listCollectionVideos(url, options = {}) {
+  const collection = parseCollectionUrl(url);
+  if (!collection) {
+    throw new Error('Invalid playlist or channel URL');
+  }
+
+  const limit = Math.min(parseInt(options.limit, 10) || BATCH_MAX_VIDEOS, BATCH_MAX_VIDEOS);
+  // Ask for one extra entry so we can tell the caller the list was cut off
+  const args = [
+    '--flat-playlist', '-J',
+    '--playlist-end', String(limit + 1),
+    '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    collection.url
+  ];
+
+  console.log(`📃 Listing ${collection.type} videos: ${collection.url}`);
+
+  let stdout;
+  try {
+    // No shell - the URL is passed to yt-dlp as a single argument
+    const result = await execFileAsync('yt-dlp', args, { timeout: 120000, maxBuffer: 50 * 1024 * 1024 });
+    stdout = result.stdout;
+  } catch (error) {
+    const errorMsg = ((error.stderr || '') + (error.message || '')).toLowerCase();
+    if (error.code === 'ENOENT' || (errorMsg.includes('not found') && errorMsg.includes('yt-dlp'))) {
+      throw new Error('yt-dlp is not installed. Please install it on your server.');
+    }
+    if (errorMsg.includes('does not exist') || errorMsg.includes('404') || errorMsg.includes('unavailable')) {
+      throw new Error(`This ${collection.type} is unavailable or has been removed`);
+    }
+    if (errorMsg.includes('private')) {
+      throw new Error(`This ${collection.type} is private`);
+    }
+    throw new Error(`Could not list ${collection.type} videos: ${error.message}`);
+  }
+
+  const info = JSON.parse(stdout);
+  const videos = (info.entries || [])
+    .filter(entry => entry && typeof entry.id === 'string' && /^[a-zA-Z0-9_-]{11}$/.test(entry.id))
+    .map(entry => ({
+      videoId: entry.id,
+      title: entry.title || entry.id,
+      url: `https://www.youtube.com/watch?v=${entry.id}`,
+      duration: entry.duration || null
+    }));
+
+  if (videos.length === 0) {
+    throw new Error(`No videos found in this ${collection.type}`);
+  }
+
+  console.log(`✅ Found ${videos.length} videos in "${info.title || collection.id}"`);
+
+  return {
+    type: collection.type,
+    title: info.title || collection.id,
+    channel: info.channel || info.uploader || null,
+    url: collection.url,
+    videos: videos.slice(0, limit),
+    truncated: videos.length > limit
+  };
+}
@@ -0,0 +1,161 @@
+// Summary styles
+// Structured alternatives to the prose summary: each style has its own prompt, a JSON shape
+// the model must answer in, and a plain-text rendering used for copy and TXT/PDF/DOCX exports
+
+// How many items a style produces for each summary length
+const ITEM_COUNTS = {
+  short: '3-5',
+  medium: '5-8',
+  long: '8-12'
+};
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+const bullets = (items) => items.map(item => `- ${item}`).join('\n');
+
+export const SUMMARY_STYLES = {
+  takeaways: {
+    label: 'Key takeaways',
+    instructions: (count) => `List the ${count} most important takeaways. Each has a one-sentence point and an optional sentence of supporting detail.`,
+    shape: '{"takeaways": [{"point": "takeaway", "detail": "supporting detail or empty string"}]}',
+    normalize: (data) => ({
+      takeaways: asList(data.takeaways)
+        .map(item => ({ point: asText(item?.point), detail: asText(item?.detail) }))
+        .filter(item => item.point)
+    }),
+    format: ({ takeaways }) => takeaways
+      .map((item, index) => `${index + 1}. ${item.point}${item.detail ? `\n   ${item.detail}` : ''}`)
+      .join('\n')
+  },
+
+  'action-items': {
+    label: 'Action items',
+    instructions: (count) => `List up to ${count} concrete action items, recommendations or next steps mentioned in the transcript. Name who should do it only if the transcript says so. If there are none, return an empty list.`,
+    shape: '{"actionItems": [{"task": "what to do", "owner": "who, or empty string", "context": "why or when, or empty string"}]}',
+    normalize: (data) => ({
+      actionItems: asList(data.actionItems)
+        .map(item => ({ task: asText(item?.task), owner: asText(item?.owner), context: asText(item?.context) }))
+        .filter(item => item.task)
+    }),
+    format: ({ actionItems }) => (actionItems.length === 0
+      ? 'No action items were found in this transcript.'
+      : actionItems
+        .map(item => `[ ] ${item.task}${item.owner ? ` (${item.owner})` : ''}${item.context ? `\n    ${item.context}` : ''}`)
+        .join('\n'))
+  },
+
+  outline: {
+    label: 'Outline',
+    instructions: (count) => `Write a hierarchical outline of the content in order: ${count} sections, each with short points and optional subsections.`,
+    shape: '{"outline": [{"heading": "section", "points": ["point"], "subsections": [{"heading": "subsection", "points": ["point"]}]}]}',
+    normalize: (data) => {
+      const normalizeSection = (section, depth) => ({
+        heading: asText(section?.heading),
+        points: asList(section?.points).map(asText).filter(Boolean),
+        subsections: depth > 0 ? [] : asList(section?.subsections).map(sub => normalizeSection(sub, depth + 1)).filter(sub => sub.heading)
+      });
+      return { outline: asList(data.outline).map(section => normalizeSection(section, 0)).filter(section => section.heading) };
+    },
+    format: ({ outline }) => outline.map((section, index) => [
+      `${index + 1}. ${section.heading}`,
+      ...section.points.map(point => `   - ${point}`),
+      ...section.subsections.flatMap((sub, subIndex) => [
+        `   ${index + 1}.${subIndex + 1} ${sub.heading}`,
+        ...sub.points.map(point => `      - ${point}`)
+      ])
+    ].join('\n')).join('\n\n')
+  },
+
+  'study-notes': {
+    label: 'Study notes',
+    instructions: (count) => `Write study notes for a student: a short overview, ${count} key concepts with clear definitions, ${count} notes on the most important facts and explanations, and 3-5 review questions.`,
+    shape: '{"overview": "overview", "concepts": [{"term": "term", "definition": "definition"}], "notes": ["note"], "reviewQuestions": ["question"]}',
+    normalize: (data) => ({
+      overview: asText(data.overview),
+      concepts: asList(data.concepts)
+        .map(item => ({ term: asText(item?.term), definition: asText(item?.definition) }))
+        .filter(item => item.term),
+      notes: asList(data.notes).map(asText).filter(Boolean),
+      reviewQuestions: asList(data.reviewQuestions).map(asText).filter(Boolean)
+    }),
+    format: ({ overview, concepts, notes, reviewQuestions }) => [
+      overview && `Overview\n${overview}`,
+      concepts.length > 0 && `Key Concepts\n${bullets(concepts.map(item => `${item.term}: ${item.definition}`))}`,
+      notes.length > 0 && `Notes\n${bullets(notes)}`,
+      reviewQuestions.length > 0 && `Review Questions\n${reviewQuestions.map((question, index) => `${index + 1}. ${question}`).join('\n')}`
+    ].filter(Boolean).join('\n\n')
+  },
+
+  'tweet-thread': {
+    label: 'Tweet thread',
+    instructions: (count) => `Write a thread of ${count} tweets about the content. Each tweet is at most 270 characters, the first one hooks the reader, the last one wraps up. No hashtags unless essential, no numbering.`,
+    shape: '{"tweets": ["tweet"]}',
+    normalize: (data) => ({
+      tweets: asList(data.tweets).map(asText).filter(Boolean)
+    }),
+    format: ({ tweets }) => tweets.map((tweet, index) => `${index + 1}/${tweets.length} ${tweet}`).join('\n\n')
+  },
+
+  'executive-brief': {
+    label: 'Executive brief',
+    instructions: (count) => `Write a brief for a busy executive: the bottom line in 1-2 sentences, ${count} key points, the main risks or open questions, and recommendations. Be direct and concrete.`,
+    shape: '{"bottomLine": "bottom line", "keyPoints": ["point"], "risks": ["risk or open question"], "recommendations": ["recommendation"]}',
+    normalize: (data) => ({
+      bottomLine: asText(data.bottomLine),
+      keyPoints: asList(data.keyPoints).map(asText).filter(Boolean),
+      risks: asList(data.risks).map(asText).filter(Boolean),
+      recommendations: asList(data.recommendations).map(asText).filter(Boolean)
+    }),
+    format: ({ bottomLine, keyPoints, risks, recommendations }) => [
+      bottomLine && `Bottom Line\n${bottomLine}`,
+      keyPoints.length > 0 && `Key Points\n${bullets(keyPoints)}`,
+      risks.length > 0 && `Risks & Open Questions\n${bullets(risks)}`,
+      recommendations.length > 0 && `Recommendations\n${bullets(recommendations)}`
+    ].filter(Boolean).join('\n\n')
+  }
+};
+
+// 'prose' is the original free-text summary and is handled by aiSummaryService itself
+export const SUMMARY_STYLE_IDS = ['prose', ...Object.keys(SUMMARY_STYLES)];
+
+// Summary lengths every style supports (plans may allow only some of them)
+export const SUMMARY_LENGTHS = Object.keys(ITEM_COUNTS);
+
+/**
+ * Prompt for a structured summary style
+ * @param {string} style - Style ID (a key of SUMMARY_STYLES)
+ * @param {string} text - Transcript, or notes on a long transcript
+ * @param {string} summaryLength - 'short', 'medium' or 'long'
+ * @param {Object} [options] - {fromNotes: text is notes from the map step of a long transcript, timed: text has [t=SECONDS] markers}
+ * @returns {string} Prompt
+ */
+export function buildStylePrompt(style, text, summaryLength, { fromNotes = false, timed = false } = {}) {
+  const definition = SUMMARY_STYLES[style];
+  const source = fromNotes ? 'notes on consecutive parts of a long transcript' : 'transcript';
+
+  return `You are an expert content summarizer. Summarize the following ${source} in the requested format.
+
+Requirements:
+- ${definition.instructions(ITEM_COUNTS[summaryLength] || ITEM_COUNTS.medium)}
+- Maintain the original context and meaning
+- Write in the language of the ${source}
+- Do not add any information not present in the original text${timed ? `
+- Lines start with [t=SECONDS] markers that show where they are in the video. End the text of every item with the marker of the line it comes from, e.g. "point [t=125]". Only use markers that appear in the text` : ''}
+- Respond with JSON only, in exactly this shape:
+${definition.shape}
+
+${fromNotes ? 'Notes' : 'Transcript'}:
+${text}`;
+}
+
+/**
+ * Validate a model answer for a style and render it as plain text
+ * @param {string} style - Style ID
+ * @param {Object} data - Parsed JSON answer
+ * @returns {Object} {structured, text}
+ */
+export function formatStyledSummary(style, data) {
+  const definition = SUMMARY_STYLES[style];
+  const structured = definition.normalize(data || {});
+  return { structured, text: definition.format(structured) };
+}
@@ -0,0 +1,138 @@
+// Transcription service
+// Selects a speech-to-text provider (hosted OpenAI Whisper or a local CPU engine)
+// and handles chunking for providers with an upload size limit
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { transcribeWhisperFile, WHISPER_MAX_FILE_SIZE } from './openaiWhisperProvider.js';
+import { transcribeLocalFile, isLocalWhisperConfigured } from './localWhisperProvider.js';
+import { splitAudioIntoChunks, stitchChunkTranscripts } from './audioChunkService.js';
+
+dotenv.config();
+
+// Available transcription providers
+// method is reported as transcriptionMethod in API responses and used in cache keys
+const TRANSCRIPTION_PROVIDERS = {
+  openai: {
+    id: 'openai',
+    name: 'OpenAI Whisper API',
+    method: 'openai-whisper',
+    maxFileSize: WHISPER_MAX_FILE_SIZE,
+    transcribeFile: transcribeWhisperFile,
+    isAvailable: () => !!process.env.OPENAI_API_KEY
+  },
+  local: {
+    id: 'local',
+    name: 'Local Whisper',
+    method: 'local-whisper',
+    maxFileSize: null, // Runs on the server, no upload limit
+    transcribeFile: transcribeLocalFile,
+    isAvailable: isLocalWhisperConfigured
+  }
+};
+
+// Thrown when a provider is known but not set up on this server
+function providerUnavailableError(provider, statusCode) {
+  const error = new Error(`Transcription provider not available: ${provider.name} is not configured on this server`);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Resolve a transcription provider
+ * A provider the request asked for must be available (400 otherwise); the default one is
+ * checked with assertTranscriptionProviderAvailable once audio actually needs transcribing
+ * @param {string} [providerId] - Provider ID ('openai' or 'local'); defaults to TRANSCRIPTION_PROVIDER env var
+ * @returns {Object} Provider definition
+ */
+export function getTranscriptionProvider(providerId) {
+  const id = (providerId || process.env.TRANSCRIPTION_PROVIDER || 'openai').toLowerCase();
+  const provider = TRANSCRIPTION_PROVIDERS[id];
+
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${id}. Available providers: ${Object.keys(TRANSCRIPTION_PROVIDERS).join(', ')}`);
+  }
+  if (providerId && !provider.isAvailable()) {
+    throw providerUnavailableError(provider, 400);
+  }
+
+  return provider;
+}
+
+/**
+ * Check that a provider can run before audio is downloaded for it
+ * @param {Object} provider - From getTranscriptionProvider
+ * @throws {Error} 503 error when the provider is not configured on this server
+ */
+export function assertTranscriptionProviderAvailable(provider) {
+  if (!provider.isAvailable()) {
+    throw providerUnavailableError(provider, 503);
+  }
+}
+
+/**
+ * List providers with their availability on this server
+ * @returns {Array} Providers as {id, name, method, available, default}
+ */
+export function listTranscriptionProviders() {
+  const defaultProvider = getTranscriptionProvider().id;
+  return Object.values(TRANSCRIPTION_PROVIDERS).map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    method: provider.method,
+    available: provider.isAvailable(),
+    default: provider.id === defaultProvider
+  }));
+}
+
+/**
+ * Transcribe audio of any length with the selected provider
+ * Files over the provider's upload limit are split into overlapping chunks and stitched back together
+ * @param {string} audioPath - Path to audio file
+ * @param {Object} [options] - Transcription options
+ * @param {string} [options.provider] - Provider ID
+ * @param {Function} [options.onChunkProgress] - Called with (chunkIndex, totalChunks) before each chunk
+ * @returns {Promise<Object>} Transcript as {text, segments, language, method, provider}
+ */
+export async function transcribeAudio(audioPath, options = {}) {
+  const { onChunkProgress = () => {} } = options;
+  const provider = getTranscriptionProvider(options.provider);
+  assertTranscriptionProviderAvailable(provider);
+  const stats = fs.statSync(audioPath);
+
+  if (!provider.maxFileSize || stats.size <= provider.maxFileSize) {
+    const result = await provider.transcribeFile(audioPath);
+    return { ...result, method: provider.method, provider: provider.id };
+  }
+
+  const limitMB = (provider.maxFileSize / 1024 / 1024).toFixed(0);
+  console.log(`✂️  Audio is ${(stats.size / 1024 / 1024).toFixed(1)}MB (over the ${limitMB}MB ${provider.name} limit), transcribing in chunks...`);
+  const chunkDir = path.join(path.dirname(audioPath), `chunks_${Date.now()}`);
+
+  try {
+    const chunks = await splitAudioIntoChunks(audioPath, { outputDir: chunkDir });
+    const chunkResults = [];
+
+    for (const chunk of chunks) {
+      console.log(`🎤 Transcribing chunk ${chunk.index + 1}/${chunks.length} (starts at ${Math.round(chunk.offset)}s)...`);
+      onChunkProgress(chunk.index, chunks.length);
+      const result = await provider.transcribeFile(chunk.path);
+      chunkResults.push({ chunk, ...result });
+    }
+
+    const stitched = stitchChunkTranscripts(chunkResults);
+    console.log(`✅ Stitched ${chunks.length} chunks into ${stitched.segments.length} segments`);
+
+    return {
+      text: stitched.text,
+      segments: stitched.segments,
+      language: chunkResults.find(result => result.language)?.language || null,
+      method: provider.method,
+      provider: provider.id,
+      chunks: chunks.length
+    };
+  } finally {
+    fs.rmSync(chunkDir, { recursive: true, force: true });
+  }
+}
@@ -1,5 +1,6 @@
 // Translation service for captions and text
 import Groq from 'groq-sdk';
+import { joinSegmentText } from './captionService.js';
 
 const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
 
@@ -24,60 +25,148 @@ export async function translateText(text, targetLanguage) {
   return completion.choices[0].message.content.trim();
 }
 
+// Segment batching limits - keep each request well within the model's context window
+const SEGMENT_BATCH_SIZE = 40;
+const SEGMENT_BATCH_MAX_CHARS = 6000;
+const MAX_BATCH_ATTEMPTS = 2;
+
+/**
+ * Split caption segments into batches by count and character length
+ * @param {Array} segments - Array of {id, text} objects
+ * @returns {Array<Array>} Batches of segments
+ */
+function batchSegments(segments) {
+  const batches = [];
+  let currentBatch = [];
+  let currentChars = 0;
+
+  for (const segment of segments) {
+    if (currentBatch.length > 0 &&
+        (currentBatch.length >= SEGMENT_BATCH_SIZE || currentChars + segment.text.length > SEGMENT_BATCH_MAX_CHARS)) {
+      batches.push(currentBatch);
+      currentBatch = [];
+      currentChars = 0;
+    }
+    currentBatch.push(segment);
+    currentChars += segment.text.length;
+  }
+
+  if (currentBatch.length > 0) batches.push(currentBatch);
+  return batches;
+}
+
+/**
+ * Parse a "[[id]] text" formatted model response
+ * @param {string} content - Model output
+ * @returns {Map<number, string>} Translated text by segment ID
+ */
+function parseBatchResponse(content) {
+  const translations = new Map();
+  const pattern = /^\s*\[\[(\d+)\]\]\s*(.*)$/gm;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    const text = match[2].trim();
+    if (text.length > 0) {
+      translations.set(parseInt(match[1], 10), text);
+    }
+  }
+
+  return translations;
+}
+
+/**
+ * Translate one batch of segments, keeping a 1:1 mapping via segment IDs
+ * Retries on count mismatch, then splits the batch in half until it lines up
+ * @param {Array} batch - Array of {id, text} objects
+ * @param {string} targetLanguage - Target language name
+ * @param {number} attempt - Current attempt number
+ * @returns {Promise<Map<number, string>>} Translated text by segment ID
+ */
+async function translateSegmentBatch(batch, targetLanguage, attempt = 1) {
+  // A single segment needs no delimiters
+  if (batch.length === 1) {
+    const translated = await translateText(batch[0].text, targetLanguage);
+    return new Map([[batch[0].id, translated]]);
+  }
+
+  const prompt = `Translate each numbered caption line below to ${targetLanguage}.
+
+Requirements:
+- Keep every line's [[number]] marker exactly as given, at the start of the line
+- Output exactly ${batch.length} lines, one per input line, in the same order
+- Do not merge, split, skip or reorder lines, even if a sentence continues on the next line
+- Only output the translated lines, no explanations
+
+${batch.map(segment => `[[${segment.id}]] ${segment.text}`).join('\n')}`;
+
+  const completion = await groq.chat.completions.create({
+    messages: [{ role: 'user', content: prompt }],
+    model: 'llama-3.3-70b-versatile',
+    temperature: 0.3,
+    max_tokens: 8192
+  });
+
+  const translations = parseBatchResponse(completion.choices[0].message.content);
+  const missingIds = batch.filter(segment => !translations.has(segment.id));
+
+  if (missingIds.length === 0 && translations.size === batch.length) {
+    return translations;
+  }
+
+  console.log(`⚠️  Batch returned ${translations.size}/${batch.length} segments (attempt ${attempt}/${MAX_BATCH_ATTEMPTS})`);
+
+  if (attempt < MAX_BATCH_ATTEMPTS) {
+    return translateSegmentBatch(batch, targetLanguage, attempt + 1);
+  }
+
+  // Still misaligned - split and translate each half separately
+  const middle = Math.ceil(batch.length / 2);
+  const [firstHalf, secondHalf] = await Promise.all([
+    translateSegmentBatch(batch.slice(0, middle), targetLanguage),
+    translateSegmentBatch(batch.slice(middle), targetLanguage)
+  ]);
+  return new Map([...firstHalf, ...secondHalf]);
+}
+
 /**
  * Translate caption segments with timestamps preserved
  * @param {Array} captionSegments - Array of {timestamp, text} objects
  * @param {string} targetLanguage - Target language name
- * @returns {Promise<Object>} Translated segments and full text
+ * @returns {Promise<Object>} Translated segments (1:1 with the input) and full text
  */
 export async function translateCaptions(captionSegments, targetLanguage) {
   console.log(`🌐 Translating ${captionSegments.length} caption segments to ${targetLanguage}...`);
-  
-  // Combine all caption text for translation
-  const fullText = captionSegments.map(seg => seg.text).join(' ');
-  
-  console.log(`📏 Total text length: ${fullText.length} characters`);
-  
-  // Split text into chunks if too long (max ~15000 chars per chunk to stay within token limits)
-  const MAX_CHUNK_SIZE = 15000;
-  const chunks = [];
-  
-  if (fullText.length > MAX_CHUNK_SIZE) {
-    console.log(`⚠️  Text too long, splitting into chunks...`);
-    
-    // Split by sentences to maintain context
-    const sentences = fullText.match(/[^.!?]+[.!?]+/g) || [fullText];
-    let currentChunk = '';
-    
-    for (const sentence of sentences) {
-      if ((currentChunk + sentence).length > MAX_CHUNK_SIZE) {
-        if (currentChunk) chunks.push(currentChunk.trim());
-        currentChunk = sentence;
-      } else {
-        currentChunk += sentence;
-      }
+
+  const indexedSegments = captionSegments.map((segment, index) => ({ id: index + 1, text: segment.text }));
+  const batches = batchSegments(indexedSegments);
+  console.log(`📦 Split into ${batches.length} batches`);
+
+  const translations = new Map();
+  for (let i = 0; i < batches.length; i++) {
+    console.log(`🔄 Translating batch ${i + 1}/${batches.length} (${batches[i].length} segments)...`);
+    const batchTranslations = await translateSegmentBatch(batches[i], targetLanguage);
+    for (const [id, text] of batchTranslations) {
+      translations.set(id, text);
     }
-    
-    if (currentChunk) chunks.push(currentChunk.trim());
-    console.log(`📦 Split into ${chunks.length} chunks`);
-  } else {
-    chunks.push(fullText);
   }
-  
-  // Translate each chunk
-  const translatedChunks = [];
-  for (let i = 0; i < chunks.length; i++) {
-    console.log(`🔄 Translating chunk ${i + 1}/${chunks.length}...`);
-    const translated = await translateText(chunks[i], targetLanguage);
-    translatedChunks.push(translated);
+
+  if (translations.size !== captionSegments.length) {
+    throw new Error(`Translation returned ${translations.size} of ${captionSegments.length} caption segments`);
   }
-  
-  // Combine translated chunks
-  const translatedFullText = translatedChunks.join(' ');
-  
+
+  const translatedSegments = captionSegments.map((segment, index) => ({
+    ...segment,
+    translatedText: translations.get(index + 1)
+  }));
+
+  // Translated segments keep the paragraph starts of the original
+  const translatedFullText = joinSegmentText(translatedSegments, 'translatedText');
+
   console.log(`✅ Translation completed (${translatedFullText.length} characters)`);
-  
+
   return {
+    segments: translatedSegments,
     translatedText: translatedFullText,
     originalSegments: captionSegments,
     method: 'captions-translation'
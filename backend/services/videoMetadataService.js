@@ -0,0 +1,99 @@
+// Video metadata service
+// Pulls title, channel, publish date, duration, thumbnail, description and chapter
+// markers out of a YouTube.js getInfo() result for the transcript response
+
+// "1:23", "12:34" or "1:02:03" at the start of a description line, followed by the chapter title
+const DESCRIPTION_CHAPTER_PATTERN = /^\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|]?\s*(.+?)\s*$/;
+
+function parseTimestamp(timestamp) {
+  return timestamp.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatTimestamp(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+}
+
+/**
+ * Chapters from "0:00 Intro" style lines in a video description
+ * YouTube only treats them as chapters when the list starts at 0:00 and has at least 3 entries
+ * @param {string} description - Video description
+ * @returns {Array<Object>} Chapters ({title, startTime}) or an empty array
+ */
+export function parseDescriptionChapters(description) {
+  const chapters = [];
+
+  for (const line of (description || '').split('\n')) {
+    const match = line.match(DESCRIPTION_CHAPTER_PATTERN);
+    if (!match) continue;
+
+    const startTime = parseTimestamp(match[1]);
+    // Timestamps must increase - anything else is not a chapter list
+    if (chapters.length > 0 && startTime <= chapters[chapters.length - 1].startTime) continue;
+    chapters.push({ title: match[2], startTime });
+  }
+
+  if (chapters.length < 3 || chapters[0].startTime !== 0) {
+    return [];
+  }
+  return chapters;
+}
+
+// Chapter markers YouTube shows in the player (creator or auto-generated chapters)
+function getPlayerChapters(info) {
+  const markersMap = info?.player_overlays?.decorated_player_bar?.player_bar?.markers_map;
+  if (!Array.isArray(markersMap)) {
+    return [];
+  }
+
+  const markers = markersMap.find(marker => marker.marker_key === 'DESCRIPTION_CHAPTERS')
+    || markersMap.find(marker => marker.marker_key === 'AUTO_CHAPTERS');
+
+  return (markers?.value?.chapters || []).map(chapter => ({
+    title: chapter.title?.toString() || '',
+    startTime: Math.floor((chapter.time_range_start_millis || 0) / 1000)
+  }));
+}
+
+/**
+ * Build the metadata returned with a transcript
+ * @param {Object} info - Result of youtube.getInfo(videoId)
+ * @param {string} videoId - YouTube video ID
+ * @returns {Object} Metadata ({title, channel, channelId, channelUrl, publishDate, duration, thumbnailUrl, description, chapters})
+ */
+export function extractVideoMetadata(info, videoId) {
+  const basicInfo = info?.basic_info || {};
+  const microformat = info?.page?.[0]?.microformat;
+  const duration = basicInfo.duration || null;
+  const description = basicInfo.short_description || '';
+
+  let chapters = getPlayerChapters(info);
+  if (chapters.length === 0) {
+    chapters = parseDescriptionChapters(description);
+  }
+
+  // Thumbnails come largest first
+  const thumbnailUrl = basicInfo.thumbnail?.[0]?.url || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`;
+
+  return {
+    title: basicInfo.title || null,
+    channel: basicInfo.author || basicInfo.channel?.name || null,
+    channelId: basicInfo.channel_id || null,
+    channelUrl: basicInfo.channel_id ? `https://www.youtube.com/channel/${basicInfo.channel_id}` : null,
+    publishDate: microformat?.publish_date || null,
+    duration,
+    thumbnailUrl,
+    description,
+    chapters: chapters.map((chapter, index) => {
+      const endTime = chapters[index + 1]?.startTime ?? duration;
+      return {
+        ...chapter,
+        endTime: endTime || null,
+        timestamp: formatTimestamp(chapter.startTime)
+      };
+    })
+  };
+}
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stitchChunkTranscripts } from '../services/audioChunkService.js';
+
+// 600s chunks with 10s overlap, as splitAudioIntoChunks creates them - seams are cut at 595s and 1185s
+const CHUNKS = [
+  { index: 0, offset: 0, duration: 600 },
+  { index: 1, offset: 590, duration: 600 },
+  { index: 2, offset: 1180, duration: 300 }
+];
+
+const segment = (start, end, text) => ({ start, end, text });
+
+test('stitchChunkTranscripts offsets segment times by the chunk offset', () => {
+  const { segments } = stitchChunkTranscripts([
+    { chunk: CHUNKS[0], segments: [segment(0, 4, 'Welcome back.')] },
+    { chunk: CHUNKS[1], segments: [segment(20, 24.5, 'Next topic.')] },
+    { chunk: CHUNKS[2], segments: [segment(100, 103, 'Thanks for watching.')] }
+  ]);
+
+  assert.deepEqual(segments, [
+    { timestamp: '00:00:00.000', endTimestamp: '00:00:04.000', start: 0, end: 4, text: 'Welcome back.' },
+    { timestamp: '00:10:10.000', endTimestamp: '00:10:14.500', start: 610, end: 614.5, text: 'Next topic.' },
+    { timestamp: '00:21:20.000', endTimestamp: '00:21:23.000', start: 1280, end: 1283, text: 'Thanks for watching.' }
+  ]);
+});
+
+test('stitchChunkTranscripts drops the text both chunks transcribed in the overlap', () => {
+  const { text, segments } = stitchChunkTranscripts([
+    {
+      chunk: CHUNKS[0],
+      segments: [
+        segment(580, 588, 'so the first rule is'),
+        segment(588, 596, 'and that is why we'),
+        segment(597, 600, 'test the') // after the seam - the next chunk has it in full
+      ]
+    },
+    {
+      chunk: CHUNKS[1],
+      segments: [
+        segment(0, 5, 'why we'), // before the seam - the previous chunk has it
+        segment(5, 9, 'That is why we test the code.'),
+        segment(9, 12, 'Every time.')
+      ]
+    }
+  ]);
+
+  assert.deepEqual(segments.map(({ start, end, text }) => ({ start, end, text })), [
+    { start: 580, end: 588, text: 'so the first rule is' },
+    { start: 588, end: 595, text: 'and that is why we' },
+    { start: 595, end: 599, text: 'test the code.' },
+    { start: 599, end: 602, text: 'Every time.' }
+  ]);
+  assert.equal(text, 'so the first rule is and that is why we test the code. Every time.');
+});
+
+test('stitchChunkTranscripts keeps the whole segment when the overlap does not match', () => {
+  const { segments } = stitchChunkTranscripts([
+    { chunk: CHUNKS[0], segments: [segment(588, 594, 'and that was the intro')] },
+    { chunk: CHUNKS[1], segments: [segment(6, 10, 'Now for the main part.')] }
+  ]);
+
+  assert.deepEqual(segments.map(({ start, end, text }) => ({ start, end, text })), [
+    { start: 588, end: 594, text: 'and that was the intro' },
+    { start: 596, end: 600, text: 'Now for the main part.' }
+  ]);
+});
+
+test('stitchChunkTranscripts skips an empty chunk', () => {
+  const { text, segments } = stitchChunkTranscripts([
+    { chunk: CHUNKS[0], segments: [segment(590, 594, 'before the silence')], text: 'before the silence' },
+    { chunk: CHUNKS[1], segments: [], text: '' },
+    { chunk: CHUNKS[2], segments: [segment(10, 14, 'after the silence')], text: 'after the silence' }
+  ]);
+
+  assert.deepEqual(segments.map(({ start, end, text }) => ({ start, end, text })), [
+    { start: 590, end: 594, text: 'before the silence' },
+    { start: 1190, end: 1194, text: 'after the silence' }
+  ]);
+  assert.equal(text, 'before the silence after the silence');
+});
+
+test('stitchChunkTranscripts returns an empty transcript when no chunk has speech', () => {
+  assert.deepEqual(stitchChunkTranscripts([
+    { chunk: CHUNKS[0], segments: [], text: '' },
+    { chunk: CHUNKS[1], segments: [], text: '' }
+  ]), { text: '', segments: [] });
+});
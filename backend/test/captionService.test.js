@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVtt } from '../services/captionService.js';
+
+// YouTube auto-captions: each cue repeats the line still on screen, followed by a
+// 10ms transition cue that repeats the new line; the first cue's empty line holds a space
+const ROLLING_AUTO_CAPTIONS = `WEBVTT
+Kind: captions
+Language: en
+
+00:00:00.000 --> 00:00:02.000 align:start position:0%
+${' '}
+hello<00:00:00.500><c> everyone</c><00:00:01.000><c> and</c>
+
+00:00:02.000 --> 00:00:02.010 align:start position:0%
+hello everyone and
+
+
+00:00:02.010 --> 00:00:04.000 align:start position:0%
+hello everyone and
+welcome<00:00:02.500><c> to</c><00:00:03.000><c> the</c><00:00:03.500><c> show.</c>
+
+00:00:04.000 --> 00:00:04.010 align:start position:0%
+welcome to the show.
+
+
+00:00:04.010 --> 00:00:06.000 align:start position:0%
+welcome to the show.
+today<00:00:04.500><c> we</c><00:00:05.000><c> talk</c>
+`;
+
+test('parseVtt removes the duplicated text of rolling auto-captions', () => {
+  const segments = parseVtt(ROLLING_AUTO_CAPTIONS, { mergeCues: false });
+
+  assert.deepEqual(segments.map(segment => segment.text), [
+    'hello everyone and',
+    'welcome to the show.',
+    'today we talk'
+  ]);
+  assert.deepEqual(segments.map(segment => [segment.start, segment.end]), [
+    [0, 2.01],
+    [2.01, 4.01],
+    [4.01, 6]
+  ]);
+});
+
+test('parseVtt merges fragments into sentence-level cues', () => {
+  const vtt = `WEBVTT
+
+00:00:01.000 --> 00:00:02.000
+so the first thing
+
+00:00:02.000 --> 00:00:03.000
+you want to do
+
+00:00:03.000 --> 00:00:04.000
+is open the editor.
+
+00:00:04.000 --> 00:00:05.000
+Then save the file.
+`;
+
+  assert.deepEqual(parseVtt(vtt), [
+    {
+      timestamp: '00:00:01.000',
+      endTimestamp: '00:00:04.000',
+      start: 1,
+      end: 4,
+      text: 'so the first thing you want to do is open the editor.'
+    },
+    {
+      timestamp: '00:00:04.000',
+      endTimestamp: '00:00:05.000',
+      start: 4,
+      end: 5,
+      text: 'Then save the file.'
+    }
+  ]);
+});
+
+test('parseVtt starts a new cue after a long silence or at the merge limits', () => {
+  const vtt = `WEBVTT
+
+00:00:00.000 --> 00:00:01.000
+before the pause
+
+00:00:05.000 --> 00:00:06.000
+after the pause
+
+00:00:06.000 --> 00:00:07.000
+and more words
+`;
+
+  assert.deepEqual(parseVtt(vtt).map(segment => segment.text), [
+    'before the pause',
+    'after the pause and more words'
+  ]);
+  assert.deepEqual(parseVtt(vtt, { maxCueLength: 20 }).map(segment => segment.text), [
+    'before the pause',
+    'after the pause',
+    'and more words'
+  ]);
+});
+
+test('parseVtt keeps every cue with mergeCues: false', () => {
+  const vtt = `WEBVTT
+
+1
+00:00:01.000 --> 00:00:02.000
+<v Alice>so the first thing</v>
+
+2
+00:00:02.000 --> 00:00:03.000
+you &amp; me
+`;
+
+  assert.deepEqual(parseVtt(vtt, { mergeCues: false }), [
+    { timestamp: '00:00:01.000', endTimestamp: '00:00:02.000', start: 1, end: 2, text: 'so the first thing' },
+    { timestamp: '00:00:02.000', endTimestamp: '00:00:03.000', start: 2, end: 3, text: 'you & me' }
+  ]);
+});
+
+test('parseVtt accepts MM:SS timestamps without hours', () => {
+  const vtt = `WEBVTT
+
+00:01.500 --> 00:03.000
+short timestamps
+
+01:02.250 --> 01:04.000
+past the first minute
+`;
+
+  assert.deepEqual(parseVtt(vtt, { mergeCues: false }), [
+    { timestamp: '00:00:01.500', endTimestamp: '00:00:03.000', start: 1.5, end: 3, text: 'short timestamps' },
+    { timestamp: '00:01:02.250', endTimestamp: '00:01:04.000', start: 62.25, end: 64, text: 'past the first minute' }
+  ]);
+});
+
+test('parseVtt returns no segments for empty input', () => {
+  assert.deepEqual(parseVtt(''), []);
+  assert.deepEqual(parseVtt('WEBVTT\n'), []);
+});
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { Download, Loader2, AlertCircle, Clock, FileText, File, CheckCircle, XCircle, Home, DollarSign, Play, Languages, FileType, Copy, CopyCheck, Search, ChevronUp, ChevronDown, X, RotateCcw } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Download, Loader2, AlertCircle, Clock, FileText, File, CheckCircle, XCircle, Home, DollarSign, Play, Languages, FileType, Copy, CopyCheck, Search, ChevronUp, ChevronDown, X, RotateCcw, History } from 'lucide-react';
 import { jsPDF } from 'jspdf';
 import { Document, Packer, Paragraph } from 'docx';
 import LoadingOverlay from './LoadingOverlay';
@@ -7,11 +7,70 @@ import HomePage from './HomePage';
 import PricingPage from './PricingPage';
 import SummarySection from './SummarySection';
 import CaptionViewer from './components/CaptionViewer';
+import ChatPanel from './components/ChatPanel';
+import BatchPanel from './components/BatchPanel';
+import CaptionTrackPicker from './components/CaptionTrackPicker';
+import AccountMenu from './components/AccountMenu';
+import HistoryPanel from './components/HistoryPanel';
+import VideoHeader from './components/VideoHeader';
 import { SUPPORTED_LANGUAGES } from './languages';
+import { buildCues, toSrt, toVtt, toJson } from './subtitleExport';
+import { getAuthToken, setAuthToken, authHeaders } from './auth';
+import { saveResultToHistory, saveSummaryToHistory, updateHistoryResult } from './historyStore';
+import { getResultChapters } from './chapters';
+import { createEditHistory, applyTranscriptCorrections, recordSegmentEdit, undoSegmentEdit, redoSegmentEdit, countCorrections } from './transcriptEdits';
+import { applySpeakerLabels, renameSpeaker, getTranscriptText } from './speakers';
+import { getExportHeaderLines, getExportFileName, getVideoTitle } from './videoMetadata';
+
+// localStorage key of the transcript job in progress (lets a reloaded page resume watching it)
+const ACTIVE_JOB_STORAGE_KEY = 'activeTranscriptJob';
+// localStorage key of the playlist/channel batch being watched
+const ACTIVE_BATCH_STORAGE_KEY = 'activeTranscriptBatch';
+
+// Shape a transcript API response into the result shown on the page
+function buildResult(data) {
+  // Determine mode from data response - if translated exists, it's a translation
+  const resultMode = data.translated ? 'translate' : 'transcribe';
+  if (resultMode === 'transcribe') {
+    return {
+      text: data.transcript || data.original, // Fallback to original if transcript not present
+      words: data.wordCount,
+      readingTime: data.readingTime,
+      videoId: data.videoId,
+      title: data.video?.title || data.title || null,
+      video: data.video || null,
+      mode: 'transcribe',
+      method: data.transcriptionMethod,
+      captions: data.captions || null,  // Add captions data
+      captionLanguage: data.captionLanguage || null,
+      cacheKey: data.cacheKey || null, // Identifies the cached transcript that corrections are saved with
+      corrections: data.corrections || null,
+      cached: !!data.cached
+    };
+  }
+  return {
+    original: data.original,
+    text: data.translated,
+    words: data.wordCount,
+    readingTime: data.readingTime,
+    videoId: data.videoId,
+    title: data.video?.title || data.title || null,
+    video: data.video || null,
+    mode: 'translate',
+    targetLanguage: data.targetLanguage,
+    method: data.transcriptionMethod,
+    captions: data.captions || null,  // Add captions data
+    translatedCaptions: data.translatedCaptions || null,
+    captionLanguage: data.captionLanguage || null,
+    cacheKey: data.cacheKey || null,
+    corrections: data.corrections || null,
+    cached: !!data.cached
+  };
+}
 
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState('home'); // 'home', 'pricing', 'generate'
+  const [activeTab, setActiveTab] = useState('home'); // 'home', 'pricing', 'generate', 'history'
   const [videoUrl, setVideoUrl] = useState('');
   const [targetLanguage, setTargetLanguage] = useState('es');
   const [loading, setLoading] = useState(false);
@@ -31,6 +90,19 @@ export default function App() {
   const [matchIndices, setMatchIndices] = useState([]);
   const textContainerRef = React.useRef(null);
   const [showLanguageSelector, setShowLanguageSelector] = useState(false);
+  const [subtitleTrack, setSubtitleTrack] = useState('original'); // 'original' or 'translated'
+  const [detectedChapters, setDetectedChapters] = useState(null); // AI topics for videos without chapters
+  const [detectingChapters, setDetectingChapters] = useState(false);
+  const [chapterError, setChapterError] = useState('');
+  const [diarization, setDiarization] = useState(null); // Speakers detected on demand ({speakers, segmentSpeakers})
+  const [detectingSpeakers, setDetectingSpeakers] = useState(false);
+  const [speakerError, setSpeakerError] = useState('');
+  const [transcriptEdits, setTranscriptEdits] = useState(() => createEditHistory()); // Corrections of the result's segments with undo/redo
+  const [correctionsStatus, setCorrectionsStatus] = useState(''); // '', 'saving', 'saved', or a message when only kept locally
+  const correctionsSaveTimerRef = React.useRef(null);
+  const [batchId, setBatchId] = useState(() => localStorage.getItem(ACTIVE_BATCH_STORAGE_KEY));
+  const [captionTrack, setCaptionTrack] = useState(null); // {kind, languageCode} or null for automatic
+  const [user, setUser] = useState(null);
 
   // Handle plan selection from Pricing page
   const handlePlanSelect = (planId, autoSwitch = false) => {
@@ -61,6 +133,63 @@ export default function App() {
     }
   }, []);
 
+  // Restore the signed-in account, or sign in from an emailed magic link (?magic_token=...)
+  useEffect(() => {
+    const API_URL = import.meta.env.VITE_API_URL || '/api';
+    const urlParams = new URLSearchParams(window.location.search);
+    const magicToken = urlParams.get('magic_token');
+
+    if (magicToken) {
+      window.history.replaceState({}, document.title, window.location.pathname);
+      fetch(`${API_URL}/auth/magic-link/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: magicToken })
+      })
+        .then(async (response) => {
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.error || 'Sign-in link failed');
+          }
+          handleSignIn(data.token, data.user);
+        })
+        .catch(err => {
+          console.error('Magic link error:', err);
+          setError(err.message || 'Sign-in link failed');
+        });
+      return;
+    }
+
+    if (!getAuthToken()) return;
+
+    fetch(`${API_URL}/auth/me`, { headers: authHeaders() })
+      .then(async (response) => {
+        if (response.status === 401) {
+          // Session expired or signed out elsewhere
+          setAuthToken(null);
+          return;
+        }
+        const data = await response.json();
+        if (response.ok) {
+          setUser(data.user);
+        }
+      })
+      .catch(err => console.error('Account check error:', err));
+  }, []);
+
+  const handleSignIn = (token, account) => {
+    setAuthToken(token);
+    setUser(account);
+  };
+
+  const handleSignOut = () => {
+    const API_URL = import.meta.env.VITE_API_URL || '/api';
+    fetch(`${API_URL}/auth/logout`, { method: 'POST', headers: authHeaders() })
+      .catch(err => console.error('Sign-out error:', err));
+    setAuthToken(null);
+    setUser(null);
+  };
+
   // Check backend health
   useEffect(() => {
     const checkBackendHealth = async () => {
@@ -104,17 +233,33 @@ export default function App() {
     setCurrentMatchIndex(-1);
     setMatchIndices([]);
     setShowLanguageSelector(false);
+    setSubtitleTrack(result?.translatedCaptions ? 'translated' : 'original');
+    setDetectedChapters(result?.detectedChapters || null);
+    setChapterError('');
+    setDiarization(result?.diarization || null);
+    setSpeakerError('');
+    clearTimeout(correctionsSaveTimerRef.current);
+    setTranscriptEdits(createEditHistory(result?.corrections));
+    setCorrectionsStatus('');
   }, [result]);
 
+  // The result with the user's transcript corrections and speaker labels - used for the caption view, exports and summaries
+  const correctedResult = useMemo(
+    () => applySpeakerLabels(applyTranscriptCorrections(result, transcriptEdits.corrections), diarization),
+    [result, transcriptEdits.corrections, diarization]
+  );
+  // The corrected text shown in the plain-text view - searched and highlighted as shown
+  const transcriptText = useMemo(() => (correctedResult ? getTranscriptText(correctedResult) : ''), [correctedResult]);
+
   // Find matches when search query changes
   useEffect(() => {
-    if (!result || !result.text || !searchQuery.trim()) {
+    if (!transcriptText || !searchQuery.trim()) {
       setMatchIndices([]);
       setCurrentMatchIndex(-1);
       return;
     }
 
-    const text = result.text;
+    const text = transcriptText;
     const query = searchQuery.trim();
     const regex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
     const matches = [];
@@ -130,7 +275,7 @@ export default function App() {
     } else {
       setCurrentMatchIndex(-1);
     }
-  }, [searchQuery, result]);
+  }, [searchQuery, transcriptText]);
 
   // Scroll to current match
   useEffect(() => {
@@ -166,6 +311,10 @@ export default function App() {
     return extractVideoId(url) !== null;
   };
 
+  const isPlaylistOrChannelUrl = (url) => {
+    return /youtube\.com\/(playlist\?list=|@|channel\/|c\/|user\/)/.test(url);
+  };
+
   // Handle payment initiation from pricing page (without video URL)
   const handlePaymentFromPricing = async (planId) => {
     if (backendConnected === false) {
@@ -178,7 +327,7 @@ export default function App() {
       // Use a placeholder video URL - user will enter real URL after payment
       const response = await fetch(`${API_URL}/create-checkout-session`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', // Placeholder
           targetLanguage: SUPPORTED_LANGUAGES.find(l => l.code === targetLanguage)?.name || 'Spanish',
@@ -238,7 +387,7 @@ export default function App() {
       const API_URL = import.meta.env.VITE_API_URL || '/api';
       const response = await fetch(`${API_URL}/create-checkout-session`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           videoUrl: videoUrl,
           targetLanguage: SUPPORTED_LANGUAGES.find(l => l.code === targetLanguage)?.name,
@@ -277,6 +426,252 @@ export default function App() {
     }
   };
 
+  // Show a finished result and keep it in the history library
+  const showResult = useCallback((data) => {
+    const built = buildResult(data);
+    setResult(built);
+    saveResultToHistory(built).catch(err => console.error('Failed to save to history:', err));
+  }, []);
+
+  // Re-open a history entry in the result view
+  const openHistoryEntry = (entry) => {
+    setError('');
+    setVideoUrl(`https://www.youtube.com/watch?v=${entry.videoId}`);
+    setActiveMode(entry.mode);
+    setResult({ ...entry.result, summary: entry.summary, cached: false });
+    setActiveTab('generate');
+  };
+
+  // Corrections are kept in the history entry and, for signed-in users while the transcript is cached, on the server
+  // Saving waits for a pause in editing so a burst of edits is sent once
+  const saveCorrections = (corrections) => {
+    clearTimeout(correctionsSaveTimerRef.current);
+    setCorrectionsStatus('saving');
+    correctionsSaveTimerRef.current = setTimeout(async () => {
+      updateHistoryResult(result, { corrections })
+        .catch(err => console.error('Failed to save corrections to history:', err));
+
+      // Corrections are only kept on the server for signed-in users
+      if (!result.cacheKey || !user) {
+        setCorrectionsStatus('Saved in your history only');
+        return;
+      }
+      try {
+        const API_URL = import.meta.env.VITE_API_URL || '/api';
+        const response = await fetch(`${API_URL}/transcript/corrections`, {
+          method: 'PUT',
+          headers: authHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ cacheKey: result.cacheKey, corrections })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to save corrections');
+        }
+        setCorrectionsStatus('saved');
+      } catch (err) {
+        console.error('Corrections sync error:', err);
+        setCorrectionsStatus(err.message || 'Saved in your history only');
+      }
+    }, 1000);
+  };
+
+  // Kept out of the result state like the summary - changing the result would reset the transcript view
+  const updateTranscriptEdits = (next) => {
+    if (next === transcriptEdits) return;
+    setTranscriptEdits(next);
+    saveCorrections(next.corrections);
+  };
+
+  const handleEditCaption = (index, changes) => updateTranscriptEdits(recordSegmentEdit(transcriptEdits, result, index, changes));
+  const handleUndoEdit = () => updateTranscriptEdits(undoSegmentEdit(transcriptEdits));
+  const handleRedoEdit = () => updateTranscriptEdits(redoSegmentEdit(transcriptEdits));
+
+  // Kept out of the result state - changing it would reset the transcript view (search, subtitle track)
+  const handleSummaryGenerated = (summary) => {
+    saveSummaryToHistory(result, summary).catch(err => console.error('Failed to save summary to history:', err));
+  };
+
+  // Split a transcript without chapters into topics; kept out of the result state like the summary
+  const handleDetectChapters = async () => {
+    const captions = result.mode === 'translate' ? result.translatedCaptions : result.captions;
+    setDetectingChapters(true);
+    setChapterError('');
+
+    try {
+      const API_URL = import.meta.env.VITE_API_URL || '/api';
+      const response = await fetch(`${API_URL}/chapters/detect`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ captions })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to detect topics');
+      }
+
+      setDetectedChapters(data.chapters);
+      updateHistoryResult(result, { detectedChapters: data.chapters })
+        .catch(err => console.error('Failed to save chapters to history:', err));
+    } catch (err) {
+      console.error('Topic detection error:', err);
+      setChapterError(err.message || 'Failed to detect topics. Please try again.');
+    } finally {
+      setDetectingChapters(false);
+    }
+  };
+
+  // Speakers are labeled on the corrected segments, so fixed text helps telling them apart
+  const handleDetectSpeakers = async () => {
+    setDetectingSpeakers(true);
+    setSpeakerError('');
+
+    try {
+      const API_URL = import.meta.env.VITE_API_URL || '/api';
+      const response = await fetch(`${API_URL}/speakers/detect`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          captions: correctedResult.captions.map(({ timestamp, start, text }) => ({ timestamp, start, text }))
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to detect speakers');
+      }
+
+      const detected = { speakers: data.speakers, segmentSpeakers: data.segmentSpeakers };
+      setDiarization(detected);
+      updateHistoryResult(result, { diarization: detected })
+        .catch(err => console.error('Failed to save speakers to history:', err));
+    } catch (err) {
+      console.error('Speaker detection error:', err);
+      setSpeakerError(err.message || 'Failed to detect speakers. Please try again.');
+    } finally {
+      setDetectingSpeakers(false);
+    }
+  };
+
+  const handleRenameSpeaker = (id, name) => {
+    const renamed = renameSpeaker(diarization, id, name);
+    setDiarization(renamed);
+    updateHistoryResult(result, { diarization: renamed })
+      .catch(err => console.error('Failed to save speakers to history:', err));
+  };
+
+  // Apply a progress/result/error event from the transcript job stream
+  // Returns true once the job has finished (successfully or not)
+  const handleTranscriptEvent = useCallback((data) => {
+    if (data.progress !== undefined) {
+      setProgress(data.progress);
+    }
+    
+    if (data.success) {
+      setProgress(100);
+      setTimeout(() => {
+        showResult(data);
+        setTimeout(() => setLoading(false), 500);
+      }, 500);
+      return true;
+    } else if (data.error) {
+      // Use user-friendly error message, log technical details to console
+      let errorMessage = data.error || 'Failed to process video';
+      
+      // Fallback: If error is still in raw format "429 {...}", parse it
+      if (typeof errorMessage === 'string' && /^\d+\s*\{/.test(errorMessage.trim())) {
+        try {
+          const jsonMatch = errorMessage.match(/\{[\s\S]*\}/);
+          if (jsonMatch) {
+            const parsed = JSON.parse(jsonMatch[0]);
+            if (parsed.error && parsed.error.message) {
+              const groqMessage = parsed.error.message;
+              // Check if it's a rate limit error
+              if (parsed.error.code === 'rate_limit_exceeded' || groqMessage.toLowerCase().includes('rate limit')) {
+                const retryMatch = groqMessage.match(/try again in ([\d\w\s.]+)/i);
+                if (retryMatch) {
+                  errorMessage = `Translation service rate limit reached. Please try again in ${retryMatch[1]}.`;
+                } else {
+                  errorMessage = 'Translation service rate limit reached. Please try again in about an hour.';
+                }
+              } else {
+                errorMessage = groqMessage;
+              }
+            }
+          }
+        } catch (e) {
+          console.error('Failed to parse error message:', e);
+        }
+      }
+      
+      if (data.technicalError) {
+        console.error('Technical error details:', {
+          userMessage: errorMessage,
+          technicalError: data.technicalError,
+          errorType: data.errorType
+        });
+      }
+      setError(errorMessage);
+      
+      // If payment is required, show payment button
+      if (data.requiresPayment) {
+        setPaymentSessionId(null);
+      }
+      
+      setLoading(false);
+      setProgress(0);
+      return true;
+    }
+
+    return false;
+  }, [showResult]);
+
+  // Follow a transcript job's progress over SSE
+  // EventSource reconnects on its own and the server replays missed events (Last-Event-ID)
+  const watchJob = useCallback((jobId) => {
+    const API_URL = import.meta.env.VITE_API_URL || '/api';
+    const events = new EventSource(`${API_URL}/jobs/${jobId}/events`);
+
+    events.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (handleTranscriptEvent(data)) {
+          events.close();
+          localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+        }
+      } catch (e) {
+        console.error('Error parsing SSE data:', e);
+      }
+    };
+
+    events.onerror = () => {
+      // CLOSED means the browser gave up reconnecting (e.g. the job expired or the server restarted)
+      if (events.readyState === EventSource.CLOSED) {
+        console.error('Connection error: Job stream closed unexpectedly');
+        localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+        setError('Connection was interrupted. Please try again.');
+        setLoading(false);
+        setProgress(0);
+      }
+    };
+  }, [handleTranscriptEvent]);
+
+  // Resume watching a transcript job that was still running when the page was closed or reloaded
+  // watchJob only depends on state setters, so this runs once on load
+  useEffect(() => {
+    const savedJob = localStorage.getItem(ACTIVE_JOB_STORAGE_KEY);
+    if (!savedJob) return;
+
+    try {
+      const { jobId, mode, videoUrl: savedVideoUrl } = JSON.parse(savedJob);
+      setVideoUrl(savedVideoUrl || '');
+      setActiveMode(mode);
+      setActiveTab('generate');
+      setLoading(true);
+      watchJob(jobId);
+    } catch {
+      localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY);
+    }
+  }, [watchJob]);
+
   const handleSubmit = (sessionIdOverride = null, modeOverride = null, languageCodeOverride = null) => {
     setError('');
     setResult(null);
@@ -292,7 +687,7 @@ export default function App() {
       return;
     }
 
-    if (!isValidYouTubeUrl(videoUrl)) {
+    if (!isValidYouTubeUrl(videoUrl) && !isPlaylistOrChannelUrl(videoUrl)) {
       setError('Please enter a valid YouTube URL');
       return;
     }
@@ -312,7 +707,6 @@ export default function App() {
     const mode = modeOverride || (languageToUse && languageToUse !== 'en' ? 'translate' : 'transcribe');
     setActiveMode(mode);
     
-    // Use fetch with ReadableStream to receive SSE progress updates
     // For transcribe mode, don't send targetLanguage; for translate mode, send it
     const requestBody = {
       videoUrl: videoUrl,
@@ -325,133 +719,59 @@ export default function App() {
         requestBody.targetLanguage = languageName;
       }
     }
+
+    if (captionTrack) {
+      requestBody.sourceLanguage = captionTrack.languageCode;
+      requestBody.trackKind = captionTrack.kind;
+    }
     
-    fetch(`${API_URL}/transcript`, {
+    // Playlists and channels become a batch of per-video jobs followed by the batch panel
+    if (!isValidYouTubeUrl(videoUrl)) {
+      fetch(`${API_URL}/batches`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          url: videoUrl,
+          targetLanguage: requestBody.targetLanguage,
+          sessionId: requestBody.sessionId,
+          includeSummaries: true
+        })
+      })
+        .then(async (response) => {
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.error || 'Failed to load playlist');
+          }
+          localStorage.setItem(ACTIVE_BATCH_STORAGE_KEY, data.batchId);
+          setBatchId(data.batchId);
+        })
+        .catch(err => {
+          console.error('Batch error:', err);
+          setError(err.message || 'Failed to load playlist');
+        })
+        .finally(() => {
+          setLoading(false);
+          setProgress(0);
+        });
+      return;
+    }
+
+    // Queue a transcript job, then follow its progress
+    // The job keeps running on the server if this tab is closed or loses connection
+    fetch(`${API_URL}/jobs`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify(requestBody)
     })
       .then(async (response) => {
+        const data = await response.json();
         if (!response.ok) {
-          throw new Error('Failed to connect to server');
+          handleTranscriptEvent(data.error ? data : { error: 'Failed to connect to server' });
+          return;
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        let hasCompleted = false;
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              try {
-                const data = JSON.parse(line.slice(6));
-                
-                if (data.progress !== undefined) {
-                  setProgress(data.progress);
-                }
-                
-                if (data.success) {
-                  hasCompleted = true;
-                  setProgress(100);
-                  setTimeout(() => {
-                    // Determine mode from data response - if translated exists, it's a translation
-                    const resultMode = data.translated ? 'translate' : 'transcribe';
-                    if (resultMode === 'transcribe') {
-                      setResult({
-                        text: data.transcript || data.original, // Fallback to original if transcript not present
-                        words: data.wordCount,
-                        readingTime: data.readingTime,
-                        videoId: data.videoId,
-                        mode: 'transcribe',
-                        method: data.transcriptionMethod,
-                        captions: data.captions || null,  // Add captions data
-                        captionLanguage: data.captionLanguage || null
-                      });
-                    } else {
-                      setResult({
-                        original: data.original,
-                        text: data.translated,
-                        words: data.wordCount,
-                        readingTime: data.readingTime,
-                        videoId: data.videoId,
-                        mode: 'translate',
-                        targetLanguage: data.targetLanguage,
-                        method: data.transcriptionMethod,
-                        captions: data.captions || null,  // Add captions data
-                        captionLanguage: data.captionLanguage || null
-                      });
-                    }
-                    setTimeout(() => setLoading(false), 500);
-                  }, 500);
-                } else if (data.error) {
-                  hasCompleted = true;
-                  // Use user-friendly error message, log technical details to console
-                  let errorMessage = data.error || 'Failed to process video';
-                  
-                  // Fallback: If error is still in raw format "429 {...}", parse it
-                  if (typeof errorMessage === 'string' && /^\d+\s*\{/.test(errorMessage.trim())) {
-                    try {
-                      const jsonMatch = errorMessage.match(/\{[\s\S]*\}/);
-                      if (jsonMatch) {
-                        const parsed = JSON.parse(jsonMatch[0]);
-                        if (parsed.error && parsed.error.message) {
-                          const groqMessage = parsed.error.message;
-                          // Check if it's a rate limit error
-                          if (parsed.error.code === 'rate_limit_exceeded' || groqMessage.toLowerCase().includes('rate limit')) {
-                            const retryMatch = groqMessage.match(/try again in ([\d\w\s.]+)/i);
-                            if (retryMatch) {
-                              errorMessage = `Translation service rate limit reached. Please try again in ${retryMatch[1]}.`;
-                            } else {
-                              errorMessage = 'Translation service rate limit reached. Please try again in about an hour.';
-                            }
-                          } else {
-                            errorMessage = groqMessage;
-                          }
-                        }
-                      }
-                    } catch (e) {
-                      console.error('Failed to parse error message:', e);
-                    }
-                  }
-                  
-                  if (data.technicalError) {
-                    console.error('Technical error details:', {
-                      userMessage: errorMessage,
-                      technicalError: data.technicalError,
-                      errorType: data.errorType
-                    });
-                  }
-                  setError(errorMessage);
-                  
-                  // If payment is required, show payment button
-                  if (data.requiresPayment) {
-                    setPaymentSessionId(null);
-                  }
-                  
-                  setLoading(false);
-                  setProgress(0);
-                }
-              } catch (e) {
-                console.error('Error parsing SSE data:', e);
-              }
-            }
-          }
-        }
-        
-        if (!hasCompleted) {
-          console.error('Connection error: Stream closed unexpectedly');
-          setError('Connection was interrupted. Please try again.');
-          setLoading(false);
-          setProgress(0);
-        }
+        localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, JSON.stringify({ jobId: data.jobId, mode, videoUrl }));
+        watchJob(data.jobId);
       })
       .catch(err => {
         console.error('Network error details:', {
@@ -467,9 +787,9 @@ export default function App() {
 
   const downloadTxt = () => {
     const element = document.createElement('a');
-    const file = new Blob([result.text], { type: 'text/plain' });
+    const file = new Blob([`${getExportHeaderLines(correctedResult).join('\n')}\n\n${getTranscriptText(correctedResult)}`], { type: 'text/plain' });
     element.href = URL.createObjectURL(file);
-    element.download = `transcript_${result.videoId}.txt`;
+    element.download = getExportFileName(correctedResult, 'Transcript', 'txt');
     document.body.appendChild(element);
     element.click();
     document.body.removeChild(element);
@@ -488,18 +808,26 @@ export default function App() {
     const maxWidth = pageWidth - 2 * margin;
 
     pdf.setFontSize(16);
-    pdf.text('YouTube Transcript', margin, margin);
+    const titleLines = pdf.splitTextToSize(getVideoTitle(correctedResult), maxWidth);
+    pdf.text(titleLines, margin, margin);
 
     pdf.setFontSize(10);
-    pdf.text(`Video ID: ${result.videoId}`, margin, margin + 10);
-    pdf.text(`Mode: ${result.mode === 'transcribe' ? 'Transcription' : 'Translation'}`, margin, margin + 16);
-    pdf.text(`Word Count: ${result.words} | Reading Time: ${result.readingTime} min`, margin, margin + 22);
-    pdf.text(`Generated: ${new Date().toLocaleString()}`, margin, margin + 28);
+    const headerLines = [
+      ...getExportHeaderLines(correctedResult).slice(1),
+      `Mode: ${correctedResult.mode === 'transcribe' ? 'Transcription' : 'Translation'}`,
+      `Word Count: ${correctedResult.words} | Reading Time: ${correctedResult.readingTime} min`,
+      `Generated: ${new Date().toLocaleString()}`
+    ];
+    let yPosition = margin + titleLines.length * 7 + 3;
+    headerLines.forEach((line) => {
+      pdf.text(line, margin, yPosition);
+      yPosition += 6;
+    });
 
     pdf.setFontSize(11);
-    const splitText = pdf.splitTextToSize(result.text, maxWidth);
+    const splitText = pdf.splitTextToSize(getTranscriptText(correctedResult), maxWidth);
     
-    let yPosition = margin + 40;
+    yPosition += 6;
     splitText.forEach((line) => {
       if (yPosition > pageHeight - margin) {
         pdf.addPage();
@@ -509,7 +837,7 @@ export default function App() {
       yPosition += 5;
     });
 
-    pdf.save(`transcript_${result.videoId}.pdf`);
+    pdf.save(getExportFileName(correctedResult, 'Transcript', 'pdf'));
   };
 
   const downloadWord = async () => {
@@ -517,23 +845,23 @@ export default function App() {
 
     sections.push(
       new Paragraph({
-        text: 'YouTube Transcript',
+        text: getVideoTitle(correctedResult),
         heading: 'Heading1',
         spacing: { after: 200 }
       })
     );
 
     sections.push(
-      new Paragraph({
-        text: `Video ID: ${result.videoId}`,
+      ...getExportHeaderLines(correctedResult).slice(1).map(line => new Paragraph({
+        text: line,
         spacing: { after: 100 }
-      }),
+      })),
       new Paragraph({
-        text: `Mode: ${result.mode === 'transcribe' ? 'Transcription' : 'Translation'}`,
+        text: `Mode: ${correctedResult.mode === 'transcribe' ? 'Transcription' : 'Translation'}`,
         spacing: { after: 100 }
       }),
       new Paragraph({
-        text: `Word Count: ${result.words} | Reading Time: ${result.readingTime} min`,
+        text: `Word Count: ${correctedResult.words} | Reading Time: ${correctedResult.readingTime} min`,
         spacing: { after: 100 }
       }),
       new Paragraph({
@@ -542,11 +870,12 @@ export default function App() {
       })
     );
 
+    // One paragraph per speaker turn (the whole text when no speakers were detected)
     sections.push(
-      new Paragraph({
-        text: result.text,
-        spacing: { line: 360 }
-      })
+      ...getTranscriptText(correctedResult).split('\n\n').map(paragraph => new Paragraph({
+        text: paragraph,
+        spacing: { line: 360, after: 200 }
+      }))
     );
 
     const doc = new Document({ sections: [{ children: sections }] });
@@ -554,24 +883,53 @@ export default function App() {
     
     const element = document.createElement('a');
     element.href = URL.createObjectURL(blob);
-    element.download = `transcript_${result.videoId}.docx`;
+    element.download = getExportFileName(correctedResult, 'Transcript', 'docx');
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+  };
+
+  const downloadSubtitles = (format) => {
+    if (!correctedResult || !correctedResult.captions) return;
+
+    const useTranslation = subtitleTrack === 'translated' && !!correctedResult.translatedCaptions;
+    const cues = buildCues(useTranslation ? correctedResult.translatedCaptions : correctedResult.captions, useTranslation);
+    const language = useTranslation ? correctedResult.targetLanguage : (correctedResult.captionLanguage || 'original');
+
+    let content;
+    let mimeType;
+    if (format === 'srt') {
+      content = toSrt(cues);
+      mimeType = 'application/x-subrip';
+    } else if (format === 'vtt') {
+      content = toVtt(cues);
+      mimeType = 'text/vtt';
+    } else {
+      content = toJson(cues, { videoId: correctedResult.videoId, language, translated: useTranslation });
+      mimeType = 'application/json';
+    }
+
+    const element = document.createElement('a');
+    const file = new Blob([content], { type: mimeType });
+    element.href = URL.createObjectURL(file);
+    element.download = getExportFileName(correctedResult, `Subtitles (${language})`, format);
     document.body.appendChild(element);
     element.click();
     document.body.removeChild(element);
   };
 
   const copyToClipboard = async () => {
-    if (!result || !result.text) return;
+    if (!correctedResult || !correctedResult.text) return;
     
     try {
-      await navigator.clipboard.writeText(result.text);
+      await navigator.clipboard.writeText(getTranscriptText(correctedResult));
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     } catch (err) {
       console.error('Failed to copy text:', err);
       // Fallback for older browsers
       const textArea = document.createElement('textarea');
-      textArea.value = result.text;
+      textArea.value = getTranscriptText(correctedResult);
       textArea.style.position = 'fixed';
       textArea.style.opacity = '0';
       document.body.appendChild(textArea);
@@ -752,6 +1110,37 @@ export default function App() {
             <Play size={20} />
             Generate
           </button>
+          <button
+            onClick={() => setActiveTab('history')}
+            style={{
+              padding: '12px 24px',
+              fontSize: '1rem',
+              fontWeight: '600',
+              color: activeTab === 'history' ? '#667eea' : 'white',
+              backgroundColor: activeTab === 'history' ? 'white' : 'transparent',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              transition: 'all 0.2s'
+            }}
+            onMouseEnter={(e) => {
+              if (activeTab !== 'history') {
+                e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (activeTab !== 'history') {
+                e.currentTarget.style.backgroundColor = 'transparent';
+              }
+            }}
+          >
+            <History size={20} />
+            History
+          </button>
+          <AccountMenu user={user} onSignIn={handleSignIn} onSignOut={handleSignOut} />
         </div>
       </div>
 
@@ -772,6 +1161,9 @@ export default function App() {
           />
         )}
 
+        {/* History Tab */}
+        {activeTab === 'history' && <HistoryPanel user={user} onOpen={openHistoryEntry} />}
+
         {/* Generate Tab */}
         {activeTab === 'generate' && (
           <div>
@@ -811,10 +1203,13 @@ export default function App() {
             <input
               type="text"
               value={videoUrl}
-              onChange={(e) => setVideoUrl(e.target.value)}
+              onChange={(e) => {
+                setVideoUrl(e.target.value);
+                setCaptionTrack(null);
+              }}
               onFocus={() => setFocusedInput(true)}
               onBlur={() => setFocusedInput(false)}
-              placeholder="https://www.youtube.com/watch?v=..."
+              placeholder="https://www.youtube.com/watch?v=... or a playlist/channel URL"
               style={{
                 width: '100%',
                 padding: '12px 16px',
@@ -828,6 +1223,16 @@ export default function App() {
             />
           </div>
 
+          {isValidYouTubeUrl(videoUrl) && (
+            <CaptionTrackPicker
+              key={videoUrl}
+              videoUrl={videoUrl}
+              value={captionTrack}
+              onChange={setCaptionTrack}
+              disabled={loading || backendConnected === false}
+            />
+          )}
+
 
           {/* Backend Connection Status */}
           {/* <div style={{
@@ -1284,6 +1689,17 @@ export default function App() {
             </div>
           )}
 
+          {batchId && (
+            <BatchPanel
+              batchId={batchId}
+              onOpenResult={(data, title) => showResult({ ...data, title: data.title || title })}
+              onClose={() => {
+                localStorage.removeItem(ACTIVE_BATCH_STORAGE_KEY);
+                setBatchId(null);
+              }}
+            />
+          )}
+
           {result && (
           <div style={{
             marginTop: '30px',
@@ -1292,6 +1708,8 @@ export default function App() {
             padding: '30px',
             boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
           }}>
+            <VideoHeader result={result} />
+
             <div style={{
               display: 'grid',
               gridTemplateColumns: 'repeat(3, 1fr)',
@@ -1306,7 +1724,7 @@ export default function App() {
               }}>
                 <FileText size={24} style={{ margin: '0 auto 8px', color: '#667eea' }} />
                 <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#333' }}>
-                  {result.words}
+                  {correctedResult.words}
                 </div>
                 <div style={{ fontSize: '0.875rem', color: '#666' }}>Words</div>
               </div>
@@ -1318,7 +1736,7 @@ export default function App() {
               }}>
                 <Clock size={24} style={{ margin: '0 auto 8px', color: '#667eea' }} />
                 <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#333' }}>
-                  {result.readingTime} min
+                  {correctedResult.readingTime} min
                 </div>
                 <div style={{ fontSize: '0.875rem', color: '#666' }}>Reading Time</div>
               </div>
@@ -1335,15 +1753,44 @@ export default function App() {
                 <div style={{ fontSize: '0.875rem', color: '#666' }}>
                   {result.mode === 'transcribe' ? 'Transcribed' : 'Translated'}
                 </div>
+                {result.cached && (
+                  <div style={{ fontSize: '0.75rem', color: '#10b981', fontWeight: '600', marginTop: '4px' }}>
+                    ⚡ Loaded from cache
+                  </div>
+                )}
               </div>
             </div>
 
             {/* Caption Viewer with Timestamps */}
-            {result.captions && result.captions.length > 0 && result.mode === 'transcribe' ? (
-              <CaptionViewer 
-                captions={result.captions} 
-                fullText={result.text}
-              />
+            {result.captions && result.captions.length > 0 && (result.mode === 'transcribe' || result.translatedCaptions) ? (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0 24px', alignItems: 'flex-start' }}>
+                <div style={{ flex: '2 1 560px', minWidth: 0 }}>
+                  <CaptionViewer 
+                    captions={correctedResult.mode === 'translate' ? correctedResult.translatedCaptions : correctedResult.captions} 
+                    fullText={getTranscriptText(correctedResult)}
+                    originalText={correctedResult.mode === 'translate' ? getTranscriptText(correctedResult, { original: true }) : undefined}
+                    videoId={result.videoId}
+                    onEditCaption={handleEditCaption}
+                    onUndoEdit={transcriptEdits.past.length > 0 ? handleUndoEdit : null}
+                    onRedoEdit={transcriptEdits.future.length > 0 ? handleRedoEdit : null}
+                    editedCount={countCorrections(transcriptEdits.corrections)}
+                    correctionsStatus={correctionsStatus}
+                    chapters={getResultChapters(result, detectedChapters)}
+                    onDetectChapters={handleDetectChapters}
+                    detectingChapters={detectingChapters}
+                    chapterError={chapterError}
+                    speakers={diarization?.speakers}
+                    onDetectSpeakers={handleDetectSpeakers}
+                    detectingSpeakers={detectingSpeakers}
+                    speakerError={speakerError}
+                    onRenameSpeaker={handleRenameSpeaker}
+                  />
+                </div>
+                {/* Questions about the transcript - remounted per result so conversations don't carry over */}
+                <div style={{ flex: '1 1 340px', minWidth: 0 }}>
+                  <ChatPanel key={`${result.videoId}:${result.mode}:${result.targetLanguage || ''}`} result={result} />
+                </div>
+              </div>
             ) : (
               <div style={{
                 marginBottom: '20px'
@@ -1557,10 +2004,11 @@ export default function App() {
                   maxHeight: '400px',
                   overflowY: 'auto',
                   lineHeight: '1.8',
-                  color: '#333'
+                  color: '#333',
+                  whiteSpace: 'pre-wrap'
                 }}
               >
-                {searchQuery ? highlightText(result.text, searchQuery) : result.text}
+                {searchQuery ? highlightText(transcriptText, searchQuery) : transcriptText}
               </div>
             </div>
             )}
@@ -1635,7 +2083,89 @@ export default function App() {
               </button>
             </div>
 
-            <SummarySection result={result} />
+            {/* Subtitle Downloads - only available when timed captions exist */}
+            {result.captions && result.captions.length > 0 && (
+              <div style={{
+                marginTop: '12px',
+                padding: '12px',
+                backgroundColor: '#f9fafb',
+                border: '2px solid #e5e7eb',
+                borderRadius: '10px'
+              }}>
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  marginBottom: '10px'
+                }}>
+                  <span style={{ fontSize: '0.9rem', fontWeight: '600', color: '#333' }}>
+                    Subtitles
+                  </span>
+                  {result.translatedCaptions && (
+                    <div style={{ display: 'flex', gap: '6px' }}>
+                      {['original', 'translated'].map(track => (
+                        <button
+                          key={track}
+                          onClick={() => setSubtitleTrack(track)}
+                          style={{
+                            padding: '6px 12px',
+                            fontSize: '0.8rem',
+                            fontWeight: '600',
+                            color: subtitleTrack === track ? 'white' : '#667eea',
+                            backgroundColor: subtitleTrack === track ? '#667eea' : 'white',
+                            border: '2px solid #667eea',
+                            borderRadius: '8px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          {track === 'original' ? 'Original' : result.targetLanguage}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(3, 1fr)',
+                  gap: '10px'
+                }}>
+                  {[
+                    { format: 'srt', label: 'SRT', color: '#8b5cf6' },
+                    { format: 'vtt', label: 'VTT', color: '#ec4899' },
+                    { format: 'json', label: 'JSON', color: '#6b7280' }
+                  ].map(({ format, label, color }) => (
+                    <button
+                      key={format}
+                      onClick={() => downloadSubtitles(format)}
+                      style={{
+                        padding: '12px',
+                        fontSize: '0.9rem',
+                        fontWeight: '600',
+                        color: 'white',
+                        backgroundColor: color,
+                        border: 'none',
+                        borderRadius: '8px',
+                        cursor: 'pointer',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        gap: '6px'
+                      }}
+                    >
+                      <Download size={18} />
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <SummarySection
+              result={result}
+              transcript={correctedResult}
+              chapters={getResultChapters(result, detectedChapters)}
+              onSummaryGenerated={handleSummaryGenerated}
+            />
           </div>
         )}
 
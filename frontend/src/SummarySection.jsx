@@ -1,17 +1,44 @@
-import React, { useState, useEffect } from 'react';
-import { Sparkles, Loader2, AlertCircle, Copy, CopyCheck, RotateCcw, FileText, File, Download } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Sparkles, Loader2, AlertCircle, Copy, CopyCheck, RotateCcw, FileText, File, Download, XCircle } from 'lucide-react';
 import { jsPDF } from 'jspdf';
 import { Document, Packer, Paragraph } from 'docx';
-
-export default function SummarySection({ result }) {
+import { authHeaders } from './auth';
+import { readEventStream } from './eventStream';
+import { getExportHeaderLines, getExportFileName, getVideoTitle, getVideoUrl } from './videoMetadata';
+import { getChapterTexts } from './chapters';
+import { SUMMARY_STYLES, getSummaryStyleName } from './summaryStyles';
+import { formatTimestampMarkers, getSummaryCaptions } from './summaryLinks';
+import StructuredSummary from './components/StructuredSummary';
+import TimestampedText from './components/TimestampedText';
+
+// Overall summary followed by one section per chapter, for copy and TXT export
+const getSummaryText = (summary) => [
+  formatTimestampMarkers(summary.text),
+  ...(summary.chapterSummaries || []).map(chapter => `## ${chapter.timestamp} ${chapter.title}\n${chapter.summary}`)
+].join('\n\n');
+
+const API_URL = import.meta.env.VITE_API_URL || '/api';
+
+// transcript is the result with the user's corrections applied - summaries are made from it
+export default function SummarySection({ result, transcript = result, chapters = [], onSummaryGenerated }) {
   const [summary, setSummary] = useState(null);
   const [summaryLoading, setSummaryLoading] = useState(false);
+  const [summaryProgress, setSummaryProgress] = useState(null); // {progress, message} while long transcripts are condensed
+  const [streamingText, setStreamingText] = useState(''); // Summary text received so far
+  const abortControllerRef = useRef(null);
   const [summaryLength, setSummaryLength] = useState('medium');
+  const [summaryStyle, setSummaryStyle] = useState('prose');
   const [summaryError, setSummaryError] = useState('');
   const [copiedSummary, setCopiedSummary] = useState(false);
+  const [summarizeChapters, setSummarizeChapters] = useState(true);
+
+  const captions = transcript?.mode === 'translate' ? transcript?.translatedCaptions : transcript?.captions;
+  // Per-chapter summaries are prose; the structured styles cover the whole video
+  const canSummarizeChapters = summaryStyle === 'prose' && chapters.length > 1 && captions?.length > 0;
+  const summarizingChapters = canSummarizeChapters && summarizeChapters;
 
   const generateSummary = async (length = 'medium') => {
-    if (!result || !result.text) {
+    if (!transcript || !transcript.text) {
       setSummaryError('No transcript available to summarize');
       return;
     }
@@ -20,15 +47,24 @@ export default function SummarySection({ result }) {
     setSummaryError('');
     setSummary(null);
     setSummaryLength(length);
+    setSummaryProgress(null);
+    setStreamingText('');
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
 
     try {
-      const API_URL = import.meta.env.VITE_API_URL || '/api';
-      const response = await fetch(`${API_URL}/summary`, {
+      const response = await fetch(`${API_URL}/summary/stream`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        signal: abortController.signal,
         body: JSON.stringify({
-          text: result.text,
-          summaryLength: length
+          text: transcript.text,
+          summaryLength: length,
+          summaryStyle,
+          chapters: summarizingChapters ? getChapterTexts(captions, chapters) : undefined,
+          // Segments let the summary cite where each point comes from (chapter summaries link by chapter instead)
+          captions: !summarizingChapters && captions?.length > 0 ? getSummaryCaptions(captions) : undefined
         })
       });
 
@@ -37,39 +73,64 @@ export default function SummarySection({ result }) {
         throw new Error(errorData.error || 'Failed to generate summary');
       }
 
-      const data = await response.json();
+      const data = await readEventStream(response, {
+        onProgress: setSummaryProgress,
+        onDelta: (delta) => setStreamingText(current => current + delta)
+      });
       
       if (data.success && data.summary) {
-        setSummary({
+        const generated = {
           text: data.summary,
           wordCount: data.wordCount,
           readingTime: data.readingTime,
           compressionRatio: data.compressionRatio,
-          length: length
-        });
+          length: length,
+          style: data.summaryStyle || 'prose',
+          structured: data.structured || null,
+          chapterSummaries: data.chapterSummaries || null,
+          points: data.points || null
+        };
+        setSummary(generated);
+        onSummaryGenerated?.(generated);
       } else {
         throw new Error('Invalid summary response');
       }
     } catch (err) {
+      // Cancelled by the user (or by switching results) - nothing to report
+      if (abortController.signal.aborted) return;
       console.error('Summary generation error:', err);
       setSummaryError(err.message || 'Failed to generate summary. Please try again.');
     } finally {
-      setSummaryLoading(false);
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        setSummaryLoading(false);
+        setSummaryProgress(null);
+        setStreamingText('');
+      }
     }
   };
 
+  // Closing the stream makes the server abort the upstream AI request
+  const cancelSummary = () => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    setSummaryLoading(false);
+    setSummaryProgress(null);
+    setStreamingText('');
+  };
+
   const copyToClipboardSummary = async () => {
     if (!summary || !summary.text) return;
     
     try {
-      await navigator.clipboard.writeText(summary.text);
+      await navigator.clipboard.writeText(getSummaryText(summary));
       setCopiedSummary(true);
       setTimeout(() => setCopiedSummary(false), 2000);
     } catch (err) {
       console.error('Failed to copy summary:', err);
       // Fallback for older browsers
       const textArea = document.createElement('textarea');
-      textArea.value = summary.text;
+      textArea.value = getSummaryText(summary);
       textArea.style.position = 'fixed';
       textArea.style.opacity = '0';
       document.body.appendChild(textArea);
@@ -88,9 +149,9 @@ export default function SummarySection({ result }) {
   const downloadSummaryTxt = () => {
     if (!summary || !summary.text) return;
     const element = document.createElement('a');
-    const file = new Blob([summary.text], { type: 'text/plain' });
+    const file = new Blob([`${getExportHeaderLines(result).join('\n')}\n\n${getSummaryText(summary)}`], { type: 'text/plain' });
     element.href = URL.createObjectURL(file);
-    element.download = `summary_${result.videoId}.txt`;
+    element.download = getExportFileName(result, getSummaryStyleName(summary.style), 'txt');
     document.body.appendChild(element);
     element.click();
     document.body.removeChild(element);
@@ -110,29 +171,46 @@ export default function SummarySection({ result }) {
     const maxWidth = pageWidth - 2 * margin;
 
     pdf.setFontSize(16);
-    pdf.text('Video Summary', margin, margin);
+    const titleLines = pdf.splitTextToSize(`${getSummaryStyleName(summary.style)}: ${getVideoTitle(result)}`, maxWidth);
+    pdf.text(titleLines, margin, margin);
 
     pdf.setFontSize(10);
-    pdf.text(`Video ID: ${result.videoId}`, margin, margin + 10);
-    pdf.text(`Summary Length: ${summary.length}`, margin, margin + 16);
-    pdf.text(`Word Count: ${summary.wordCount} | Reading Time: ${summary.readingTime} min`, margin, margin + 22);
-    pdf.text(`Compression: ${summary.compressionRatio}`, margin, margin + 28);
-    pdf.text(`Generated: ${new Date().toLocaleString()}`, margin, margin + 34);
-
-    pdf.setFontSize(11);
-    const splitText = pdf.splitTextToSize(summary.text, maxWidth);
-    
-    let yPosition = margin + 46;
-    splitText.forEach((line) => {
-      if (yPosition > pageHeight - margin) {
-        pdf.addPage();
-        yPosition = margin;
-      }
+    const headerLines = [
+      ...getExportHeaderLines(result).slice(1),
+      `Style: ${getSummaryStyleName(summary.style)}`,
+      `Summary Length: ${summary.length}`,
+      `Word Count: ${summary.wordCount} | Reading Time: ${summary.readingTime} min`,
+      `Compression: ${summary.compressionRatio}`,
+      `Generated: ${new Date().toLocaleString()}`
+    ];
+    let yPosition = margin + titleLines.length * 7 + 3;
+    headerLines.forEach((line) => {
       pdf.text(line, margin, yPosition);
-      yPosition += 5;
+      yPosition += 6;
     });
 
-    pdf.save(`summary_${result.videoId}.pdf`);
+    const addLines = (text, fontSize, lineHeight) => {
+      pdf.setFontSize(fontSize);
+      pdf.splitTextToSize(text, maxWidth).forEach((line) => {
+        if (yPosition > pageHeight - margin) {
+          pdf.addPage();
+          yPosition = margin;
+        }
+        pdf.text(line, margin, yPosition);
+        yPosition += lineHeight;
+      });
+    };
+
+    yPosition += 6;
+    addLines(formatTimestampMarkers(summary.text), 11, 5);
+
+    (summary.chapterSummaries || []).forEach((chapter) => {
+      yPosition += 6;
+      addLines(`${chapter.timestamp} ${chapter.title}`, 13, 6);
+      addLines(chapter.summary, 11, 5);
+    });
+
+    pdf.save(getExportFileName(result, getSummaryStyleName(summary.style), 'pdf'));
   };
 
   const downloadSummaryWord = async () => {
@@ -141,15 +219,19 @@ export default function SummarySection({ result }) {
 
     sections.push(
       new Paragraph({
-        text: 'Video Summary',
+        text: `${getSummaryStyleName(summary.style)}: ${getVideoTitle(result)}`,
         heading: 'Heading1',
         spacing: { after: 200 }
       })
     );
 
     sections.push(
+      ...getExportHeaderLines(result).slice(1).map(line => new Paragraph({
+        text: line,
+        spacing: { after: 100 }
+      })),
       new Paragraph({
-        text: `Video ID: ${result.videoId}`,
+        text: `Style: ${getSummaryStyleName(summary.style)}`,
         spacing: { after: 100 }
       }),
       new Paragraph({
@@ -172,17 +254,31 @@ export default function SummarySection({ result }) {
 
     sections.push(
       new Paragraph({
-        text: summary.text,
+        text: formatTimestampMarkers(summary.text),
         spacing: { line: 360 }
       })
     );
 
+    (summary.chapterSummaries || []).forEach((chapter) => {
+      sections.push(
+        new Paragraph({
+          text: `${chapter.timestamp} ${chapter.title}`,
+          heading: 'Heading2',
+          spacing: { before: 300, after: 100 }
+        }),
+        new Paragraph({
+          text: chapter.summary,
+          spacing: { line: 360 }
+        })
+      );
+    });
+
     const doc = new Document({ sections: [{ children: sections }] });
     const blob = await Packer.toBlob(doc);
     
     const element = document.createElement('a');
     element.href = URL.createObjectURL(blob);
-    element.download = `summary_${result.videoId}.docx`;
+    element.download = getExportFileName(result, getSummaryStyleName(summary.style), 'docx');
     document.body.appendChild(element);
     element.click();
     document.body.removeChild(element);
@@ -193,9 +289,18 @@ export default function SummarySection({ result }) {
     setSummaryError('');
   };
 
-  // Reset summary when result changes
+  // Reset summary when result changes (results re-opened from history bring their saved summary)
   useEffect(() => {
-    setSummary(null);
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    setSummaryLoading(false);
+    setSummaryProgress(null);
+    setStreamingText('');
+    setSummary(result?.summary || null);
+    if (result?.summary) {
+      setSummaryLength(result.summary.length);
+      setSummaryStyle(result.summary.style || 'prose');
+    }
     setSummaryError('');
     setCopiedSummary(false);
   }, [result]);
@@ -233,8 +338,48 @@ export default function SummarySection({ result }) {
             color: '#666',
             marginBottom: '16px'
           }}>
-            Generate an AI-powered summary of the transcript in your preferred length
+            Generate an AI-powered summary of the transcript in your preferred style and length
           </p>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+            {SUMMARY_STYLES.map(style => (
+              <button
+                key={style.id}
+                onClick={() => setSummaryStyle(style.id)}
+                title={style.description}
+                style={{
+                  padding: '8px 14px',
+                  fontSize: '0.85rem',
+                  fontWeight: '600',
+                  color: summaryStyle === style.id ? 'white' : '#4b5563',
+                  backgroundColor: summaryStyle === style.id ? '#667eea' : '#f3f4f6',
+                  border: 'none',
+                  borderRadius: '999px',
+                  cursor: 'pointer',
+                  transition: 'all 0.2s'
+                }}
+              >
+                {style.name}
+              </button>
+            ))}
+          </div>
+          {canSummarizeChapters && (
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              fontSize: '0.9rem',
+              color: '#4b5563',
+              marginBottom: '16px',
+              cursor: 'pointer'
+            }}>
+              <input
+                type="checkbox"
+                checked={summarizeChapters}
+                onChange={(e) => setSummarizeChapters(e.target.checked)}
+              />
+              Also summarize each of the {chapters.length} chapters
+            </label>
+          )}
           <div style={{
             display: 'grid',
             gridTemplateColumns: 'repeat(3, 1fr)',
@@ -263,7 +408,7 @@ export default function SummarySection({ result }) {
             >
               <Sparkles size={20} />
               <span>Short</span>
-              <span style={{ fontSize: '0.75rem', opacity: 0.9 }}>~100-150 words</span>
+              <span style={{ fontSize: '0.75rem', opacity: 0.9 }}>{summaryStyle === 'prose' ? '~100-150 words' : '3-5 points'}</span>
             </button>
 
             <button
@@ -289,7 +434,7 @@ export default function SummarySection({ result }) {
             >
               <Sparkles size={20} />
               <span>Medium</span>
-              <span style={{ fontSize: '0.75rem', opacity: 0.9 }}>~200-300 words</span>
+              <span style={{ fontSize: '0.75rem', opacity: 0.9 }}>{summaryStyle === 'prose' ? '~200-300 words' : '5-8 points'}</span>
             </button>
 
             <button
@@ -315,27 +460,85 @@ export default function SummarySection({ result }) {
             >
               <Sparkles size={20} />
               <span>Long</span>
-              <span style={{ fontSize: '0.75rem', opacity: 0.9 }}>~400-500 words</span>
+              <span style={{ fontSize: '0.75rem', opacity: 0.9 }}>{summaryStyle === 'prose' ? '~400-500 words' : '8-12 points'}</span>
             </button>
           </div>
         </div>
       )}
 
       {summaryLoading && (
-        <div style={{
-          padding: '40px',
-          textAlign: 'center',
-          backgroundColor: '#f9fafb',
-          borderRadius: '10px'
-        }}>
-          <Loader2 size={40} style={{ 
-            animation: 'spin 1s linear infinite',
-            color: '#667eea',
-            margin: '0 auto 16px'
-          }} />
-          <p style={{ fontSize: '1rem', color: '#666', margin: 0 }}>
-            Generating AI summary...
-          </p>
+        <div>
+          {streamingText ? (
+            /* Summary text as it is generated */
+            <div style={{
+              padding: '20px',
+              backgroundColor: '#fffbeb',
+              borderRadius: '10px',
+              maxHeight: '400px',
+              overflowY: 'auto',
+              lineHeight: '1.8',
+              color: '#333',
+              border: '2px solid #fbbf24',
+              whiteSpace: 'pre-wrap'
+            }}>
+              <TimestampedText text={streamingText} videoId={result.videoId} />
+              <span style={{ color: '#f59e0b' }}>▍</span>
+            </div>
+          ) : (
+            <div style={{
+              padding: '40px',
+              textAlign: 'center',
+              backgroundColor: '#f9fafb',
+              borderRadius: '10px'
+            }}>
+              <Loader2 size={40} style={{ 
+                animation: 'spin 1s linear infinite',
+                color: '#667eea',
+                margin: '0 auto 16px'
+              }} />
+              <p style={{ fontSize: '1rem', color: '#666', margin: 0 }}>
+                {summaryProgress?.message || 'Generating AI summary...'}
+              </p>
+              {summaryProgress?.progress > 0 && (
+                <div style={{
+                  maxWidth: '320px',
+                  height: '8px',
+                  margin: '16px auto 0',
+                  backgroundColor: '#e5e7eb',
+                  borderRadius: '4px',
+                  overflow: 'hidden'
+                }}>
+                  <div style={{
+                    width: `${summaryProgress.progress}%`,
+                    height: '100%',
+                    background: 'linear-gradient(90deg, #667eea 0%, #764ba2 100%)',
+                    transition: 'width 0.3s ease'
+                  }} />
+                </div>
+              )}
+            </div>
+          )}
+          <div style={{ display: 'flex', justifyContent: 'center', marginTop: '12px' }}>
+            <button
+              onClick={cancelSummary}
+              style={{
+                padding: '8px 16px',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                color: '#ef4444',
+                backgroundColor: 'white',
+                border: '2px solid #ef4444',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px'
+              }}
+            >
+              <XCircle size={18} />
+              Cancel
+            </button>
+          </div>
         </div>
       )}
 
@@ -425,7 +628,7 @@ export default function SummarySection({ result }) {
                 color: '#333',
                 margin: 0
               }}>
-                Summary Content
+                {summary.style && summary.style !== 'prose' ? getSummaryStyleName(summary.style) : 'Summary Content'}
               </h4>
               <div style={{ display: 'flex', gap: '8px' }}>
                 <button
@@ -507,12 +710,57 @@ export default function SummarySection({ result }) {
               lineHeight: '1.8',
               color: '#333',
               border: '2px solid #fbbf24',
-              whiteSpace: 'pre-wrap'
+              whiteSpace: summary.structured ? 'normal' : 'pre-wrap'
             }}>
-              {summary.text}
+              {summary.structured
+                ? <StructuredSummary style={summary.style} data={summary.structured} videoId={result.videoId} />
+                : <TimestampedText text={summary.text} videoId={result.videoId} />}
             </div>
           </div>
 
+          {/* Per-chapter summaries */}
+          {summary.chapterSummaries?.length > 0 && (
+            <div style={{ marginBottom: '16px' }}>
+              <h4 style={{
+                fontSize: '1rem',
+                fontWeight: '600',
+                color: '#333',
+                margin: '0 0 10px',
+                padding: '0 4px'
+              }}>
+                Chapter Summaries
+              </h4>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                {summary.chapterSummaries.map(chapter => (
+                  <div
+                    key={chapter.startTime}
+                    style={{
+                      padding: '14px 16px',
+                      backgroundColor: 'white',
+                      border: '1px solid #fde68a',
+                      borderRadius: '10px'
+                    }}
+                  >
+                    <div style={{ display: 'flex', gap: '10px', fontWeight: '600', color: '#333', marginBottom: '6px' }}>
+                      <a
+                        href={getVideoUrl(result.videoId, chapter.startTime)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        style={{ fontFamily: 'monospace', color: '#667eea', textDecoration: 'none' }}
+                      >
+                        {chapter.timestamp}
+                      </a>
+                      {chapter.title}
+                    </div>
+                    <div style={{ color: '#4b5563', lineHeight: '1.6', whiteSpace: 'pre-wrap' }}>
+                      {chapter.summary}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Download Buttons */}
           <div style={{
             display: 'grid',
@@ -0,0 +1,23 @@
+// Sign-in token helpers - the token from /api/auth/* is kept in localStorage
+// and sent as "Authorization: Bearer <token>" with API requests
+
+const AUTH_TOKEN_STORAGE_KEY = 'authToken';
+
+export const getAuthToken = () => localStorage.getItem(AUTH_TOKEN_STORAGE_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_STORAGE_KEY);
+  }
+};
+
+/**
+ * Request headers including the Authorization header when signed in
+ * @param {Object} headers - Other headers to send
+ */
+export const authHeaders = (headers = {}) => {
+  const token = getAuthToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+};
@@ -0,0 +1,57 @@
+// Chapter helpers - group caption segments under the video's chapters (or AI-detected topics)
+
+import { timestampToSeconds } from './subtitleExport';
+import { formatDuration } from './videoMetadata';
+
+// Segments from older results only carry the timestamp string
+export const getCaptionStart = (caption) =>
+  typeof caption.start === 'number' ? caption.start : timestampToSeconds(caption.timestamp);
+
+/**
+ * Chapters to use for a result: the video's own chapters, otherwise detected topics
+ * @param {Object} result - Result shown in the result view
+ * @param {Array} [detectedChapters] - Chapters from /api/chapters/detect
+ * @returns {Array} Chapters ({title, startTime, timestamp}), empty when there are none
+ */
+export const getResultChapters = (result, detectedChapters) => {
+  const chapters = result?.video?.chapters?.length ? result.video.chapters : (detectedChapters || []);
+  return chapters.map(chapter => ({
+    ...chapter,
+    timestamp: chapter.timestamp || formatDuration(chapter.startTime)
+  }));
+};
+
+/**
+ * Split caption segments into one group per chapter
+ * Segments before the first chapter start belong to the first chapter
+ * @param {Array} captions - Caption segments ({timestamp, start, text})
+ * @param {Array} chapters - Chapters sorted by startTime
+ * @returns {Array} Groups ({chapter, captions}); chapters without segments are left out
+ */
+export const groupCaptionsByChapter = (captions, chapters) => {
+  if (!chapters.length) return [];
+  const groups = chapters.map(chapter => ({ chapter, captions: [] }));
+  let groupIndex = 0;
+
+  captions.forEach(caption => {
+    const start = getCaptionStart(caption);
+    while (groupIndex < groups.length - 1 && start >= groups[groupIndex + 1].chapter.startTime) {
+      groupIndex++;
+    }
+    groups[groupIndex].captions.push(caption);
+  });
+
+  return groups.filter(group => group.captions.length > 0);
+};
+
+/**
+ * Chapter texts for a per-chapter summary request
+ * @returns {Array} Chapters ({title, startTime, timestamp, text})
+ */
+export const getChapterTexts = (captions, chapters) =>
+  groupCaptionsByChapter(captions, chapters).map(({ chapter, captions: chapterCaptions }) => ({
+    title: chapter.title,
+    startTime: chapter.startTime,
+    timestamp: chapter.timestamp,
+    text: chapterCaptions.map(caption => caption.translatedText || caption.text).join(' ')
+  }));
@@ -0,0 +1,264 @@
+import React, { useState } from 'react';
+import { User, LogOut, Loader2, X, Mail } from 'lucide-react';
+
+const PLAN_NAMES = {
+  free: 'Free',
+  basic: 'Basic',
+  premium: 'Premium'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '12px 16px',
+  fontSize: '1rem',
+  border: '2px solid #e0e0e0',
+  borderRadius: '10px',
+  outline: 'none',
+  marginBottom: '12px',
+  boxSizing: 'border-box'
+};
+
+// Sign-in / account area of the navigation bar
+export default function AccountMenu({ user, onSignIn, onSignOut }) {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('login'); // 'login', 'register' or 'magic'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+    setNotice('');
+  };
+
+  const close = () => {
+    setOpen(false);
+    setPassword('');
+    setError('');
+    setNotice('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    setNotice('');
+
+    try {
+      const API_URL = import.meta.env.VITE_API_URL || '/api';
+      const endpoint = mode === 'magic' ? 'magic-link' : mode;
+      const response = await fetch(`${API_URL}/auth/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(mode === 'magic' ? { email } : { email, password })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Sign-in failed');
+      }
+
+      if (mode === 'magic') {
+        setNotice(data.message || 'Check your email for a sign-in link.');
+        return;
+      }
+
+      onSignIn(data.token, data.user);
+      close();
+    } catch (err) {
+      console.error('Auth error:', err);
+      setError(err.message || 'Sign-in failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (user) {
+    const trialEnds = user.subscriptionStatus === 'trialing' && user.trialEndsAt;
+    return (
+      <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '12px', color: 'white' }}>
+        <User size={20} />
+        <div style={{ lineHeight: 1.2 }}>
+          <div style={{ fontWeight: '600' }}>{user.email}</div>
+          <div style={{ fontSize: '0.8rem', opacity: 0.85 }}>
+            {PLAN_NAMES[user.planId] || user.planId} plan
+            {trialEnds && ` · trial ends ${new Date(user.trialEndsAt).toLocaleDateString()}`}
+            {user.cancelAtPeriodEnd && user.currentPeriodEnd && ` · ends ${new Date(user.currentPeriodEnd).toLocaleDateString()}`}
+            {user.subscriptionStatus === 'past_due' && ' · payment overdue'}
+          </div>
+        </div>
+        <button
+          onClick={onSignOut}
+          title="Sign out"
+          style={{
+            padding: '8px',
+            color: 'white',
+            backgroundColor: 'transparent',
+            border: '1px solid rgba(255, 255, 255, 0.4)',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            display: 'flex'
+          }}
+        >
+          <LogOut size={18} />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        style={{
+          marginLeft: 'auto',
+          padding: '12px 24px',
+          fontSize: '1rem',
+          fontWeight: '600',
+          color: 'white',
+          backgroundColor: 'transparent',
+          border: '1px solid rgba(255, 255, 255, 0.4)',
+          borderRadius: '10px',
+          cursor: 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px'
+        }}
+      >
+        <User size={20} />
+        Sign in
+      </button>
+
+      {open && (
+        <div
+          onClick={close}
+          style={{
+            position: 'fixed',
+            inset: 0,
+            backgroundColor: 'rgba(0, 0, 0, 0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000,
+            padding: '20px'
+          }}
+        >
+          <form
+            onClick={(e) => e.stopPropagation()}
+            onSubmit={handleSubmit}
+            style={{
+              position: 'relative',
+              width: '100%',
+              maxWidth: '400px',
+              backgroundColor: 'white',
+              borderRadius: '16px',
+              padding: '32px',
+              boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)'
+            }}
+          >
+            <button
+              type="button"
+              onClick={close}
+              style={{
+                position: 'absolute',
+                top: '16px',
+                right: '16px',
+                background: 'none',
+                border: 'none',
+                color: '#999',
+                cursor: 'pointer'
+              }}
+            >
+              <X size={20} />
+            </button>
+
+            <h2 style={{ margin: '0 0 20px', color: '#333' }}>
+              {mode === 'register' ? 'Create account' : 'Sign in'}
+            </h2>
+
+            <input
+              type="email"
+              required
+              placeholder="Email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              style={inputStyle}
+            />
+            {mode !== 'magic' && (
+              <input
+                type="password"
+                required
+                minLength={8}
+                placeholder={mode === 'register' ? 'Password (at least 8 characters)' : 'Password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                style={inputStyle}
+              />
+            )}
+
+            {error && (
+              <div style={{ marginBottom: '12px', fontSize: '0.875rem', color: '#dc2626' }}>{error}</div>
+            )}
+            {notice && (
+              <div style={{ marginBottom: '12px', fontSize: '0.875rem', color: '#059669' }}>{notice}</div>
+            )}
+
+            <button
+              type="submit"
+              disabled={submitting}
+              style={{
+                width: '100%',
+                padding: '14px',
+                fontSize: '1rem',
+                fontWeight: '600',
+                color: 'white',
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: submitting ? 'not-allowed' : 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '8px'
+              }}
+            >
+              {submitting && <Loader2 size={18} style={{ animation: 'spin 1s linear infinite' }} />}
+              {mode === 'register' ? 'Create account' : mode === 'magic' ? 'Email me a sign-in link' : 'Sign in'}
+            </button>
+
+            <div style={{ marginTop: '16px', fontSize: '0.875rem', color: '#666', display: 'flex', flexDirection: 'column', gap: '8px', alignItems: 'center' }}>
+              {mode !== 'magic' && (
+                <button type="button" onClick={() => switchMode('magic')} style={linkStyle}>
+                  <Mail size={14} /> Sign in with an email link instead
+                </button>
+              )}
+              {mode !== 'login' && (
+                <button type="button" onClick={() => switchMode('login')} style={linkStyle}>
+                  Sign in with a password
+                </button>
+              )}
+              {mode !== 'register' && (
+                <button type="button" onClick={() => switchMode('register')} style={linkStyle}>
+                  No account yet? Create one
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+}
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#667eea',
+  cursor: 'pointer',
+  fontSize: '0.875rem',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '4px'
+};
@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { ListVideo, Loader2, CheckCircle, XCircle, Clock, Download, X, ExternalLink } from 'lucide-react';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Processing',
+  completed: 'Done',
+  failed: 'Failed',
+  expired: 'Expired'
+};
+
+export default function BatchPanel({ batchId, onOpenResult, onClose }) {
+  const [batch, setBatch] = useState(null);
+  const [error, setError] = useState('');
+  const [openingJobId, setOpeningJobId] = useState(null);
+
+  const API_URL = import.meta.env.VITE_API_URL || '/api';
+
+  // Follow aggregate progress - each event is a full snapshot of the batch
+  useEffect(() => {
+    if (!batchId) return;
+
+    setError('');
+    const events = new EventSource(`${API_URL}/batches/${batchId}/events`);
+
+    events.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        setBatch(data);
+        if (data.status === 'completed') {
+          events.close();
+        }
+      } catch (e) {
+        console.error('Error parsing batch progress:', e);
+      }
+    };
+
+    events.onerror = () => {
+      // CLOSED means the browser gave up reconnecting (e.g. the batch expired or the server restarted)
+      if (events.readyState === EventSource.CLOSED) {
+        setError('Lost track of this batch. It may have expired - please start it again.');
+      }
+    };
+
+    return () => events.close();
+  }, [API_URL, batchId]);
+
+  const openVideo = async (video) => {
+    setOpeningJobId(video.jobId);
+    try {
+      const response = await fetch(`${API_URL}/jobs/${video.jobId}`);
+      const job = await response.json();
+      if (!response.ok || !job.result) {
+        throw new Error(job.error || 'Result is no longer available');
+      }
+      onOpenResult(job.result, video.title);
+    } catch (err) {
+      console.error('Failed to open batch video:', err);
+      setError(err.message || 'Failed to open transcript');
+    } finally {
+      setOpeningJobId(null);
+    }
+  };
+
+  const statusIcon = (status) => {
+    if (status === 'completed') return <CheckCircle size={18} style={{ color: '#10b981', flexShrink: 0 }} />;
+    if (status === 'failed' || status === 'expired') return <XCircle size={18} style={{ color: '#ef4444', flexShrink: 0 }} />;
+    if (status === 'running') return <Loader2 size={18} style={{ color: '#667eea', flexShrink: 0, animation: 'spin 1s linear infinite' }} />;
+    return <Clock size={18} style={{ color: '#9ca3af', flexShrink: 0 }} />;
+  };
+
+  return (
+    <div style={{
+      marginTop: '30px',
+      backgroundColor: 'white',
+      borderRadius: '20px',
+      boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+      overflow: 'hidden'
+    }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '12px',
+        padding: '20px 24px',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        color: 'white'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', minWidth: 0 }}>
+          <ListVideo size={24} style={{ flexShrink: 0 }} />
+          <div style={{ minWidth: 0 }}>
+            <h3 style={{ margin: 0, fontSize: '1.25rem', fontWeight: '700', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {batch ? batch.title : 'Loading playlist...'}
+            </h3>
+            {batch && (
+              <div style={{ fontSize: '0.875rem', opacity: 0.9 }}>
+                {batch.completed} of {batch.total} done
+                {batch.failed > 0 && ` · ${batch.failed} failed`}
+                {batch.truncated && ` · first ${batch.total} videos only`}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexShrink: 0 }}>
+          <a
+            href={`${API_URL}/batches/${batchId}/download`}
+            onClick={(e) => {
+              if (!batch || batch.completed === 0) e.preventDefault();
+            }}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              padding: '8px 14px',
+              fontSize: '0.875rem',
+              fontWeight: '600',
+              color: '#667eea',
+              backgroundColor: 'white',
+              borderRadius: '8px',
+              textDecoration: 'none',
+              opacity: batch && batch.completed > 0 ? 1 : 0.5,
+              cursor: batch && batch.completed > 0 ? 'pointer' : 'not-allowed'
+            }}
+          >
+            <Download size={16} />
+            {batch && batch.status === 'completed' ? 'Download ZIP' : 'Download finished (ZIP)'}
+          </a>
+          <button
+            onClick={onClose}
+            title="Close"
+            style={{
+              display: 'flex',
+              padding: '8px',
+              color: 'white',
+              backgroundColor: 'rgba(255, 255, 255, 0.2)',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer'
+            }}
+          >
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      {/* Aggregate progress */}
+      <div style={{ padding: '16px 24px', borderBottom: '2px solid #e5e7eb' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.875rem', color: '#666', marginBottom: '8px' }}>
+          <span>Overall progress</span>
+          <span style={{ fontWeight: '600', color: '#333' }}>{batch ? batch.progress : 0}%</span>
+        </div>
+        <div style={{ height: '8px', backgroundColor: '#e5e7eb', borderRadius: '4px', overflow: 'hidden' }}>
+          <div style={{
+            width: `${batch ? batch.progress : 0}%`,
+            height: '100%',
+            background: 'linear-gradient(90deg, #667eea 0%, #764ba2 100%)',
+            transition: 'width 0.3s'
+          }} />
+        </div>
+      </div>
+
+      {error && (
+        <div style={{ margin: '16px 24px 0', padding: '12px', backgroundColor: '#fee2e2', borderRadius: '8px', color: '#991b1b', fontSize: '0.875rem' }}>
+          {error}
+        </div>
+      )}
+
+      {/* Per-video status */}
+      <div style={{ maxHeight: '420px', overflowY: 'auto', padding: '8px 0' }}>
+        {batch && batch.videos.map((video, index) => (
+          <div
+            key={video.jobId}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '12px',
+              padding: '10px 24px',
+              borderBottom: index < batch.videos.length - 1 ? '1px solid #f3f4f6' : 'none'
+            }}
+          >
+            <span style={{ width: '28px', fontSize: '0.8rem', color: '#9ca3af', flexShrink: 0 }}>{index + 1}</span>
+            {statusIcon(video.status)}
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: '0.95rem', fontWeight: '600', color: '#333', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {video.title}
+              </div>
+              <div style={{ fontSize: '0.8rem', color: video.status === 'failed' ? '#dc2626' : '#6b7280' }}>
+                {video.status === 'failed'
+                  ? video.error || 'Failed'
+                  : video.status === 'running'
+                    ? `${video.progress}% · ${video.message}`
+                    : STATUS_LABELS[video.status] || video.status}
+              </div>
+            </div>
+            {video.status === 'completed' && (
+              <button
+                onClick={() => openVideo(video)}
+                disabled={openingJobId === video.jobId}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  padding: '6px 12px',
+                  fontSize: '0.8rem',
+                  fontWeight: '600',
+                  color: '#667eea',
+                  backgroundColor: '#eef2ff',
+                  border: 'none',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  flexShrink: 0
+                }}
+              >
+                {openingJobId === video.jobId ? <Loader2 size={14} style={{ animation: 'spin 1s linear infinite' }} /> : <ExternalLink size={14} />}
+                Open
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
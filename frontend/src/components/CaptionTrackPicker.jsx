@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Subtitles, Loader2 } from 'lucide-react';
+
+// Value of the select for a track, e.g. 'manual:en-GB'
+const toValue = (track) => `${track.kind}:${track.languageCode}`;
+
+// Tracks belong to one video - render with key={videoUrl} so a new URL starts fresh
+export default function CaptionTrackPicker({ videoUrl, value, onChange, disabled }) {
+  const [tracks, setTracks] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTracks = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const API_URL = import.meta.env.VITE_API_URL || '/api';
+      const response = await fetch(`${API_URL}/caption-tracks?videoUrl=${encodeURIComponent(videoUrl)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load caption tracks');
+      }
+      setTracks(data);
+    } catch (err) {
+      console.error('Caption track error:', err);
+      setError(err.message || 'Failed to load caption tracks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelect = (selected) => {
+    if (!selected) {
+      onChange(null);
+      return;
+    }
+    const [kind, ...languageParts] = selected.split(':');
+    onChange({ kind, languageCode: languageParts.join(':') });
+  };
+
+  if (!tracks) {
+    return (
+      <div style={{ marginBottom: '20px' }}>
+        <button
+          onClick={loadTracks}
+          disabled={disabled || loading}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            padding: '8px 14px',
+            fontSize: '0.875rem',
+            fontWeight: '600',
+            color: '#667eea',
+            backgroundColor: '#eef2ff',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: disabled || loading ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {loading ? <Loader2 size={16} style={{ animation: 'spin 1s linear infinite' }} /> : <Subtitles size={16} />}
+          {loading ? 'Loading caption tracks...' : 'Choose caption track'}
+        </button>
+        {error && (
+          <div style={{ marginTop: '8px', fontSize: '0.875rem', color: '#dc2626' }}>{error}</div>
+        )}
+      </div>
+    );
+  }
+
+  // Original-language auto captions first, machine translations after
+  const autoTracks = [...tracks.auto].sort((a, b) => Number(b.isOriginal) - Number(a.isOriginal));
+  const hasTracks = tracks.manual.length > 0 || tracks.auto.length > 0;
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <label style={{
+        display: 'block',
+        fontWeight: '600',
+        marginBottom: '8px',
+        color: '#333'
+      }}>
+        Caption track
+      </label>
+      <select
+        value={value ? toValue(value) : ''}
+        onChange={(e) => handleSelect(e.target.value)}
+        disabled={disabled || !hasTracks}
+        style={{
+          width: '100%',
+          padding: '12px 16px',
+          fontSize: '1rem',
+          border: '2px solid #e0e0e0',
+          borderRadius: '10px',
+          outline: 'none',
+          backgroundColor: 'white',
+          cursor: 'pointer',
+          boxSizing: 'border-box'
+        }}
+      >
+        <option value="">{hasTracks ? 'Best available (automatic)' : 'No captions - audio will be transcribed'}</option>
+        {tracks.manual.length > 0 && (
+          <optgroup label="Uploaded captions">
+            {tracks.manual.map(track => (
+              <option key={toValue(track)} value={toValue(track)}>
+                {track.name} ({track.languageCode})
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {autoTracks.length > 0 && (
+          <optgroup label="Auto-generated captions">
+            {autoTracks.map(track => (
+              <option key={toValue(track)} value={toValue(track)}>
+                {track.name} ({track.languageCode}){track.isOriginal ? '' : ' - auto-translated'}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+    </div>
+  );
+}
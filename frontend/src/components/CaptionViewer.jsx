@@ -1,9 +1,193 @@
-import React, { useState } from 'react';
-import { Clock, FileText, Copy, CopyCheck } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Clock, FileText, Copy, CopyCheck, ChevronDown, ChevronRight, ListOrdered, Loader2, LocateFixed, Languages, Pencil, Undo2, Redo2, Users } from 'lucide-react';
+import { groupCaptionsByChapter, getCaptionStart } from '../chapters';
+import { timestampToSeconds } from '../subtitleExport';
+import VideoPlayer from './VideoPlayer';
 
-export default function CaptionViewer({ captions, fullText }) {
+// How translated captions are shown next to the original
+const LANGUAGE_LAYOUTS = [
+  { id: 'parallel', label: 'Side by side' },
+  { id: 'interleaved', label: 'Interleaved' },
+  { id: 'original', label: 'Original' },
+  { id: 'translation', label: 'Translation' }
+];
+
+// Label colors, by order of the speakers
+const SPEAKER_COLORS = ['#667eea', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#0ea5e9', '#ec4899', '#84cc16'];
+
+/**
+ * Scroll position for `target` that shows the same segment as the top of `source`
+ * Columns without segments (full text) use the same relative position instead
+ */
+function getAlignedScrollTop(source, target) {
+  const sourceItems = source.querySelectorAll('[data-caption-index]');
+  if (sourceItems.length === 0) {
+    const sourceRange = source.scrollHeight - source.clientHeight;
+    return sourceRange > 0 ? (source.scrollTop / sourceRange) * (target.scrollHeight - target.clientHeight) : 0;
+  }
+
+  // First segment that reaches below the top edge
+  let low = 0;
+  let high = sourceItems.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (sourceItems[middle].offsetTop + sourceItems[middle].offsetHeight <= source.scrollTop) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  const anchor = sourceItems[low];
+  const match = target.querySelector(`[data-caption-index="${anchor.dataset.captionIndex}"]`);
+  if (!match) return target.scrollTop;
+  if (source.scrollTop < anchor.offsetTop) {
+    return match.offsetTop - (anchor.offsetTop - source.scrollTop);
+  }
+  return match.offsetTop + ((source.scrollTop - anchor.offsetTop) / anchor.offsetHeight) * match.offsetHeight;
+}
+
+/**
+ * Check the times typed into the segment editor
+ * A segment may not start before the previous one or after the next one, so the order stays intact
+ * @returns {string} Error message, empty when the times are valid
+ */
+function getTimingError(start, end, previousStart, nextStart) {
+  if (!Number.isFinite(start) || start < 0) return 'Enter the start as HH:MM:SS.mmm';
+  if (end !== null && (!Number.isFinite(end) || end <= start)) return 'The end must come after the start';
+  if (previousStart !== undefined && start < previousStart) return 'The start can\'t be before the previous segment';
+  if (nextStart !== undefined && start > nextStart) return 'The start can\'t be after the next segment';
+  return '';
+}
+
+// onEditCaption(index, changes) makes segments editable; onUndoEdit/onRedoEdit are set while there is an edit to undo/redo
+// Captions labeled with speakerId/speaker show who speaks; speakers lists them for renaming
+export default function CaptionViewer({
+  captions, fullText, originalText, videoId, chapters = [], onDetectChapters, detectingChapters, chapterError,
+  onEditCaption, onUndoEdit, onRedoEdit, editedCount = 0, correctionsStatus = '',
+  speakers, onDetectSpeakers, detectingSpeakers, speakerError, onRenameSpeaker
+}) {
   const [viewMode, setViewMode] = useState('captions'); // 'captions' or 'text'
+  const [languageLayout, setLanguageLayout] = useState('parallel'); // One of LANGUAGE_LAYOUTS, for translated captions
   const [copied, setCopied] = useState(false);
+  // Segment playing in the embedded player (-1 before playback) and whether the list scrolls along with it
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [followAlong, setFollowAlong] = useState(true);
+  const [renaming, setRenaming] = useState(null); // {id, name} while a speaker name is edited
+  // Segment being edited: {transcript, index, variant, text, translatedText, start, end, error} with the typed values
+  const [editorState, setEditing] = useState(null);
+  const playerRef = useRef(null);
+  const contentRef = useRef(null);
+  const originalColumnRef = useRef(null);
+  const translationColumnRef = useRef(null);
+  const syncingColumnRef = useRef(null); // Column scrolled by syncColumnScroll, whose next scroll event is ignored
+  // Keyed by start time and title so chapters of another video start expanded
+  const [collapsedChapters, setCollapsedChapters] = useState(() => new Set());
+  const chapterKey = (chapter) => `${chapter.startTime}:${chapter.title}`;
+
+  const toggleChapter = (chapter) => {
+    setCollapsedChapters(current => {
+      const next = new Set(current);
+      if (next.has(chapterKey(chapter))) {
+        next.delete(chapterKey(chapter));
+      } else {
+        next.add(chapterKey(chapter));
+      }
+      return next;
+    });
+  };
+
+  const captionStarts = (captions || []).map(getCaptionStart);
+  // Untranslated captions always show their only text
+  const bilingual = (captions || []).some(caption => caption.translatedText);
+  const layout = bilingual ? languageLayout : 'interleaved';
+  // An open editor belongs to the transcript it was opened on
+  const transcriptKey = `${videoId}:${bilingual}:${captions?.length}`;
+  const editing = editorState?.transcript === transcriptKey ? editorState : null;
+
+  // Last segment that started at or before the playback position
+  const handleTimeUpdate = (seconds) => {
+    let index = -1;
+    while (index + 1 < captionStarts.length && captionStarts[index + 1] <= seconds) {
+      index++;
+    }
+    setActiveIndex(index);
+  };
+
+  const seekToCaption = (index) => {
+    // Selecting text to copy shouldn't jump the video
+    if (window.getSelection()?.toString()) return;
+    setActiveIndex(index);
+    playerRef.current?.seekTo(captionStarts[index], true);
+    playerRef.current?.playVideo();
+  };
+
+  // Keep the playing segment in view (scrolls the list only, not the page)
+  // Side by side, the translation column is scrolled and the original column follows it
+  useEffect(() => {
+    const container = layout === 'parallel' ? translationColumnRef.current : contentRef.current;
+    if (!followAlong || activeIndex < 0 || !container) return;
+    const element = container.querySelector(`[data-caption-index="${activeIndex}"]`);
+    if (element) {
+      container.scrollTo({ top: element.offsetTop - container.clientHeight / 3, behavior: 'smooth' });
+    }
+  }, [activeIndex, followAlong, viewMode, layout]);
+
+  const syncColumnScroll = (source, target) => {
+    if (!source || !target) return;
+    if (syncingColumnRef.current === source) {
+      syncingColumnRef.current = null;
+      return;
+    }
+    const maxScrollTop = target.scrollHeight - target.clientHeight;
+    const scrollTop = Math.max(0, Math.min(maxScrollTop, getAlignedScrollTop(source, target)));
+    if (Math.abs(scrollTop - target.scrollTop) >= 1) {
+      syncingColumnRef.current = target;
+      target.scrollTop = scrollTop;
+    }
+  };
+
+  const startEditing = (caption, index, variant) => {
+    setEditing({
+      transcript: transcriptKey,
+      index,
+      variant,
+      text: caption.text,
+      translatedText: caption.translatedText || '',
+      start: caption.timestamp,
+      end: caption.endTimestamp || ''
+    });
+  };
+
+  const saveEdit = () => {
+    const caption = captions[editing.index];
+    const start = timestampToSeconds(editing.start);
+    const end = editing.end.trim() ? timestampToSeconds(editing.end) : null;
+    const timingError = getTimingError(
+      start,
+      end,
+      editing.index > 0 ? captionStarts[editing.index - 1] : undefined,
+      editing.index < captions.length - 1 ? captionStarts[editing.index + 1] : undefined
+    );
+    if (timingError) {
+      setEditing({ ...editing, error: timingError });
+      return;
+    }
+
+    // Only what was changed - untouched times keep their exact original value
+    const changes = {};
+    if (editing.variant !== 'translation') changes.text = editing.text.trim();
+    if (editing.variant !== 'original' && caption.translatedText) changes.translatedText = editing.translatedText.trim();
+    if (editing.start !== caption.timestamp) changes.start = start;
+    if (end !== null && editing.end !== (caption.endTimestamp || '')) changes.end = end;
+    if (changes.text === '' || changes.translatedText === '') {
+      setEditing({ ...editing, error: 'A segment can\'t be empty' });
+      return;
+    }
+
+    onEditCaption(editing.index, changes);
+    setEditing(null);
+  };
 
   const handleCopy = (text) => {
     navigator.clipboard.writeText(text);
@@ -15,6 +199,324 @@ export default function CaptionViewer({ captions, fullText }) {
     return null;
   }
 
+  const chapterGroups = groupCaptionsByChapter(captions, chapters);
+  const captionLine = (c) => {
+    const line = `[${c.timestamp}] ${c.speaker ? `${c.speaker}: ` : ''}${layout === 'original' ? c.text : (c.translatedText || c.text)}`;
+    return (layout === 'parallel' || layout === 'interleaved') && c.translatedText ? `${line}\n    ${c.text}` : line;
+  };
+  const captionsCopyText = chapterGroups.length > 0
+    ? chapterGroups.map(({ chapter, captions: chapterCaptions }) =>
+      `## ${chapter.timestamp} ${chapter.title}\n${chapterCaptions.map(captionLine).join('\n')}`).join('\n\n')
+    : captions.map(captionLine).join('\n');
+  // Older translated results don't have the original transcript text - rebuild it from the segments
+  const originalFullText = bilingual ? (originalText || captions.map(caption => caption.text).join(' ')) : null;
+  const fullTextCopyText = layout === 'original'
+    ? (originalFullText || fullText)
+    : layout !== 'translation' && originalFullText ? `${fullText}\n\n${originalFullText}` : fullText;
+
+  // Chapter groups hold the same segment objects - map them back to their position in the video
+  const captionIndexes = new Map(captions.map((caption, index) => [caption, index]));
+
+  const speakerColor = (id) => SPEAKER_COLORS[Math.max(0, (speakers || []).findIndex(speaker => speaker.id === id)) % SPEAKER_COLORS.length];
+
+  const saveSpeakerName = () => {
+    if (renaming) onRenameSpeaker(renaming.id, renaming.name);
+    setRenaming(null);
+  };
+
+  // variant: 'original', 'translation' or 'interleaved' (translation with the original line under it)
+  const renderCaption = (caption, variant) => {
+    const index = captionIndexes.get(caption);
+    const active = index === activeIndex;
+    const secondaryText = variant === 'interleaved' && caption.translatedText ? caption.text : null;
+    // Speakers are named where their turn starts
+    const turnStart = caption.speakerId && caption.speakerId !== captions[index - 1]?.speakerId;
+    if (editing?.index === index && editing.variant === variant) {
+      return renderEditor(caption, index);
+    }
+    return (
+      <div
+        key={index}
+        data-caption-index={index}
+        onClick={() => seekToCaption(index)}
+        style={{
+          display: 'flex',
+          gap: '16px',
+          padding: '12px 16px',
+          borderRadius: '10px',
+          backgroundColor: active ? '#eef2ff' : 'white',
+          border: active ? '1px solid #667eea' : '1px solid #e5e7eb',
+          boxShadow: active ? 'inset 4px 0 0 #667eea' : 'none',
+          transition: 'all 0.2s',
+          cursor: 'pointer'
+        }}
+        onMouseEnter={(e) => {
+          e.currentTarget.style.backgroundColor = '#f0f4ff';
+          e.currentTarget.style.borderColor = '#667eea';
+          e.currentTarget.style.transform = 'translateX(4px)';
+        }}
+        onMouseLeave={(e) => {
+          e.currentTarget.style.backgroundColor = active ? '#eef2ff' : 'white';
+          e.currentTarget.style.borderColor = active ? '#667eea' : '#e5e7eb';
+          e.currentTarget.style.transform = 'translateX(0)';
+        }}
+      >
+        <div style={{ flexShrink: 0 }}>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              seekToCaption(index);
+            }}
+            title={videoId ? 'Play from here' : undefined}
+            style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              padding: '6px 12px',
+              fontSize: '0.875rem',
+              fontFamily: 'monospace',
+              fontWeight: '600',
+              color: active ? 'white' : '#667eea',
+              backgroundColor: active ? '#667eea' : '#e0e7ff',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer'
+            }}
+          >
+            {caption.timestamp}
+          </button>
+        </div>
+        <div style={{ flex: 1 }}>
+          {turnStart && (
+            <div style={{
+              marginBottom: '4px',
+              fontSize: '0.8rem',
+              fontWeight: '700',
+              color: speakerColor(caption.speakerId)
+            }}>
+              {caption.speaker}
+            </div>
+          )}
+          <p style={{
+            color: '#374151',
+            lineHeight: '1.6',
+            margin: 0,
+            fontSize: '1rem'
+          }}>
+            {variant === 'original' ? caption.text : (caption.translatedText || caption.text)}
+          </p>
+          {/* Original line under the translation for bilingual captions */}
+          {secondaryText && (
+            <p style={{
+              color: '#9ca3af',
+              lineHeight: '1.5',
+              margin: '4px 0 0',
+              fontSize: '0.875rem',
+              fontStyle: 'italic'
+            }}>
+              {secondaryText}
+            </p>
+          )}
+        </div>
+        {onEditCaption && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              startEditing(caption, index, variant);
+            }}
+            title="Edit segment"
+            style={{
+              alignSelf: 'flex-start',
+              display: 'flex',
+              padding: '6px',
+              color: '#9ca3af',
+              backgroundColor: 'transparent',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer'
+            }}
+          >
+            <Pencil size={16} />
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const editorInputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '8px 10px',
+    fontSize: '0.95rem',
+    fontFamily: 'inherit',
+    lineHeight: '1.5',
+    border: '2px solid #e5e7eb',
+    borderRadius: '8px',
+    outline: 'none'
+  };
+
+  // Inline editor - texts by layout (a column edits its own language) and the segment's times
+  const renderEditor = (caption, index) => {
+    const fields = [];
+    if (editing.variant !== 'original' && caption.translatedText) {
+      fields.push({ field: 'translatedText', label: 'Translation' });
+    }
+    if (editing.variant !== 'translation') {
+      fields.push({ field: 'text', label: caption.translatedText ? 'Original' : 'Text' });
+    }
+
+    return (
+      <div
+        key={index}
+        data-caption-index={index}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setEditing(null);
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) saveEdit();
+        }}
+        style={{
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '10px',
+          padding: '12px 16px',
+          borderRadius: '10px',
+          backgroundColor: 'white',
+          border: '1px solid #667eea',
+          boxShadow: '0 4px 12px rgba(102, 126, 234, 0.15)'
+        }}
+      >
+        {fields.map(({ field, label }, fieldIndex) => (
+          <label key={field} style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', fontWeight: '600', color: '#6b7280' }}>
+            {fields.length > 1 && label}
+            <textarea
+              value={editing[field]}
+              onChange={(e) => setEditing({ ...editing, [field]: e.target.value, error: '' })}
+              autoFocus={fieldIndex === 0}
+              rows={2}
+              style={{ ...editorInputStyle, resize: 'vertical', fontWeight: 'normal', color: '#374151' }}
+            />
+          </label>
+        ))}
+        <div style={{ display: 'flex', alignItems: 'flex-end', flexWrap: 'wrap', gap: '10px' }}>
+          {[{ field: 'start', label: 'Start' }, { field: 'end', label: 'End' }].map(({ field, label }) => (
+            <label key={field} style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', fontWeight: '600', color: '#6b7280' }}>
+              {label}
+              <input
+                type="text"
+                value={editing[field]}
+                onChange={(e) => setEditing({ ...editing, [field]: e.target.value, error: '' })}
+                placeholder="00:00:00.000"
+                style={{ ...editorInputStyle, width: '140px', fontFamily: 'monospace', color: '#374151' }}
+              />
+            </label>
+          ))}
+          <div style={{ display: 'flex', gap: '8px', marginLeft: 'auto' }}>
+            <button
+              onClick={() => setEditing(null)}
+              style={{
+                padding: '8px 14px',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                color: '#374151',
+                backgroundColor: '#f3f4f6',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={saveEdit}
+              style={{
+                padding: '8px 14px',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                color: 'white',
+                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+        {editing.error && (
+          <div style={{ fontSize: '0.8rem', color: '#dc2626' }}>{editing.error}</div>
+        )}
+      </div>
+    );
+  };
+
+  const renderCaptionList = (variant) => (chapterGroups.length > 0 ? (
+    /* Captions grouped by chapter */
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+      {chapterGroups.map(({ chapter, captions: chapterCaptions }) => {
+        const collapsed = collapsedChapters.has(chapterKey(chapter));
+        return (
+          <div key={chapter.startTime}>
+            <button
+              onClick={() => toggleChapter(chapter)}
+              style={{
+                width: '100%',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '10px',
+                padding: '10px 14px',
+                marginBottom: collapsed ? 0 : '12px',
+                fontSize: '1rem',
+                fontWeight: '700',
+                color: '#333',
+                backgroundColor: '#eef2ff',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: 'pointer',
+                textAlign: 'left'
+              }}
+            >
+              {collapsed ? <ChevronRight size={18} style={{ color: '#667eea' }} /> : <ChevronDown size={18} style={{ color: '#667eea' }} />}
+              <span style={{ fontFamily: 'monospace', color: '#667eea' }}>{chapter.timestamp}</span>
+              <span style={{ flex: 1 }}>{chapter.title}</span>
+              <span style={{ fontSize: '0.8rem', fontWeight: '600', color: '#6b7280' }}>
+                {chapterCaptions.length} segments
+              </span>
+            </button>
+            {!collapsed && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', paddingLeft: '12px' }}>
+                {chapterCaptions.map(caption => renderCaption(caption, variant))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  ) : (
+    /* Captions with Timestamps */
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      {captions.map(caption => renderCaption(caption, variant))}
+    </div>
+  ));
+
+  const renderFullText = (text) => (
+    <div style={{
+      padding: '20px',
+      backgroundColor: 'white',
+      borderRadius: '10px',
+      border: '1px solid #e5e7eb'
+    }}>
+      <p style={{
+        color: '#374151',
+        lineHeight: '1.8',
+        whiteSpace: 'pre-wrap',
+        margin: 0,
+        fontSize: '1rem'
+      }}>
+        {text}
+      </p>
+    </div>
+  );
+
   return (
     <div style={{
       width: '100%',
@@ -58,6 +560,60 @@ export default function CaptionViewer({ captions, fullText }) {
         </div>
 
         <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          {/* Topic detection for videos without chapters */}
+          {chapters.length === 0 && onDetectChapters && (
+            <button
+              onClick={onDetectChapters}
+              disabled={detectingChapters}
+              title="Split the transcript into chapters by topic"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '8px 16px',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                color: 'white',
+                backgroundColor: 'rgba(255, 255, 255, 0.2)',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: detectingChapters ? 'wait' : 'pointer'
+              }}
+            >
+              {detectingChapters
+                ? <Loader2 style={{ width: '16px', height: '16px', animation: 'spin 1s linear infinite' }} />
+                : <ListOrdered style={{ width: '16px', height: '16px' }} />}
+              {detectingChapters ? 'Detecting topics...' : 'Detect topics'}
+            </button>
+          )}
+
+          {/* Speaker detection for interviews and podcasts */}
+          {!speakers?.length && onDetectSpeakers && (
+            <button
+              onClick={onDetectSpeakers}
+              disabled={detectingSpeakers}
+              title="Label who speaks in each segment"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '8px 16px',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                color: 'white',
+                backgroundColor: 'rgba(255, 255, 255, 0.2)',
+                border: 'none',
+                borderRadius: '10px',
+                cursor: detectingSpeakers ? 'wait' : 'pointer'
+              }}
+            >
+              {detectingSpeakers
+                ? <Loader2 style={{ width: '16px', height: '16px', animation: 'spin 1s linear infinite' }} />
+                : <Users style={{ width: '16px', height: '16px' }} />}
+              {detectingSpeakers ? 'Detecting speakers...' : 'Detect speakers'}
+            </button>
+          )}
+
           {/* View Mode Toggle */}
           <div style={{
             display: 'flex',
@@ -111,10 +667,7 @@ export default function CaptionViewer({ captions, fullText }) {
 
           {/* Copy Button */}
           <button
-            onClick={() => handleCopy(viewMode === 'captions' 
-              ? captions.map(c => `[${c.timestamp}] ${c.text}`).join('\n')
-              : fullText
-            )}
+            onClick={() => handleCopy(viewMode === 'captions' ? captionsCopyText : fullTextCopyText)}
             style={{
               display: 'flex',
               alignItems: 'center',
@@ -145,88 +698,245 @@ export default function CaptionViewer({ captions, fullText }) {
         </div>
       </div>
 
+      {chapterError && (
+        <div style={{ padding: '10px 24px', fontSize: '0.875rem', color: '#dc2626', backgroundColor: '#fef2f2' }}>
+          {chapterError}
+        </div>
+      )}
+
+      {speakerError && (
+        <div style={{ padding: '10px 24px', fontSize: '0.875rem', color: '#dc2626', backgroundColor: '#fef2f2' }}>
+          {speakerError}
+        </div>
+      )}
+
+      {/* Embedded player - timestamps seek it and the playing segment is highlighted */}
+      {videoId && (
+        <div style={{ padding: '24px 24px 0', backgroundColor: '#fafafa' }}>
+          <VideoPlayer
+            videoId={videoId}
+            onReady={(player) => { playerRef.current = player; }}
+            onTimeUpdate={handleTimeUpdate}
+          />
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '12px',
+            marginTop: '12px',
+            fontSize: '0.875rem',
+            color: '#6b7280'
+          }}>
+            <span>Click a timestamp to play the video from there</span>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '600', color: '#374151', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={followAlong}
+                onChange={(e) => setFollowAlong(e.target.checked)}
+                style={{ accentColor: '#667eea', cursor: 'pointer' }}
+              />
+              <LocateFixed size={16} style={{ color: '#667eea' }} />
+              Follow along
+            </label>
+          </div>
+        </div>
+      )}
+
+      {/* Original / translation layout */}
+      {bilingual && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: '8px',
+          padding: '16px 24px 0',
+          backgroundColor: '#fafafa'
+        }}>
+          <Languages size={16} style={{ color: '#667eea' }} />
+          {LANGUAGE_LAYOUTS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setLanguageLayout(option.id)}
+              style={{
+                padding: '6px 14px',
+                fontSize: '0.8rem',
+                fontWeight: '600',
+                borderRadius: '999px',
+                border: languageLayout === option.id ? '1px solid #667eea' : '1px solid #e5e7eb',
+                backgroundColor: languageLayout === option.id ? '#667eea' : 'white',
+                color: languageLayout === option.id ? 'white' : '#374151',
+                cursor: 'pointer'
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Speakers - click a name to rename it everywhere, exports included */}
+      {speakers?.length > 0 && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: '8px',
+          padding: '16px 24px 0',
+          backgroundColor: '#fafafa'
+        }}>
+          <Users size={16} style={{ color: '#667eea' }} />
+          {speakers.map(speaker => (renaming?.id === speaker.id ? (
+            <input
+              key={speaker.id}
+              type="text"
+              value={renaming.name}
+              onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+              onBlur={saveSpeakerName}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') saveSpeakerName();
+                if (e.key === 'Escape') setRenaming(null);
+              }}
+              autoFocus
+              maxLength={60}
+              style={{
+                width: '160px',
+                padding: '5px 12px',
+                fontSize: '0.8rem',
+                border: `2px solid ${speakerColor(speaker.id)}`,
+                borderRadius: '999px',
+                outline: 'none'
+              }}
+            />
+          ) : (
+            <button
+              key={speaker.id}
+              onClick={() => onRenameSpeaker && setRenaming({ id: speaker.id, name: speaker.name })}
+              title={onRenameSpeaker ? 'Rename speaker' : undefined}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '6px 14px',
+                fontSize: '0.8rem',
+                fontWeight: '600',
+                color: '#374151',
+                backgroundColor: 'white',
+                border: `1px solid ${speakerColor(speaker.id)}`,
+                borderRadius: '999px',
+                cursor: onRenameSpeaker ? 'pointer' : 'default'
+              }}
+            >
+              <span style={{ width: '8px', height: '8px', borderRadius: '50%', backgroundColor: speakerColor(speaker.id) }} />
+              {speaker.name}
+            </button>
+          )))}
+        </div>
+      )}
+
+      {/* Corrections */}
+      {onEditCaption && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: '8px',
+          padding: '16px 24px 0',
+          fontSize: '0.8rem',
+          color: '#6b7280',
+          backgroundColor: '#fafafa'
+        }}>
+          {[
+            { label: 'Undo', icon: <Undo2 size={14} />, onClick: onUndoEdit },
+            { label: 'Redo', icon: <Redo2 size={14} />, onClick: onRedoEdit }
+          ].map(({ label, icon, onClick }) => (
+            <button
+              key={label}
+              onClick={onClick || undefined}
+              disabled={!onClick}
+              title={`${label} the last edit`}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '6px 12px',
+                fontSize: '0.8rem',
+                fontWeight: '600',
+                color: '#374151',
+                backgroundColor: 'white',
+                border: '1px solid #e5e7eb',
+                borderRadius: '999px',
+                cursor: onClick ? 'pointer' : 'not-allowed',
+                opacity: onClick ? 1 : 0.5
+              }}
+            >
+              {icon}
+              {label}
+            </button>
+          ))}
+          <span style={{ fontWeight: '600' }}>
+            {editedCount > 0
+              ? `✏️ ${editedCount} edited segment${editedCount === 1 ? '' : 's'}`
+              : 'Click the pencil on a segment to correct it'}
+          </span>
+          {correctionsStatus && (
+            <span style={{ color: correctionsStatus === 'saved' ? '#10b981' : correctionsStatus === 'saving' ? '#6b7280' : '#b45309' }}>
+              {correctionsStatus === 'saving' ? 'Saving...' : correctionsStatus === 'saved' ? 'Corrections saved' : correctionsStatus}
+            </span>
+          )}
+        </div>
+      )}
+
       {/* Content */}
-      <div style={{
-        padding: '24px',
-        maxHeight: '600px',
-        overflowY: 'auto',
-        backgroundColor: '#fafafa'
-      }}>
-        {viewMode === 'captions' ? (
-          /* Captions with Timestamps */
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-            {captions.map((caption, index) => (
+      {layout === 'parallel' ? (
+        /* Original and translation in columns that scroll together */
+        <div ref={contentRef} style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
+          gap: '16px',
+          padding: '24px',
+          backgroundColor: '#fafafa'
+        }}>
+          {[
+            { title: 'Original', variant: 'original', ref: originalColumnRef, other: translationColumnRef, text: originalFullText },
+            { title: 'Translation', variant: 'translation', ref: translationColumnRef, other: originalColumnRef, text: fullText }
+          ].map(column => (
+            <div key={column.variant} style={{ minWidth: 0 }}>
+              <div style={{
+                marginBottom: '10px',
+                fontSize: '0.8rem',
+                fontWeight: '700',
+                color: '#6b7280',
+                textTransform: 'uppercase',
+                letterSpacing: '0.05em'
+              }}>
+                {column.title}
+              </div>
               <div
-                key={index}
-                style={{
-                  display: 'flex',
-                  gap: '16px',
-                  padding: '12px 16px',
-                  borderRadius: '10px',
-                  backgroundColor: 'white',
-                  border: '1px solid #e5e7eb',
-                  transition: 'all 0.2s',
-                  cursor: 'pointer'
-                }}
-                onMouseEnter={(e) => {
-                  e.currentTarget.style.backgroundColor = '#f0f4ff';
-                  e.currentTarget.style.borderColor = '#667eea';
-                  e.currentTarget.style.transform = 'translateX(4px)';
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.backgroundColor = 'white';
-                  e.currentTarget.style.borderColor = '#e5e7eb';
-                  e.currentTarget.style.transform = 'translateX(0)';
-                }}
+                ref={column.ref}
+                onScroll={() => syncColumnScroll(column.ref.current, column.other.current)}
+                style={{ position: 'relative', maxHeight: '560px', overflowY: 'auto', paddingRight: '4px' }}
               >
-                <div style={{ flexShrink: 0 }}>
-                  <span style={{
-                    display: 'inline-flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    padding: '6px 12px',
-                    fontSize: '0.875rem',
-                    fontFamily: 'monospace',
-                    fontWeight: '600',
-                    color: '#667eea',
-                    backgroundColor: '#e0e7ff',
-                    borderRadius: '8px'
-                  }}>
-                    {caption.timestamp}
-                  </span>
-                </div>
-                <p style={{
-                  flex: 1,
-                  color: '#374151',
-                  lineHeight: '1.6',
-                  margin: 0,
-                  fontSize: '1rem'
-                }}>
-                  {caption.text}
-                </p>
+                {viewMode === 'captions' ? renderCaptionList(column.variant) : renderFullText(column.text)}
               </div>
-            ))}
-          </div>
-        ) : (
-          /* Full Text */
-          <div style={{
-            padding: '20px',
-            backgroundColor: 'white',
-            borderRadius: '10px',
-            border: '1px solid #e5e7eb'
-          }}>
-            <p style={{
-              color: '#374151',
-              lineHeight: '1.8',
-              whiteSpace: 'pre-wrap',
-              margin: 0,
-              fontSize: '1rem'
-            }}>
-              {fullText}
-            </p>
-          </div>
-        )}
-      </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div ref={contentRef} style={{
+          position: 'relative',
+          padding: '24px',
+          maxHeight: '600px',
+          overflowY: 'auto',
+          backgroundColor: '#fafafa'
+        }}>
+          {viewMode === 'captions' ? renderCaptionList(layout) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+              {renderFullText(layout === 'original' ? originalFullText : fullText)}
+              {layout === 'interleaved' && originalFullText && renderFullText(originalFullText)}
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Footer Stats */}
       <div style={{
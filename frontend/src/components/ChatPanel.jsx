@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MessageCircle, Send, Loader2, AlertCircle, XCircle, RotateCcw } from 'lucide-react';
+import { authHeaders } from '../auth';
+import { readEventStream } from '../eventStream';
+import TimestampedText from './TimestampedText';
+
+const SUGGESTED_QUESTIONS = [
+  'What is this video about?',
+  'What are the main arguments?',
+  'Which examples are given?'
+];
+
+// Questions about the loaded video, answered from its transcript with links to the cited moments
+// Mount with a key per result - the conversation belongs to one transcript
+export default function ChatPanel({ result }) {
+  const [messages, setMessages] = useState([]); // {role, content}
+  const [question, setQuestion] = useState('');
+  const [streamingAnswer, setStreamingAnswer] = useState(null); // Answer text received so far, null when idle
+  const [chatError, setChatError] = useState('');
+  const abortControllerRef = useRef(null);
+  const messagesEndRef = useRef(null);
+
+  const answering = streamingAnswer !== null;
+
+  // Stop a running answer when the panel goes away
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages, streamingAnswer]);
+
+  const askQuestion = async (text) => {
+    const content = text.trim();
+    if (!content || answering) return;
+
+    const conversation = [...messages, { role: 'user', content }];
+    setMessages(conversation);
+    setQuestion('');
+    setChatError('');
+    setStreamingAnswer('');
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    try {
+      const API_URL = import.meta.env.VITE_API_URL || '/api';
+      const response = await fetch(`${API_URL}/chat`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        signal: abortController.signal,
+        body: JSON.stringify({
+          videoId: result.videoId,
+          targetLanguage: result.mode === 'translate' ? result.targetLanguage : undefined,
+          messages: conversation.map(message => ({ role: message.role, content: message.content }))
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to answer the question');
+      }
+
+      const data = await readEventStream(response, {
+        onDelta: (delta) => setStreamingAnswer(current => (current || '') + delta)
+      });
+      setMessages(current => [...current, { role: 'assistant', content: data.answer, citations: data.citations }]);
+    } catch (err) {
+      if (abortController.signal.aborted) return;
+      console.error('Chat error:', err);
+      setChatError(err.message || 'Failed to answer the question. Please try again.');
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        setStreamingAnswer(null);
+      }
+    }
+  };
+
+  // Closing the stream makes the server abort the upstream AI request
+  const cancelAnswer = () => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = null;
+    setStreamingAnswer(null);
+  };
+
+  const clearConversation = () => {
+    cancelAnswer();
+    setMessages([]);
+    setChatError('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    askQuestion(question);
+  };
+
+  const bubbleStyle = (role) => ({
+    alignSelf: role === 'user' ? 'flex-end' : 'flex-start',
+    maxWidth: '90%',
+    padding: '10px 14px',
+    borderRadius: role === 'user' ? '14px 14px 4px 14px' : '14px 14px 14px 4px',
+    backgroundColor: role === 'user' ? '#667eea' : '#f3f4f6',
+    color: role === 'user' ? 'white' : '#333',
+    fontSize: '0.9rem',
+    lineHeight: '1.6',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word'
+  });
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      height: '640px',
+      margin: '24px 0 0',
+      backgroundColor: 'white',
+      border: '2px solid #e5e7eb',
+      borderRadius: '16px',
+      boxShadow: '0 10px 30px rgba(0, 0, 0, 0.1)',
+      overflow: 'hidden'
+    }}>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        padding: '20px 24px',
+        borderBottom: '2px solid #e5e7eb',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <MessageCircle style={{ width: '24px', height: '24px', color: 'white' }} />
+          <h3 style={{ fontSize: '1.25rem', fontWeight: '700', color: 'white', margin: 0 }}>
+            Ask the Video
+          </h3>
+        </div>
+        {messages.length > 0 && (
+          <button
+            onClick={clearConversation}
+            title="Start a new conversation"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              padding: '6px 12px',
+              fontSize: '0.8rem',
+              fontWeight: '600',
+              color: 'white',
+              backgroundColor: 'rgba(255, 255, 255, 0.2)',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: 'pointer'
+            }}
+          >
+            <RotateCcw size={14} />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {/* Conversation */}
+      <div style={{ flex: 1, overflowY: 'auto', padding: '20px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+        {messages.length === 0 && !answering && (
+          <div style={{ color: '#6b7280', fontSize: '0.9rem', lineHeight: '1.6' }}>
+            <p style={{ margin: '0 0 12px' }}>
+              Ask anything about this video. Answers are based on the transcript and link to the moments they come from.
+            </p>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {SUGGESTED_QUESTIONS.map(suggestion => (
+                <button
+                  key={suggestion}
+                  onClick={() => askQuestion(suggestion)}
+                  style={{
+                    padding: '8px 12px',
+                    fontSize: '0.85rem',
+                    color: '#667eea',
+                    backgroundColor: '#eef2ff',
+                    border: 'none',
+                    borderRadius: '10px',
+                    cursor: 'pointer',
+                    textAlign: 'left'
+                  }}
+                >
+                  {suggestion}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {messages.map((message, index) => (
+          <div key={index} style={bubbleStyle(message.role)}>
+            {message.role === 'assistant'
+              ? <TimestampedText text={message.content} videoId={result.videoId} />
+              : message.content}
+          </div>
+        ))}
+
+        {answering && (
+          <div style={bubbleStyle('assistant')}>
+            {streamingAnswer ? (
+              <>
+                <TimestampedText text={streamingAnswer} videoId={result.videoId} />
+                <span style={{ color: '#667eea' }}>▍</span>
+              </>
+            ) : (
+              <span style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#6b7280' }}>
+                <Loader2 size={16} style={{ animation: 'spin 1s linear infinite' }} />
+                Searching the transcript...
+              </span>
+            )}
+          </div>
+        )}
+
+        {chatError && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: '10px 14px',
+            backgroundColor: '#fef2f2',
+            border: '1px solid #fecaca',
+            borderRadius: '10px',
+            color: '#991b1b',
+            fontSize: '0.875rem'
+          }}>
+            <AlertCircle size={16} style={{ flexShrink: 0 }} />
+            {chatError}
+          </div>
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {/* Question input */}
+      <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '8px', padding: '16px', borderTop: '2px solid #e5e7eb' }}>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="Ask a question about this video..."
+          maxLength={2000}
+          style={{
+            flex: 1,
+            minWidth: 0,
+            padding: '10px 14px',
+            fontSize: '0.9rem',
+            border: '2px solid #e5e7eb',
+            borderRadius: '10px',
+            outline: 'none'
+          }}
+        />
+        {answering ? (
+          <button
+            type="button"
+            onClick={cancelAnswer}
+            title="Stop answering"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              padding: '10px 14px',
+              color: '#dc2626',
+              backgroundColor: '#fef2f2',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: 'pointer'
+            }}
+          >
+            <XCircle size={18} />
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={!question.trim()}
+            title="Ask"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              padding: '10px 14px',
+              color: 'white',
+              background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+              border: 'none',
+              borderRadius: '10px',
+              cursor: question.trim() ? 'pointer' : 'not-allowed',
+              opacity: question.trim() ? 1 : 0.5
+            }}
+          >
+            <Send size={18} />
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { History, Search, Trash2, FolderOpen, Loader2, Cloud, Sparkles } from 'lucide-react';
+import { SUPPORTED_LANGUAGES } from '../languages';
+import { listHistoryEntries, deleteHistoryEntry, syncHistoryWithAccount } from '../historyStore';
+
+const languageName = (language) =>
+  SUPPORTED_LANGUAGES.find(l => l.code === language || l.name === language)?.name || language;
+
+// Library of completed transcripts stored in this browser (synced when signed in)
+export default function HistoryPanel({ user, onOpen }) {
+  const [entries, setEntries] = useState(null);
+  const [query, setQuery] = useState('');
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const localEntries = await listHistoryEntries();
+        if (cancelled) return;
+        setEntries(localEntries);
+
+        if (user) {
+          setSyncing(true);
+          const synced = await syncHistoryWithAccount();
+          if (!cancelled) setEntries(synced);
+        }
+      } catch (err) {
+        console.error('History error:', err);
+        if (!cancelled) setError(err.message || 'Failed to load history');
+      } finally {
+        if (!cancelled) setSyncing(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [user]);
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete "${entry.title || entry.videoId}" from your history?`)) return;
+    try {
+      await deleteHistoryEntry(entry.id);
+      setEntries(current => current.filter(e => e.id !== entry.id));
+    } catch (err) {
+      console.error('History delete error:', err);
+      setError(err.message || 'Failed to delete entry');
+    }
+  };
+
+  const search = query.trim().toLowerCase();
+  const visibleEntries = (entries || []).filter(entry => !search ||
+    (entry.title || '').toLowerCase().includes(search) ||
+    entry.videoId.toLowerCase().includes(search) ||
+    (entry.result?.text || '').toLowerCase().includes(search));
+
+  return (
+    <div style={{
+      backgroundColor: 'white',
+      borderRadius: '20px',
+      boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+      padding: '32px'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '20px' }}>
+        <History size={28} style={{ color: '#667eea' }} />
+        <h2 style={{ margin: 0, color: '#333', flex: 1 }}>Transcript history</h2>
+        {user && (
+          <span style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.875rem', color: '#6b7280' }}>
+            {syncing ? <Loader2 size={16} style={{ animation: 'spin 1s linear infinite' }} /> : <Cloud size={16} />}
+            {syncing ? 'Syncing...' : 'Synced with your account'}
+          </span>
+        )}
+      </div>
+
+      <div style={{ position: 'relative', marginBottom: '20px' }}>
+        <Search size={18} style={{ position: 'absolute', left: '14px', top: '50%', transform: 'translateY(-50%)', color: '#9ca3af' }} />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search titles and transcripts..."
+          style={{
+            width: '100%',
+            padding: '12px 16px 12px 42px',
+            fontSize: '1rem',
+            border: '2px solid #e0e0e0',
+            borderRadius: '10px',
+            outline: 'none',
+            boxSizing: 'border-box'
+          }}
+        />
+      </div>
+
+      {error && (
+        <div style={{ marginBottom: '16px', fontSize: '0.875rem', color: '#dc2626' }}>{error}</div>
+      )}
+
+      {entries === null ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#9ca3af' }}>
+          <Loader2 size={24} style={{ animation: 'spin 1s linear infinite' }} />
+        </div>
+      ) : visibleEntries.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px', color: '#6b7280' }}>
+          {entries.length === 0
+            ? 'No transcripts yet. Completed transcripts and translations will appear here.'
+            : 'No transcripts match your search.'}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+          {visibleEntries.map(entry => (
+            <div
+              key={entry.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '14px',
+                padding: '12px',
+                border: '1px solid #e5e7eb',
+                borderRadius: '12px'
+              }}
+            >
+              <img
+                src={`https://i.ytimg.com/vi/${entry.videoId}/mqdefault.jpg`}
+                alt=""
+                style={{ width: '96px', height: '54px', objectFit: 'cover', borderRadius: '6px', flexShrink: 0 }}
+              />
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: '600', color: '#333', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {entry.title || entry.videoId}
+                </div>
+                <div style={{ fontSize: '0.8rem', color: '#6b7280', display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+                  <span>{entry.mode === 'translate' ? `Translated to ${languageName(entry.targetLanguage)}` : 'Transcript'}</span>
+                  <span>·</span>
+                  <span>{new Date(entry.updatedAt).toLocaleString()}</span>
+                  {entry.summary && (
+                    <span style={{ display: 'inline-flex', alignItems: 'center', gap: '3px', color: '#764ba2' }}>
+                      <Sparkles size={12} /> Summary
+                    </span>
+                  )}
+                </div>
+              </div>
+              <button
+                onClick={() => onOpen(entry)}
+                title="Open"
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  padding: '8px 14px',
+                  fontSize: '0.875rem',
+                  fontWeight: '600',
+                  color: '#667eea',
+                  backgroundColor: '#eef2ff',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: 'pointer'
+                }}
+              >
+                <FolderOpen size={16} />
+                Open
+              </button>
+              <button
+                onClick={() => handleDelete(entry)}
+                title="Delete"
+                style={{
+                  padding: '8px',
+                  color: '#dc2626',
+                  backgroundColor: '#fef2f2',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  display: 'flex'
+                }}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import React from 'react';
+import { Square, HelpCircle } from 'lucide-react';
+import TimestampedText from './TimestampedText';
+import { stripTimestampMarkers } from '../summaryLinks';
+
+const sectionTitle = {
+  fontSize: '0.8rem',
+  fontWeight: '700',
+  color: '#92400e',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  margin: '0 0 8px'
+};
+
+const list = { margin: 0, paddingLeft: '20px', display: 'flex', flexDirection: 'column', gap: '6px' };
+
+function Section({ title, children }) {
+  return (
+    <div style={{ marginBottom: '18px' }}>
+      <h5 style={sectionTitle}>{title}</h5>
+      {children}
+    </div>
+  );
+}
+
+function BulletList({ items, videoId }) {
+  return (
+    <ul style={list}>
+      {items.map((item, index) => <li key={index}><TimestampedText text={item} videoId={videoId} /></li>)}
+    </ul>
+  );
+}
+
+// Renders the JSON of a structured summary style (key takeaways, outline, tweet thread...)
+// Source markers in the strings become links into the video
+export default function StructuredSummary({ style, data, videoId }) {
+  const text = (value) => <TimestampedText text={value} videoId={videoId} />;
+
+  switch (style) {
+    case 'takeaways':
+      return (
+        <ol style={{ ...list, gap: '10px' }}>
+          {data.takeaways.map((item, index) => (
+            <li key={index}>
+              <strong>{text(item.point)}</strong>
+              {item.detail && <div style={{ color: '#4b5563' }}>{text(item.detail)}</div>}
+            </li>
+          ))}
+        </ol>
+      );
+
+    case 'action-items':
+      if (data.actionItems.length === 0) {
+        return <div style={{ color: '#6b7280' }}>No action items were found in this transcript.</div>;
+      }
+      return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+          {data.actionItems.map((item, index) => (
+            <div key={index} style={{ display: 'flex', gap: '10px', alignItems: 'flex-start' }}>
+              <Square size={18} style={{ color: '#d97706', flexShrink: 0, marginTop: '4px' }} />
+              <div>
+                <div style={{ fontWeight: '600' }}>
+                  {text(item.task)}
+                  {item.owner && <span style={{ fontWeight: '400', color: '#6b7280' }}> · {item.owner}</span>}
+                </div>
+                {item.context && <div style={{ color: '#4b5563', fontSize: '0.9rem' }}>{text(item.context)}</div>}
+              </div>
+            </div>
+          ))}
+        </div>
+      );
+
+    case 'outline':
+      return (
+        <ol style={{ ...list, gap: '12px' }}>
+          {data.outline.map((section, index) => (
+            <li key={index}>
+              <strong>{text(section.heading)}</strong>
+              {section.points.length > 0 && <BulletList items={section.points} videoId={videoId} />}
+              {section.subsections.length > 0 && (
+                <ol style={{ ...list, marginTop: '6px' }}>
+                  {section.subsections.map((sub, subIndex) => (
+                    <li key={subIndex}>
+                      <span style={{ fontWeight: '600' }}>{text(sub.heading)}</span>
+                      {sub.points.length > 0 && <BulletList items={sub.points} videoId={videoId} />}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </li>
+          ))}
+        </ol>
+      );
+
+    case 'study-notes':
+      return (
+        <div>
+          {data.overview && <Section title="Overview"><div>{text(data.overview)}</div></Section>}
+          {data.concepts.length > 0 && (
+            <Section title="Key concepts">
+              <dl style={{ margin: 0 }}>
+                {data.concepts.map((concept, index) => (
+                  <div key={index} style={{ marginBottom: '8px' }}>
+                    <dt style={{ fontWeight: '700' }}>{text(concept.term)}</dt>
+                    <dd style={{ margin: '2px 0 0 16px', color: '#4b5563' }}>{text(concept.definition)}</dd>
+                  </div>
+                ))}
+              </dl>
+            </Section>
+          )}
+          {data.notes.length > 0 && <Section title="Notes"><BulletList items={data.notes} videoId={videoId} /></Section>}
+          {data.reviewQuestions.length > 0 && (
+            <Section title="Review questions">
+              {data.reviewQuestions.map((question, index) => (
+                <div key={index} style={{ display: 'flex', gap: '8px', alignItems: 'flex-start', marginBottom: '6px' }}>
+                  <HelpCircle size={16} style={{ color: '#d97706', flexShrink: 0, marginTop: '5px' }} />
+                  <div>{text(question)}</div>
+                </div>
+              ))}
+            </Section>
+          )}
+        </div>
+      );
+
+    case 'tweet-thread':
+      return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+          {data.tweets.map((tweet, index) => (
+            <div
+              key={index}
+              style={{
+                padding: '12px 14px',
+                backgroundColor: 'white',
+                border: '1px solid #e5e7eb',
+                borderRadius: '12px'
+              }}
+            >
+              <div style={{ fontSize: '0.75rem', fontWeight: '600', color: '#9ca3af', marginBottom: '4px' }}>
+                {index + 1}/{data.tweets.length} · {stripTimestampMarkers(tweet).length} characters
+              </div>
+              {text(tweet)}
+            </div>
+          ))}
+        </div>
+      );
+
+    case 'executive-brief':
+      return (
+        <div>
+          {data.bottomLine && (
+            <Section title="Bottom line">
+              <div style={{ fontWeight: '600', fontSize: '1.05rem' }}>{text(data.bottomLine)}</div>
+            </Section>
+          )}
+          {data.keyPoints.length > 0 && <Section title="Key points"><BulletList items={data.keyPoints} videoId={videoId} /></Section>}
+          {data.risks.length > 0 && <Section title="Risks & open questions"><BulletList items={data.risks} videoId={videoId} /></Section>}
+          {data.recommendations.length > 0 && <Section title="Recommendations"><BulletList items={data.recommendations} videoId={videoId} /></Section>}
+        </div>
+      );
+
+    default:
+      return null;
+  }
+}
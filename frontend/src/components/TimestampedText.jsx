@@ -0,0 +1,33 @@
+import React from 'react';
+import { formatDuration, getVideoUrl } from '../videoMetadata';
+import { splitTimestampMarkers } from '../summaryLinks';
+
+// Summary text with its [t=SECONDS] source markers shown as links to that moment of the video
+export default function TimestampedText({ text, videoId }) {
+  return splitTimestampMarkers(text).map((part, index) => (part.startTime === undefined ? (
+    <React.Fragment key={index}>{part.text}</React.Fragment>
+  ) : (
+    <a
+      key={index}
+      href={getVideoUrl(videoId, part.startTime)}
+      target="_blank"
+      rel="noopener noreferrer"
+      title="Watch this part of the video"
+      style={{
+        display: 'inline-block',
+        margin: '0 2px',
+        padding: '0 6px',
+        fontSize: '0.8em',
+        fontFamily: 'monospace',
+        fontWeight: '600',
+        color: '#667eea',
+        backgroundColor: '#e0e7ff',
+        borderRadius: '6px',
+        textDecoration: 'none',
+        lineHeight: '1.6'
+      }}
+    >
+      {formatDuration(part.startTime)}
+    </a>
+  )));
+}
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Clock, Calendar, User, ListOrdered, ChevronDown, ChevronUp } from 'lucide-react';
+import { formatDuration, formatPublishDate, getVideoTitle, getVideoUrl } from '../videoMetadata';
+
+// Title, channel, thumbnail, description and chapters above a result
+export default function VideoHeader({ result }) {
+  const [showDescription, setShowDescription] = useState(false);
+  const video = result.video || {};
+  const chapters = video.chapters || [];
+
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start', flexWrap: 'wrap' }}>
+        <a href={getVideoUrl(result.videoId)} target="_blank" rel="noopener noreferrer" style={{ flexShrink: 0 }}>
+          <img
+            src={video.thumbnailUrl || `https://i.ytimg.com/vi/${result.videoId}/hqdefault.jpg`}
+            alt=""
+            style={{ width: '240px', maxWidth: '100%', aspectRatio: '16 / 9', objectFit: 'cover', borderRadius: '12px' }}
+          />
+        </a>
+        <div style={{ flex: 1, minWidth: '240px' }}>
+          <h2 style={{ margin: '0 0 10px', fontSize: '1.4rem', color: '#333', lineHeight: 1.3 }}>
+            <a
+              href={getVideoUrl(result.videoId)}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={{ color: 'inherit', textDecoration: 'none' }}
+            >
+              {getVideoTitle(result)}
+            </a>
+          </h2>
+          <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', fontSize: '0.875rem', color: '#6b7280' }}>
+            {video.channel && (
+              <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <User size={16} />
+                {video.channelUrl ? (
+                  <a href={video.channelUrl} target="_blank" rel="noopener noreferrer" style={{ color: '#667eea', textDecoration: 'none' }}>
+                    {video.channel}
+                  </a>
+                ) : video.channel}
+              </span>
+            )}
+            {video.publishDate && (
+              <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <Calendar size={16} />
+                {formatPublishDate(video.publishDate)}
+              </span>
+            )}
+            {video.duration > 0 && (
+              <span style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <Clock size={16} />
+                {formatDuration(video.duration)}
+              </span>
+            )}
+          </div>
+
+          {video.description && (
+            <div style={{ marginTop: '12px' }}>
+              <div style={{
+                fontSize: '0.875rem',
+                color: '#4b5563',
+                whiteSpace: 'pre-wrap',
+                maxHeight: showDescription ? 'none' : '3.6em',
+                overflow: 'hidden',
+                lineHeight: 1.2
+              }}>
+                {video.description}
+              </div>
+              <button
+                onClick={() => setShowDescription(!showDescription)}
+                style={{
+                  marginTop: '6px',
+                  padding: 0,
+                  background: 'none',
+                  border: 'none',
+                  color: '#667eea',
+                  fontSize: '0.8rem',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '4px'
+                }}
+              >
+                {showDescription ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                {showDescription ? 'Show less' : 'Show description'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {chapters.length > 0 && (
+        <div style={{ marginTop: '20px' }}>
+          <h3 style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '1rem', color: '#333', margin: '0 0 10px' }}>
+            <ListOrdered size={18} style={{ color: '#667eea' }} />
+            Chapters
+          </h3>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+            {chapters.map(chapter => (
+              <a
+                key={chapter.startTime}
+                href={getVideoUrl(result.videoId, chapter.startTime)}
+                target="_blank"
+                rel="noopener noreferrer"
+                style={{
+                  display: 'flex',
+                  gap: '6px',
+                  padding: '6px 12px',
+                  fontSize: '0.8rem',
+                  color: '#374151',
+                  backgroundColor: '#f3f4f6',
+                  borderRadius: '999px',
+                  textDecoration: 'none'
+                }}
+              >
+                <span style={{ color: '#667eea', fontWeight: '600', fontFamily: 'monospace' }}>{chapter.timestamp}</span>
+                {chapter.title}
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
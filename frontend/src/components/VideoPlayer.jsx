@@ -0,0 +1,94 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { loadYouTubeIframeApi } from '../youtubePlayer';
+
+// How often the playback position is reported while the video plays
+const TIME_UPDATE_INTERVAL_MS = 250;
+
+// Embedded YouTube player - hands the player to onReady and reports the position to onTimeUpdate
+export default function VideoPlayer({ videoId, onReady, onTimeUpdate }) {
+  const containerRef = useRef(null);
+  const [loadError, setLoadError] = useState('');
+  // Latest callbacks, so new handlers don't recreate the player
+  const callbacksRef = useRef({ onReady, onTimeUpdate });
+
+  useEffect(() => {
+    callbacksRef.current = { onReady, onTimeUpdate };
+  });
+
+  useEffect(() => {
+    let player = null;
+    let timer = null;
+    let cancelled = false;
+    const container = containerRef.current;
+
+    const reportTime = () => callbacksRef.current.onTimeUpdate?.(player.getCurrentTime());
+
+    loadYouTubeIframeApi()
+      .then((YT) => {
+        if (cancelled) return;
+        // The API replaces its element with the iframe - give it one React doesn't manage
+        const host = document.createElement('div');
+        container.appendChild(host);
+
+        player = new YT.Player(host, {
+          videoId,
+          width: '100%',
+          height: '100%',
+          playerVars: { rel: 0, playsinline: 1 },
+          events: {
+            onReady: () => callbacksRef.current.onReady?.(player),
+            onStateChange: (event) => {
+              clearInterval(timer);
+              if (event.data === YT.PlayerState.PLAYING) {
+                timer = setInterval(reportTime, TIME_UPDATE_INTERVAL_MS);
+              }
+              reportTime();
+            }
+          }
+        });
+      })
+      .catch((error) => {
+        if (!cancelled) setLoadError(error.message);
+      });
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      player?.destroy();
+      container.replaceChildren();
+      callbacksRef.current.onReady?.(null);
+    };
+  }, [videoId]);
+
+  if (loadError) {
+    return (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        padding: '12px 16px',
+        fontSize: '0.875rem',
+        color: '#991b1b',
+        backgroundColor: '#fef2f2',
+        borderRadius: '10px'
+      }}>
+        <AlertCircle size={16} style={{ flexShrink: 0 }} />
+        {loadError}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        width: '100%',
+        aspectRatio: '16 / 9',
+        backgroundColor: '#000',
+        borderRadius: '12px',
+        overflow: 'hidden'
+      }}
+    />
+  );
+}
@@ -0,0 +1,40 @@
+// Reader for the POST endpoints that answer with an SSE stream (summaries, chat answers)
+
+/**
+ * Read an SSE response until its final event
+ * @param {Response} response - Streaming fetch response
+ * @param {Object} handlers - {onProgress, onDelta} for intermediate events
+ * @returns {Promise<Object>} Final response ({success: true, ...})
+ */
+export const readEventStream = async (response, { onProgress, onDelta }) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const event of events) {
+      const dataLine = event.split('\n').find(line => line.startsWith('data: '));
+      if (!dataLine) continue;
+
+      const data = JSON.parse(dataLine.slice(6));
+      if (data.error) {
+        throw new Error(data.error);
+      } else if (data.success) {
+        return data;
+      } else if (data.delta !== undefined) {
+        onDelta?.(data.delta);
+      } else if (data.progress !== undefined) {
+        onProgress?.(data);
+      }
+    }
+  }
+
+  throw new Error('Connection was interrupted. Please try again.');
+};
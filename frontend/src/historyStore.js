@@ -0,0 +1,156 @@
+// Transcript history - every completed result is kept in IndexedDB so it survives
+// tab switches and reloads; signed-in users also get a copy on the server (/api/history)
+
+import { getAuthToken, authHeaders } from './auth';
+
+const DB_NAME = 'transcript-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the entries store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const API_URL = import.meta.env.VITE_API_URL || '/api';
+
+// Best effort - the local copy is the source of truth for the UI
+const pushToServer = async (entry) => {
+  if (!getAuthToken()) return;
+  try {
+    await fetch(`${API_URL}/history/${encodeURIComponent(entry.id)}`, {
+      method: 'PUT',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(entry)
+    });
+  } catch (err) {
+    console.error('History sync error:', err);
+  }
+};
+
+/**
+ * One entry per video, mode and target language - re-running a video replaces its entry
+ */
+export const historyEntryId = (result) =>
+  [result.videoId, result.mode, result.targetLanguage || ''].join(':');
+
+export const listHistoryEntries = async () => {
+  const entries = await withStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const getHistoryEntry = (id) => withStore('readonly', store => store.get(id));
+
+/**
+ * Save a completed result (keeps the original creation date when it replaces an entry)
+ * @param {Object} result - Result as shown in the result view
+ * @param {string} [title] - Video title, if known
+ */
+export const saveResultToHistory = async (result, title) => {
+  const id = historyEntryId(result);
+  const existing = await getHistoryEntry(id);
+  const now = Date.now();
+
+  const entry = {
+    id,
+    videoId: result.videoId,
+    title: title || result.title || existing?.title || null,
+    mode: result.mode,
+    targetLanguage: result.targetLanguage || null,
+    summary: result.summary || existing?.summary || null,
+    result: { ...result, cached: false },
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  await withStore('readwrite', store => store.put(entry));
+  pushToServer(entry);
+  return entry;
+};
+
+/**
+ * Merge extra data (summary, detected chapters) into the stored result of an entry
+ */
+export const updateHistoryResult = async (result, changes) => {
+  const entry = await getHistoryEntry(historyEntryId(result));
+  if (!entry) return;
+
+  const updated = { ...entry, result: { ...entry.result, ...changes }, updatedAt: Date.now() };
+  if ('summary' in changes) {
+    updated.summary = changes.summary;
+  }
+  await withStore('readwrite', store => store.put(updated));
+  pushToServer(updated);
+};
+
+/**
+ * Attach a generated summary to the entry of a result
+ */
+export const saveSummaryToHistory = (result, summary) => updateHistoryResult(result, { summary });
+
+export const deleteHistoryEntry = async (id) => {
+  await withStore('readwrite', store => store.delete(id));
+  if (!getAuthToken()) return;
+  try {
+    await fetch(`${API_URL}/history/${encodeURIComponent(id)}`, { method: 'DELETE', headers: authHeaders() });
+  } catch (err) {
+    console.error('History sync error:', err);
+  }
+};
+
+/**
+ * Two-way sync with the signed-in account: newer copies win on both sides
+ * @returns {Promise<Array>} Entries after syncing, newest first
+ */
+export const syncHistoryWithAccount = async () => {
+  const response = await fetch(`${API_URL}/history`, { headers: authHeaders() });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to sync history');
+  }
+
+  const local = new Map((await listHistoryEntries()).map(entry => [entry.id, entry]));
+  const remote = new Map(data.entries.map(entry => [entry.id, entry]));
+
+  const newerRemote = data.entries.filter(entry => !local.has(entry.id) || local.get(entry.id).updatedAt < entry.updatedAt);
+  if (newerRemote.length > 0) {
+    const db = await openDatabase();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      newerRemote.forEach(entry => transaction.objectStore(STORE_NAME).put(entry));
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  const newerLocal = [...local.values()].filter(entry => !remote.has(entry.id) || remote.get(entry.id).updatedAt < entry.updatedAt);
+  await Promise.all(newerLocal.map(pushToServer));
+
+  return listHistoryEntries();
+};
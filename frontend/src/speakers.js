@@ -0,0 +1,75 @@
+// Speaker labels - who speaks in each caption segment, detected on demand and renamed by the user
+// Kept with the result as diarization: {speakers: [{id, name}], segmentSpeakers: ['S1', 'S2', ...]} by segment index
+
+/**
+ * The result with each segment labeled as {speakerId, speaker} (speaker is the display name)
+ * @param {Object} result - Result (with corrections applied)
+ * @param {Object} diarization - Detected speakers, null when not detected
+ * @returns {Object} Labeled result (the result itself without speakers)
+ */
+export const applySpeakerLabels = (result, diarization) => {
+  if (!result?.captions || !diarization) {
+    return result;
+  }
+
+  const names = new Map(diarization.speakers.map(speaker => [speaker.id, speaker.name]));
+  const label = (segments) => segments.map((segment, index) => {
+    const speakerId = diarization.segmentSpeakers[index];
+    return speakerId ? { ...segment, speakerId, speaker: names.get(speakerId) || speakerId } : segment;
+  });
+
+  return {
+    ...result,
+    captions: label(result.captions),
+    ...(result.translatedCaptions && { translatedCaptions: label(result.translatedCaptions) })
+  };
+};
+
+/**
+ * Give a speaker a new name (an empty name keeps the current one)
+ */
+export const renameSpeaker = (diarization, id, name) => ({
+  ...diarization,
+  speakers: diarization.speakers.map(speaker =>
+    (speaker.id === id && name.trim() ? { ...speaker, name: name.trim() } : speaker))
+});
+
+/**
+ * Join labeled segments into "Name: ..." paragraphs, one per speaker turn
+ * @param {Array} segments - Labeled caption segments
+ * @param {string} field - 'text' or 'translatedText'
+ * @returns {string} Transcript text
+ */
+export const getSpeakerTurnsText = (segments, field = 'text') => {
+  const turns = [];
+  segments.forEach(segment => {
+    const text = (segment[field] || segment.text || '').trim();
+    if (!text) return;
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text += segment.paragraphStart ? `\n\n${text}` : ` ${text}`;
+    } else {
+      turns.push({ speaker: segment.speaker, text });
+    }
+  });
+  return turns.map(turn => (turn.speaker ? `${turn.speaker}: ${turn.text}` : turn.text)).join('\n\n');
+};
+
+/**
+ * Full transcript text for display and exports - split into speaker turns once speakers are detected
+ * @param {Object} result - Labeled result
+ * @param {Object} [options] - {original: true} for the original text of a translation
+ * @returns {string} Transcript text
+ */
+export const getTranscriptText = (result, { original = false } = {}) => {
+  const labeled = result.captions?.some(caption => caption.speaker);
+  if (original) {
+    return labeled ? getSpeakerTurnsText(result.captions) : result.original;
+  }
+  if (!labeled) {
+    return result.text;
+  }
+  return result.translatedCaptions
+    ? getSpeakerTurnsText(result.translatedCaptions, 'translatedText')
+    : getSpeakerTurnsText(result.captions);
+};
@@ -0,0 +1,101 @@
+// Subtitle export helpers - build SRT, WebVTT and JSON files from caption segments
+
+// Used when a segment has no end time and is the last one
+const DEFAULT_CUE_DURATION = 3;
+
+/**
+ * Convert a caption timestamp (HH:MM:SS.mmm or MM:SS.mmm) to seconds
+ */
+export const timestampToSeconds = (timestamp) => {
+  if (!timestamp) return 0;
+  const parts = timestamp.trim().replace(',', '.').split(':').map(parseFloat);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatTime = (seconds, millisSeparator) => {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  const millis = totalMillis % 1000;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${millisSeparator}${pad(millis, 3)}`;
+};
+
+/**
+ * Convert seconds to a caption timestamp (HH:MM:SS.mmm)
+ */
+export const secondsToTimestamp = (seconds) => formatTime(seconds, '.');
+
+/**
+ * Build timed cues from caption segments
+ * Segments without an end time run until the next segment starts
+ * @param {Array} captions - Caption segments ({timestamp, endTimestamp, text, translatedText, speaker})
+ * @param {boolean} useTranslation - Use translatedText instead of the original text
+ * @returns {Array} Cues with start/end in seconds
+ */
+export const buildCues = (captions, useTranslation = false) => {
+  return captions
+    .map((caption, index) => {
+      const start = timestampToSeconds(caption.timestamp);
+      const next = captions[index + 1];
+      let end = caption.endTimestamp
+        ? timestampToSeconds(caption.endTimestamp)
+        : next
+          ? timestampToSeconds(next.timestamp)
+          : start + DEFAULT_CUE_DURATION;
+      if (end <= start) end = start + DEFAULT_CUE_DURATION;
+
+      const text = useTranslation ? (caption.translatedText || caption.text) : caption.text;
+      return { start, end, text: (text || '').trim(), speaker: caption.speaker || null };
+    })
+    .filter(cue => cue.text.length > 0);
+};
+
+/**
+ * Render cues as an SRT file
+ * The speaker is named where a new speaker's turn starts
+ */
+export const toSrt = (cues) => {
+  return cues
+    .map((cue, index) => {
+      const speakerChange = cue.speaker && cue.speaker !== cues[index - 1]?.speaker;
+      const text = speakerChange ? `${cue.speaker}: ${cue.text}` : cue.text;
+      return `${index + 1}\n${formatTime(cue.start, ',')} --> ${formatTime(cue.end, ',')}\n${text}\n`;
+    })
+    .join('\n');
+};
+
+// Cue text and speaker names may contain <, > and & - escape them so players don't read them as tags or entities
+const escapeVttText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Render cues as a WebVTT file
+ * Speakers become voice tags (<v Name>), which players can show or style
+ */
+export const toVtt = (cues) => {
+  const body = cues
+    .map(cue => `${formatTime(cue.start, '.')} --> ${formatTime(cue.end, '.')}\n${cue.speaker ? `<v ${escapeVttText(cue.speaker)}>` : ''}${escapeVttText(cue.text)}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+};
+
+/**
+ * Render cues as JSON with export metadata
+ */
+export const toJson = (cues, metadata = {}) => {
+  return JSON.stringify({
+    ...metadata,
+    generatedAt: new Date().toISOString(),
+    cues: cues.map((cue, index) => ({
+      index: index + 1,
+      start: Number(cue.start.toFixed(3)),
+      end: Number(cue.end.toFixed(3)),
+      startTimestamp: formatTime(cue.start, '.'),
+      endTimestamp: formatTime(cue.end, '.'),
+      ...(cue.speaker && { speaker: cue.speaker }),
+      text: cue.text
+    }))
+  }, null, 2);
+};
@@ -0,0 +1,43 @@
+// Source timestamps in summaries - the backend cites transcript blocks as [t=SECONDS] markers
+
+import { formatDuration } from './videoMetadata';
+
+const TIMESTAMP_MARKER_PATTERN = /\[t=(\d+(?:\.\d+)?)\]/g;
+
+/**
+ * Replace [t=SECONDS] markers with readable [M:SS] times, for copy and exports
+ */
+export const formatTimestampMarkers = (text) =>
+  (text || '').replace(TIMESTAMP_MARKER_PATTERN, (marker, seconds) => `[${formatDuration(Number(seconds))}]`);
+
+export const stripTimestampMarkers = (text) =>
+  (text || '').replace(TIMESTAMP_MARKER_PATTERN, '').replace(/[ \t]+$/gm, '');
+
+/**
+ * Split text around its markers for rendering
+ * @returns {Array} Parts as {text} or {startTime}
+ */
+export const splitTimestampMarkers = (text) => {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of (text || '').matchAll(TIMESTAMP_MARKER_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ text: text.slice(lastIndex, match.index) });
+    }
+    parts.push({ startTime: Number(match[1]) });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < (text || '').length) {
+    parts.push({ text: text.slice(lastIndex) });
+  }
+  return parts;
+};
+
+/**
+ * Caption segments in the compact shape the summary endpoints accept
+ */
+export const getSummaryCaptions = (captions) => (captions || []).map(caption => ({
+  start: caption.start,
+  timestamp: caption.timestamp,
+  text: caption.translatedText || caption.text
+}));
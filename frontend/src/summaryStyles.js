@@ -0,0 +1,12 @@
+// Summary styles offered next to the length buttons - IDs match backend/services/summaryStyles.js
+export const SUMMARY_STYLES = [
+  { id: 'prose', name: 'Summary', description: 'Readable prose summary' },
+  { id: 'takeaways', name: 'Key takeaways', description: 'The most important points' },
+  { id: 'action-items', name: 'Action items', description: 'Tasks and next steps' },
+  { id: 'outline', name: 'Outline', description: 'Sections and sub-points' },
+  { id: 'study-notes', name: 'Study notes', description: 'Concepts, definitions and review questions' },
+  { id: 'tweet-thread', name: 'Tweet thread', description: 'Ready-to-post thread' },
+  { id: 'executive-brief', name: 'Executive brief', description: 'Bottom line, risks and recommendations' }
+];
+
+export const getSummaryStyleName = (id) => SUMMARY_STYLES.find(style => style.id === id)?.name || 'Summary';
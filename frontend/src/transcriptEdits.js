@@ -0,0 +1,136 @@
+// Transcript corrections - inline edits of caption segments with undo/redo
+// Corrections are kept apart from the result as {segmentIndex: {text, translatedText, start, end}} holding
+// the corrected values; the backend stores the same shape next to the cached transcript
+
+import { secondsToTimestamp } from './subtitleExport';
+import { getCaptionStart } from './chapters';
+
+// Edits that can be undone
+const MAX_UNDO_STEPS = 100;
+
+// Same joining as the backend - segments marked paragraphStart begin a new paragraph
+const joinSegmentText = (segments, field) => segments.reduce((fullText, segment) => {
+  const text = (segment[field] || segment.text || '').trim().replace(/\s+/g, ' ');
+  if (!text) return fullText;
+  if (!fullText) return text;
+  return `${fullText}${segment.paragraphStart ? '\n\n' : ' '}${text}`;
+}, '');
+
+/**
+ * Edit history for a result, starting from the corrections it was loaded with
+ * @param {Object} [corrections] - Saved corrections
+ * @returns {Object} {corrections, past, future}
+ */
+export const createEditHistory = (corrections) => ({ corrections: corrections || {}, past: [], future: [] });
+
+export const countCorrections = (corrections) => Object.keys(corrections || {}).length;
+
+const correctSegment = (segment, correction, withTranslation) => {
+  const corrected = { ...segment };
+  if (correction.text !== undefined) corrected.text = correction.text;
+  if (withTranslation && correction.translatedText !== undefined) corrected.translatedText = correction.translatedText;
+  if (correction.start !== undefined) {
+    corrected.start = correction.start;
+    corrected.timestamp = secondsToTimestamp(correction.start);
+  }
+  if (correction.end !== undefined) {
+    corrected.end = correction.end;
+    corrected.endTimestamp = secondsToTimestamp(correction.end);
+  }
+  return corrected;
+};
+
+/**
+ * The result with corrections applied to its segments and the texts rebuilt from them
+ * Everything downstream (caption view, exports, summaries) reads this instead of the result
+ * @param {Object} result - Result as loaded
+ * @param {Object} corrections - Corrections by segment index
+ * @returns {Object} Corrected result (the result itself when there is nothing to correct)
+ */
+export const applyTranscriptCorrections = (result, corrections) => {
+  if (!result?.captions || countCorrections(corrections) === 0) {
+    return result;
+  }
+
+  const correctAll = (segments, withTranslation) => segments.map((segment, index) =>
+    (corrections[index] ? correctSegment(segment, corrections[index], withTranslation) : segment));
+
+  const captions = correctAll(result.captions, false);
+  const translatedCaptions = result.translatedCaptions ? correctAll(result.translatedCaptions, true) : null;
+  const text = translatedCaptions ? joinSegmentText(translatedCaptions, 'translatedText') : joinSegmentText(captions, 'text');
+  const words = text.split(/\s+/).filter(Boolean).length;
+
+  return {
+    ...result,
+    captions,
+    ...(translatedCaptions && { translatedCaptions, original: joinSegmentText(captions, 'text') }),
+    text,
+    words,
+    readingTime: Math.ceil(words / 200)
+  };
+};
+
+/**
+ * Values of a segment before any correction, to tell which edited fields still differ
+ */
+const getOriginalValues = (result, index) => ({
+  text: result.captions[index].text,
+  translatedText: result.translatedCaptions?.[index]?.translatedText,
+  start: getCaptionStart(result.captions[index]),
+  end: result.captions[index].end
+});
+
+const withCorrection = (corrections, index, correction) => {
+  const next = { ...corrections };
+  if (correction) {
+    next[index] = correction;
+  } else {
+    delete next[index];
+  }
+  return next;
+};
+
+/**
+ * Record an edit of one segment
+ * @param {Object} history - From createEditHistory
+ * @param {Object} result - Result as loaded (uncorrected)
+ * @param {number} index - Segment index
+ * @param {Object} changes - New values ({text, translatedText, start, end})
+ * @returns {Object} Updated history (the same one when nothing changed)
+ */
+export const recordSegmentEdit = (history, result, index, changes) => {
+  const original = getOriginalValues(result, index);
+  const before = history.corrections[index];
+  // Fields edited back to their original value are no longer corrections
+  const merged = Object.entries({ ...before, ...changes }).filter(([field, value]) => value !== original[field]);
+  const after = merged.length > 0 ? Object.fromEntries(merged) : undefined;
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return history;
+  }
+  return {
+    corrections: withCorrection(history.corrections, index, after),
+    past: [...history.past, { index, before, after }].slice(-MAX_UNDO_STEPS),
+    future: []
+  };
+};
+
+export const undoSegmentEdit = (history) => {
+  const edit = history.past[history.past.length - 1];
+  if (!edit) return history;
+  return {
+    corrections: withCorrection(history.corrections, edit.index, edit.before),
+    past: history.past.slice(0, -1),
+    future: [edit, ...history.future]
+  };
+};
+
+export const redoSegmentEdit = (history) => {
+  const edit = history.future[0];
+  if (!edit) return history;
+  return {
+    corrections: withCorrection(history.corrections, edit.index, edit.after),
+    past: [...history.past, edit],
+    future: history.future.slice(1)
+  };
+};
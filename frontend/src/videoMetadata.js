@@ -0,0 +1,55 @@
+// Video metadata helpers - titles, header lines and file names for the result view and exports
+
+/**
+ * Format seconds as H:MM:SS or M:SS
+ */
+export const formatDuration = (seconds) => {
+  if (!seconds && seconds !== 0) return '';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
+
+export const formatPublishDate = (publishDate) => {
+  if (!publishDate) return '';
+  const date = new Date(publishDate);
+  return isNaN(date) ? publishDate : date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+export const getVideoTitle = (result) => result.video?.title || result.title || `Video ${result.videoId}`;
+
+export const getVideoUrl = (videoId, startTime) =>
+  `https://www.youtube.com/watch?v=${videoId}${startTime ? `&t=${Math.floor(startTime)}s` : ''}`;
+
+/**
+ * Lines describing the video for the top of TXT/PDF/DOCX exports
+ * @param {Object} result - Result shown in the result view
+ * @returns {Array<string>} Header lines (missing metadata is left out)
+ */
+export const getExportHeaderLines = (result) => {
+  const video = result.video || {};
+  return [
+    `Title: ${getVideoTitle(result)}`,
+    video.channel && `Channel: ${video.channel}`,
+    video.publishDate && `Published: ${formatPublishDate(video.publishDate)}`,
+    video.duration && `Duration: ${formatDuration(video.duration)}`,
+    `URL: ${getVideoUrl(result.videoId)}`
+  ].filter(Boolean);
+};
+
+/**
+ * File name for an export, based on the video title (falls back to the video ID)
+ * @param {Object} result - Result shown in the result view
+ * @param {string} kind - What the file contains, e.g. 'Transcript' or 'Summary'
+ * @param {string} extension - File extension without the dot
+ */
+export const getExportFileName = (result, kind, extension) => {
+  const title = (result.video?.title || result.title || '')
+    .replace(/[<>:"/\\|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 80);
+  return `${title || result.videoId} - ${kind}.${extension}`;
+};
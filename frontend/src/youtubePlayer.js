@@ -0,0 +1,36 @@
+// YouTube IFrame Player API loader - the script is added once and shared by every player
+
+let apiPromise = null;
+
+/**
+ * Load the IFrame Player API
+ * @returns {Promise<Object>} The global YT namespace
+ */
+export const loadYouTubeIframeApi = () => {
+  if (window.YT?.Player) {
+    return Promise.resolve(window.YT);
+  }
+
+  if (!apiPromise) {
+    apiPromise = new Promise((resolve, reject) => {
+      // The API calls this global once it is ready
+      const previousCallback = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        previousCallback?.();
+        resolve(window.YT);
+      };
+
+      const script = document.createElement('script');
+      script.src = 'https://www.youtube.com/iframe_api';
+      script.async = true;
+      script.onerror = () => {
+        apiPromise = null;
+        script.remove();
+        reject(new Error('The YouTube player could not be loaded. Check your connection or ad blocker.'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  return apiPromise;
+};
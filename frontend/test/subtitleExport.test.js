@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toVtt } from '../src/subtitleExport.js';
+
+test('toVtt escapes <, > and & in cue text', () => {
+  const vtt = toVtt([{ start: 1, end: 2.5, text: 'a < b & c > d' }]);
+
+  assert.equal(vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.500\na &lt; b &amp; c &gt; d\n');
+});
+
+test('toVtt escapes speaker names in voice tags', () => {
+  const vtt = toVtt([{ start: 0, end: 1, speaker: 'Tom & <Jerry>', text: 'hi' }]);
+
+  assert.equal(vtt, 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n<v Tom &amp; &lt;Jerry&gt;>hi\n');
+});